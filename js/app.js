@@ -1,8 +1,11 @@
 /**
  * Min-Max Companion - Main App Controller
- * Handles tab navigation and app initialization
+ * Handles tab navigation, app initialization and app updates
  */
 
+// Set while a workout is in progress (see workout.js)
+const ACTIVE_WORKOUT_KEY = 'minmax_active_workout_state';
+
 class MinMaxApp {
     constructor() {
         this.currentTab = this.loadActiveTab();
@@ -13,7 +16,12 @@ class MinMaxApp {
      * Initialize the application
      */
     init() {
+        this.waitingWorker = null;
+        this.shellUpdateReady = false;
+        this.updateAccepted = false;
+
         this.setupTabNavigation();
+        this.setupServiceWorker();
         this.activateTab(this.currentTab);
     }
 
@@ -55,8 +63,9 @@ class MinMaxApp {
             this.currentTab = tabName;
             this.saveActiveTab(tabName);
 
-            // Trigger screen-specific initialization if needed
-            this.onTabActivated(tabName);
+            // Trigger screen-specific initialization if needed, then
+            // recheck the update banner since a workout may have started or ended
+            this.onTabActivated(tabName).then(() => this.updateBanner());
         }
     }
 
@@ -99,6 +108,144 @@ class MinMaxApp {
         }
     }
 
+    /**
+     * Register the service worker and watch for new releases
+     * A new release is downloaded in the background and waits until the
+     * user reloads from the update banner (see sw.js).
+     */
+    setupServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        document.getElementById('update-reload-btn')?.addEventListener('click', () => {
+            this.applyUpdate();
+        });
+
+        // The accepted release took over: load its files. The first install
+        // also takes control, which needs no reload.
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) {
+                this.updateAccepted = false;
+                window.location.reload();
+            }
+        });
+
+        // Changed app files found by the worker's update check
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const type = event.data && event.data.type;
+            if (type === 'UPDATE_READY') {
+                this.shellUpdateReady = true;
+                this.updateBanner();
+            } else if (type === 'UPDATE_APPLIED' && this.updateAccepted) {
+                this.updateAccepted = false;
+                window.location.reload();
+            }
+        });
+
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('./sw.js')
+                .then(registration => {
+                    console.log('Service Worker registered:', registration);
+                    this.watchForUpdates(registration);
+                })
+                .catch(error => {
+                    console.log('Service Worker registration failed:', error);
+                });
+        });
+    }
+
+    /**
+     * Offer an update when a new release has installed
+     * @param {ServiceWorkerRegistration} registration - The app's registration
+     */
+    watchForUpdates(registration) {
+        // Installed on an earlier visit and still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.onUpdateReady(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.onUpdateReady(worker);
+                }
+            });
+        });
+
+        this.checkForUpdate();
+
+        // Home screen apps stay open for days, so check again when reopened
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(error => {
+                    console.log('Service Worker update check failed:', error);
+                });
+                this.checkForUpdate();
+            }
+        });
+    }
+
+    /**
+     * Ask the running worker whether any app file changed on the server
+     */
+    checkForUpdate() {
+        navigator.serviceWorker.controller?.postMessage({ type: 'CHECK_FOR_UPDATE' });
+    }
+
+    /**
+     * Remember a waiting release and offer it
+     * @param {ServiceWorker} worker - The installed, waiting worker
+     */
+    onUpdateReady(worker) {
+        this.waitingWorker = worker;
+        this.updateBanner();
+    }
+
+    /**
+     * Show the update banner if a release is waiting, unless a workout is
+     * in progress (it shows once the workout is finished)
+     */
+    updateBanner() {
+        const banner = document.getElementById('update-banner');
+        if (!banner) return;
+
+        banner.hidden = !(this.waitingWorker || this.shellUpdateReady) || this.isWorkoutActive();
+    }
+
+    /**
+     * Switch to the waiting release and reload
+     */
+    applyUpdate() {
+        const controller = navigator.serviceWorker.controller;
+        if (!(this.waitingWorker || (this.shellUpdateReady && controller)) || this.isWorkoutActive()) {
+            this.updateBanner();
+            return;
+        }
+
+        this.updateAccepted = true;
+        if (this.waitingWorker) {
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            controller.postMessage({ type: 'APPLY_UPDATE' });
+        }
+    }
+
+    /**
+     * Check whether a workout is in progress
+     * @returns {boolean} True if a workout is in progress
+     */
+    isWorkoutActive() {
+        try {
+            return localStorage.getItem(ACTIVE_WORKOUT_KEY) !== null;
+        } catch (error) {
+            console.error('Failed to read workout state:', error);
+            return false;
+        }
+    }
+
     /**
      * Save the active tab to localStorage
      * @param {string} tabName - The name of the tab to save
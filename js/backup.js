@@ -0,0 +1,556 @@
+/**
+ * Min-Max Companion - Backup Module
+ * Handles the export file format, import validation and the import preview
+ */
+
+import { LOGGING_MODES } from './logging.js';
+import { CANONICAL_UNIT, WEIGHT_UNITS, convertWeight, toCanonicalWeight, convertSessionWeights } from './units.js';
+
+export const APP_VERSION = '1.1.0';
+export const EXPORT_FORMAT = 'minmax-workout-export';
+export const EXPORT_FORMAT_VERSION = 3;
+
+// Enough precision for exported weights to convert back to the stored value
+const EXPORT_WEIGHT_DECIMALS = 4;
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal data
+ * always produces the same string regardless of key order
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute a checksum of the exported sessions (32-bit FNV-1a)
+ * @param {Object} sessions - Sessions keyed by session key
+ * @returns {string} Checksum string prefixed with the algorithm name
+ */
+export function computeChecksum(sessions) {
+  const text = stableStringify(sessions);
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return `fnv1a32:${hash.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Convert the weights of every session in a history
+ * @param {Object} history - History keyed by session key
+ * @param {Function} convert - (weight) => converted weight
+ * @returns {Object} Converted copy of the history
+ */
+function convertHistoryWeights(history, convert) {
+  const converted = {};
+  Object.entries(history).forEach(([key, session]) => {
+    converted[key] = convertSessionWeights(session, convert);
+  });
+  return converted;
+}
+
+/**
+ * Wrap workout history in a versioned export envelope
+ * @param {Object} history - History keyed by session key (weights in lb)
+ * @param {string} weightUnit - Unit to write weights in ('lb' or 'kg')
+ * @returns {Object} Export envelope
+ */
+export function createExportEnvelope(history, weightUnit = CANONICAL_UNIT) {
+  const factor = 10 ** EXPORT_WEIGHT_DECIMALS;
+  const sessions = weightUnit === CANONICAL_UNIT
+    ? history
+    : convertHistoryWeights(history, weight =>
+      Math.round(convertWeight(weight, CANONICAL_UNIT, weightUnit) * factor) / factor);
+
+  return {
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    appVersion: APP_VERSION,
+    exportedAt: new Date().toISOString(),
+    weightUnit,
+    sessionCount: Object.keys(sessions).length,
+    checksum: computeChecksum(sessions),
+    sessions
+  };
+}
+
+/**
+ * Check a single session against the history schema
+ * @param {Object} session - Session to check
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export function validateSession(session) {
+  const errors = [];
+
+  if (!session || typeof session !== 'object' || Array.isArray(session)) {
+    return ['must be an object'];
+  }
+
+  if (!Number.isInteger(session.week) || session.week < 1) {
+    errors.push('week must be a positive integer');
+  }
+  if (typeof session.dayType !== 'string' || session.dayType.trim() === '') {
+    errors.push('dayType must be a non-empty string');
+  }
+  if (typeof session.completedAt !== 'string' || isNaN(Date.parse(session.completedAt))) {
+    errors.push('completedAt must be an ISO date string');
+  }
+  if (session.id !== undefined && (typeof session.id !== 'string' || session.id === '')) {
+    errors.push('id must be a non-empty string');
+  }
+  if (session.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(session.date)) {
+    errors.push('date must be a YYYY-MM-DD string');
+  }
+  if (session.programId !== undefined && (typeof session.programId !== 'string' || session.programId === '')) {
+    errors.push('programId must be a non-empty string');
+  }
+  if (session.startedAt !== undefined && (typeof session.startedAt !== 'string' || isNaN(Date.parse(session.startedAt)))) {
+    errors.push('startedAt must be an ISO date string');
+  }
+  if (session.durationSeconds !== undefined && (!Number.isInteger(session.durationSeconds) || session.durationSeconds < 0)) {
+    errors.push('durationSeconds must be a non-negative integer');
+  }
+  if (session.note !== undefined && typeof session.note !== 'string') {
+    errors.push('note must be a string');
+  }
+  if (session.changeLog !== undefined) {
+    if (!Array.isArray(session.changeLog)) {
+      errors.push('changeLog must be an array');
+    } else {
+      session.changeLog.forEach((entry, idx) => {
+        const path = `changeLog[${idx}]`;
+        if (!entry || typeof entry !== 'object') {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        if (typeof entry.editedAt !== 'string' || isNaN(Date.parse(entry.editedAt))) {
+          errors.push(`${path}.editedAt must be an ISO date string`);
+        }
+        if (!['edit', 'revert', 'conflict'].includes(entry.action)) {
+          errors.push(`${path}.action must be 'edit', 'revert' or 'conflict'`);
+        }
+        if (!entry.previous || !Array.isArray(entry.previous.exercises)) {
+          errors.push(`${path}.previous must be a session snapshot with exercises`);
+        }
+      });
+    }
+  }
+  if (!Array.isArray(session.exercises)) {
+    errors.push('exercises must be an array');
+    return errors;
+  }
+
+  session.exercises.forEach((exercise, exIdx) => {
+    const path = `exercises[${exIdx}]`;
+
+    if (!exercise || typeof exercise !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (typeof exercise.name !== 'string' || exercise.name.trim() === '') {
+      errors.push(`${path}.name must be a non-empty string`);
+    }
+    if (exercise.slot !== undefined && (typeof exercise.slot !== 'string' || exercise.slot.trim() === '')) {
+      errors.push(`${path}.slot must be a non-empty string`);
+    }
+    if (!Array.isArray(exercise.sets)) {
+      errors.push(`${path}.sets must be an array`);
+      return;
+    }
+
+    exercise.sets.forEach((set, setIdx) => {
+      errors.push(...validateSet(set, `${path}.sets[${setIdx}]`));
+    });
+
+    if (exercise.warmups !== undefined) {
+      if (!Array.isArray(exercise.warmups)) {
+        errors.push(`${path}.warmups must be an array`);
+      } else {
+        exercise.warmups.forEach((set, setIdx) => {
+          errors.push(...validateSet(set, `${path}.warmups[${setIdx}]`));
+        });
+      }
+    }
+
+    if (exercise.prescribedSets !== undefined &&
+        (!Number.isInteger(exercise.prescribedSets) || exercise.prescribedSets < 0)) {
+      errors.push(`${path}.prescribedSets must be a non-negative integer`);
+    }
+    if (exercise.programIndex !== undefined &&
+        (!Number.isInteger(exercise.programIndex) || exercise.programIndex < 0)) {
+      errors.push(`${path}.programIndex must be a non-negative integer`);
+    }
+    if (exercise.skipped !== undefined && typeof exercise.skipped !== 'boolean') {
+      errors.push(`${path}.skipped must be a boolean`);
+    }
+    if (exercise.skipReason !== undefined && typeof exercise.skipReason !== 'string') {
+      errors.push(`${path}.skipReason must be a string`);
+    }
+    if (exercise.note !== undefined && typeof exercise.note !== 'string') {
+      errors.push(`${path}.note must be a string`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check a single logged set
+ * @param {Object} set - Set to check
+ * @param {string} setPath - Path used in error messages
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+function validateSet(set, setPath) {
+  const errors = [];
+
+  if (!set || typeof set !== 'object') {
+    return [`${setPath} must be an object`];
+  }
+  if (typeof set.weight !== 'number' || !isFinite(set.weight) || set.weight < 0) {
+    errors.push(`${setPath}.weight must be a non-negative number`);
+  }
+  if (!Number.isInteger(set.reps) || set.reps < 0) {
+    errors.push(`${setPath}.reps must be a non-negative integer`);
+  }
+  if (set.mode !== undefined && !LOGGING_MODES[set.mode]) {
+    errors.push(`${setPath}.mode must be one of ${Object.keys(LOGGING_MODES).join(', ')}`);
+  }
+  if (set.seconds !== undefined && (!Number.isInteger(set.seconds) || set.seconds < 0)) {
+    errors.push(`${setPath}.seconds must be a non-negative integer`);
+  }
+
+  // Effort, stored as reps in reserve
+  if (set.rir !== undefined && (typeof set.rir !== 'number' || !(set.rir >= 0 && set.rir <= 10))) {
+    errors.push(`${setPath}.rir must be a number from 0 to 10`);
+  }
+  if (set.targetRir !== undefined && (!Number.isInteger(set.targetRir) || set.targetRir < 0)) {
+    errors.push(`${setPath}.targetRir must be a non-negative integer`);
+  }
+
+  // Intensity technique fields
+  if (set.drops !== undefined) {
+    if (!Array.isArray(set.drops)) {
+      errors.push(`${setPath}.drops must be an array`);
+    } else {
+      set.drops.forEach((drop, idx) => {
+        errors.push(...validateSet(drop, `${setPath}.drops[${idx}]`));
+      });
+    }
+  }
+  if (set.miniSets !== undefined) {
+    const valid = Array.isArray(set.miniSets) &&
+      set.miniSets.every(mini => mini && Number.isInteger(mini.reps) && mini.reps >= 0);
+    if (!valid) {
+      errors.push(`${setPath}.miniSets must be an array of { reps } with non-negative integer reps`);
+    }
+  }
+  if (set.partialReps !== undefined && (!Number.isInteger(set.partialReps) || set.partialReps < 0)) {
+    errors.push(`${setPath}.partialReps must be a non-negative integer`);
+  }
+  if (set.holdSeconds !== undefined && (typeof set.holdSeconds !== 'number' || set.holdSeconds < 0)) {
+    errors.push(`${setPath}.holdSeconds must be a non-negative number`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate an export file.
+ * Accepts the versioned envelope as well as the original bare history object.
+ * Weights are converted back to pounds; files without a weightUnit are in pounds.
+ * @param {string} jsonString - File contents
+ * @returns {Object} { sessions, invalid, warnings, meta }
+ * @throws {Error} If the file is not JSON or not a recognizable export
+ */
+export function parseImportFile(jsonString) {
+  let data;
+  try {
+    data = JSON.parse(jsonString);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error('File does not contain workout data');
+  }
+
+  const warnings = [];
+  let rawSessions;
+  let meta;
+
+  if (data.format === EXPORT_FORMAT) {
+    if (!Number.isInteger(data.formatVersion) || data.formatVersion > EXPORT_FORMAT_VERSION) {
+      throw new Error(
+        `Export format version ${data.formatVersion} is newer than this app supports ` +
+        `(${EXPORT_FORMAT_VERSION}). Please update the app.`
+      );
+    }
+    if (typeof data.sessions !== 'object' || data.sessions === null) {
+      throw new Error('Export file has no sessions');
+    }
+    if (data.weightUnit !== undefined && !WEIGHT_UNITS[data.weightUnit]) {
+      throw new Error(`Unknown weight unit "${data.weightUnit}" in export file`);
+    }
+
+    rawSessions = data.sessions;
+    meta = {
+      formatVersion: data.formatVersion,
+      appVersion: data.appVersion || 'unknown',
+      exportedAt: data.exportedAt || null,
+      weightUnit: data.weightUnit || CANONICAL_UNIT
+    };
+
+    if (data.checksum && computeChecksum(rawSessions) !== data.checksum) {
+      warnings.push('Checksum does not match: the file was modified or is damaged.');
+    }
+  } else {
+    // Original format: the raw history object
+    rawSessions = data;
+    meta = { formatVersion: 1, appVersion: 'unknown', exportedAt: null, weightUnit: CANONICAL_UNIT };
+  }
+
+  const sessions = {};
+  const invalid = [];
+
+  Object.entries(rawSessions).forEach(([key, session]) => {
+    const errors = validateSession(session);
+    if (errors.length > 0) {
+      invalid.push({ key, errors });
+    } else {
+      sessions[key] = meta.weightUnit === CANONICAL_UNIT
+        ? session
+        : convertSessionWeights(session, weight => toCanonicalWeight(weight, meta.weightUnit));
+    }
+  });
+
+  return { sessions, invalid, warnings, meta };
+}
+
+/**
+ * Compare incoming sessions against existing history
+ * @param {Object} existing - Current history keyed by session key
+ * @param {Object} incoming - Validated incoming sessions keyed by session key
+ * @returns {Object} { newSessions, identical, conflicts } arrays of keys
+ */
+export function classifySessions(existing, incoming) {
+  const result = { newSessions: [], identical: [], conflicts: [] };
+
+  Object.keys(incoming).forEach(key => {
+    if (!existing[key]) {
+      result.newSessions.push(key);
+    } else if (stableStringify(existing[key]) === stableStringify(incoming[key])) {
+      result.identical.push(key);
+    } else {
+      result.conflicts.push(key);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Build the set of sessions to write after the user resolved conflicts
+ * @param {Object} existing - Current history keyed by session key
+ * @param {Object} incoming - Validated incoming sessions keyed by session key
+ * @param {Object} classification - Result of classifySessions()
+ * @param {Object} resolutions - Conflict key -> 'mine' | 'theirs' | 'both'
+ * @returns {Object} Sessions to write, keyed by session key
+ */
+export function resolveImport(existing, incoming, classification, resolutions) {
+  const toWrite = {};
+
+  classification.newSessions.forEach(key => {
+    toWrite[key] = incoming[key];
+  });
+
+  classification.conflicts.forEach(key => {
+    const choice = resolutions[key] || 'mine';
+
+    if (choice === 'theirs') {
+      toWrite[key] = incoming[key];
+    } else if (choice === 'both') {
+      let suffix = 1;
+      while (existing[`${key}-imported-${suffix}`] || toWrite[`${key}-imported-${suffix}`]) {
+        suffix++;
+      }
+      const copyKey = `${key}-imported-${suffix}`;
+      toWrite[copyKey] = { ...incoming[key], id: copyKey };
+    }
+  });
+
+  return toWrite;
+}
+
+/**
+ * Summarize a session for display in the preview
+ * @param {Object} session - Session to summarize
+ * @returns {string} Short description
+ */
+function describeSession(session) {
+  const date = new Date(session.completedAt).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  const setCount = session.exercises.reduce((sum, ex) => sum + ex.sets.length, 0);
+  return `${date} · ${session.exercises.length} exercises · ${setCount} sets`;
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Show the import preview dialog and wait for the user's decision
+ * @param {Object} existing - Current history keyed by session key
+ * @param {Object} parsed - Result of parseImportFile() (or the same shape
+ *   built from a CSV, whose meta.source names the file type)
+ * @param {Object} classification - Result of classifySessions()
+ * @returns {Promise<Object|null>} Conflict resolutions, or null if cancelled
+ */
+export function showImportPreview(existing, parsed, classification) {
+  const modal = document.getElementById('import-preview-modal');
+  const body = document.getElementById('import-preview-body');
+  const confirmBtn = document.getElementById('import-confirm-btn');
+  const cancelBtn = document.getElementById('import-cancel-btn');
+
+  if (!modal || !body || !confirmBtn || !cancelBtn) {
+    return Promise.resolve(null);
+  }
+
+  const { newSessions, identical, conflicts } = classification;
+  const { invalid, warnings, meta } = parsed;
+
+  body.innerHTML = `
+    <p class="settings-description">
+      ${meta.source
+        ? escapeHtml(meta.source)
+        : `Format v${meta.formatVersion} · App ${escapeHtml(meta.appVersion)}`} · Weights in ${WEIGHT_UNITS[meta.weightUnit].label}
+      ${meta.exportedAt ? ` · Exported ${escapeHtml(new Date(meta.exportedAt).toLocaleDateString('en-US'))}` : ''}
+    </p>
+
+    ${warnings.map(w => `<div class="import-warning">${escapeHtml(w)}</div>`).join('')}
+
+    <div class="import-summary">
+      <div class="import-count"><span>${newSessions.length}</span>New</div>
+      <div class="import-count"><span>${identical.length}</span>Identical</div>
+      <div class="import-count ${conflicts.length ? 'conflict' : ''}"><span>${conflicts.length}</span>Conflicts</div>
+      <div class="import-count ${invalid.length ? 'invalid' : ''}"><span>${invalid.length}</span>Invalid</div>
+    </div>
+
+    ${newSessions.length > 0 ? `
+      <h3 class="import-section-title">New Sessions</h3>
+      <ul class="import-list">
+        ${newSessions.map(key => `<li>${escapeHtml(key)}<small>${describeSession(parsed.sessions[key])}</small></li>`).join('')}
+      </ul>
+    ` : ''}
+
+    ${conflicts.length > 0 ? `
+      <h3 class="import-section-title">Conflicts</h3>
+      ${conflicts.map(key => `
+        <div class="import-conflict" data-key="${escapeHtml(key)}">
+          <div class="import-conflict-key">${escapeHtml(key)}</div>
+          <div class="import-conflict-side"><strong>Mine:</strong> ${describeSession(existing[key])}</div>
+          <div class="import-conflict-side"><strong>Theirs:</strong> ${describeSession(parsed.sessions[key])}</div>
+          <div class="import-choice">
+            ${[['mine', 'Keep Mine'], ['theirs', 'Keep Theirs'], ['both', 'Keep Both']].map(([value, label]) => `
+              <label>
+                <input type="radio" name="conflict-${escapeHtml(key)}" value="${value}" ${value === 'mine' ? 'checked' : ''}>
+                <span>${label}</span>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+      `).join('')}
+    ` : ''}
+
+    ${invalid.length > 0 ? `
+      <h3 class="import-section-title">Skipped (Invalid)</h3>
+      <ul class="import-list invalid">
+        ${invalid.map(({ key, errors }) => `<li>${escapeHtml(key)}<small>${errors.map(escapeHtml).join('<br>')}</small></li>`).join('')}
+      </ul>
+    ` : ''}
+  `;
+
+  const importable = newSessions.length + conflicts.length;
+  confirmBtn.disabled = importable === 0;
+  confirmBtn.textContent = importable === 0 ? 'Nothing to Import' : 'Import';
+
+  return waitForImportDecision(modal, () => {
+    const resolutions = {};
+    body.querySelectorAll('.import-conflict').forEach(el => {
+      const checked = el.querySelector('input[type="radio"]:checked');
+      resolutions[el.dataset.key] = checked ? checked.value : 'mine';
+    });
+    return resolutions;
+  });
+}
+
+/**
+ * Open the import preview modal and wait until it closes
+ * Cancel, the backdrop, Escape and anything else that closes the modal
+ * settle the promise with null, so an import never hangs.
+ * @param {HTMLElement} modal - The import preview modal
+ * @param {Function} getResult - Called when the confirm button is clicked
+ * @param {Function} cleanup - Called once the modal has closed
+ * @returns {Promise<*>} Result of getResult(), or null if closed otherwise
+ */
+export function waitForImportDecision(modal, getResult, cleanup = () => {}) {
+  const confirmBtn = document.getElementById('import-confirm-btn');
+  const cancelBtn = document.getElementById('import-cancel-btn');
+  const backdrop = modal.querySelector('.modal-backdrop');
+
+  modal.classList.add('active');
+
+  return new Promise(resolve => {
+    const observer = new MutationObserver(() => {
+      if (!modal.classList.contains('active')) close(null);
+    });
+
+    const close = (result) => {
+      observer.disconnect();
+      modal.classList.remove('active');
+      confirmBtn.removeEventListener('click', onConfirm);
+      cancelBtn.removeEventListener('click', onCancel);
+      backdrop?.removeEventListener('click', onCancel);
+      document.removeEventListener('keydown', onKeydown);
+      cleanup();
+      resolve(result);
+    };
+
+    const onConfirm = () => close(getResult());
+    const onCancel = () => close(null);
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+
+    confirmBtn.addEventListener('click', onConfirm);
+    cancelBtn.addEventListener('click', onCancel);
+    backdrop?.addEventListener('click', onCancel);
+    document.addEventListener('keydown', onKeydown);
+    observer.observe(modal, { attributes: true, attributeFilter: ['class'] });
+  });
+}
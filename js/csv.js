@@ -0,0 +1,643 @@
+/**
+ * Min-Max Companion - CSV Module
+ * CSV export, and CSV import from other lifting-log apps
+ *
+ * The export has one row per working set:
+ *   Date, Week, Day, Exercise, Set, Mode, Weight, Unit, Reps, Seconds, RIR,
+ *   Technique, Session, Target RIR, Note, Workout Note
+ * Date carries the local time the session was finished, Mode is the
+ * logging mode (assisted sets keep a positive assistance weight) and
+ * Session is the session ID, so two sessions on one day stay apart.
+ * Weights keep just enough decimals to convert back to the stored pounds
+ * exactly, and the notes are repeated on every row they belong to.
+ *
+ * The import finds its columns by header name, so it reads this app's
+ * export as well as the exports of Strong, Hevy and FitNotes (and most
+ * other trackers with similar headers). Rows are grouped into sessions by
+ * date, program week and workout name. Before anything is written the user
+ * checks the column mapping and maps exercise names that aren't in the
+ * program onto a program exercise or substitution; the sessions then go
+ * through the same import preview as a JSON backup. Rows that carry a
+ * session ID are grouped by it, and the Technique column ("Drops: 135×8,
+ * 100×10", "Mini-sets: 5 + 4", "Partials: 4", "Hold: 30s") is read back
+ * into the set's technique fields.
+ */
+
+import { CANONICAL_UNIT, WEIGHT_UNITS, toCanonicalWeight, toDisplayWeight, convertSetWeights } from './units.js';
+import { LOGGING_MODES, DEFAULT_MODE, getSetMode } from './logging.js';
+import { describeTechniqueFields } from './techniques.js';
+import { escapeHtml, waitForImportDecision } from './backup.js';
+
+export const CSV_COLUMNS = [
+  'Date', 'Week', 'Day', 'Exercise', 'Set', 'Mode', 'Weight', 'Unit', 'Reps', 'Seconds', 'RIR', 'Technique', 'Session',
+  'Target RIR', 'Note', 'Workout Note'
+];
+
+// Day type for imported sessions whose file has no workout name
+export const DEFAULT_CSV_DAY_TYPE = 'Imported';
+
+// Header names each field goes by in common exports (lowercase)
+export const CSV_FIELDS = {
+  date: { label: 'Date', required: true, aliases: ['date', 'start_time', 'start time', 'workout date'] },
+  week: { label: 'Program week', aliases: ['week', 'program week'] },
+  dayType: { label: 'Day / workout', aliases: ['day', 'workout name', 'title', 'workout', 'routine', 'routine name'] },
+  exercise: { label: 'Exercise', required: true, aliases: ['exercise', 'exercise name', 'exercise_title'] },
+  setNumber: { label: 'Set number', aliases: ['set', 'set order', 'set_index', 'set number'] },
+  setType: { label: 'Set type', aliases: ['set_type', 'set type'] },
+  mode: { label: 'Logging mode', aliases: ['mode'] },
+  weight: { label: 'Weight', aliases: ['weight', 'weight_lbs', 'weight_kg', 'weight (lbs)', 'weight (kgs)', 'weight (lb)', 'weight (kg)'] },
+  unit: { label: 'Weight unit', aliases: ['unit', 'weight unit', 'units'] },
+  reps: { label: 'Reps', aliases: ['reps', 'repetitions'] },
+  seconds: { label: 'Seconds', aliases: ['seconds', 'duration_seconds', 'duration (s)', 'time'] },
+  rir: { label: 'RIR', aliases: ['rir'] },
+  rpe: { label: 'RPE', aliases: ['rpe'] },
+  targetRir: { label: 'Target RIR', aliases: ['target rir'] },
+  technique: { label: 'Technique', aliases: ['technique'] },
+  sessionId: { label: 'Session ID', aliases: ['session', 'session id'] },
+  note: { label: 'Exercise note', aliases: ['notes', 'exercise_notes', 'comment', 'note'] },
+  sessionNote: { label: 'Workout note', aliases: ['workout note', 'workout notes', 'description'] }
+};
+
+// Recognized exports, by headers only they have (first match wins)
+const CSV_FORMATS = [
+  { id: 'minmax', label: 'Min-Max Companion', headers: ['date', 'week', 'day', 'exercise', 'set'] },
+  { id: 'hevy', label: 'Hevy', headers: ['exercise_title', 'set_index'] },
+  { id: 'strong', label: 'Strong', headers: ['exercise name', 'set order'] },
+  { id: 'fitnotes', label: 'FitNotes', headers: ['exercise', 'category'] }
+];
+
+const UNIT_ALIASES = { lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb', kg: 'kg', kgs: 'kg', kilogram: 'kg', kilograms: 'kg' };
+
+// Share of all their words two exercise names must have in common to be
+// suggested as a match
+const NAME_MATCH_THRESHOLD = 0.6;
+
+/**
+ * Quote a value for CSV if needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a date as local "YYYY-MM-DD HH:MM:SS"
+ * @param {Date} date - Date
+ * @returns {string} Local date and time
+ */
+function toLocalDateTime(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Convert a stored weight for the export
+ * Uses the fewest decimals that convert back to the stored value, so 100 kg
+ * stays "100" while 225 lbs becomes "102.0583" rather than a drifting "102.06".
+ * @param {number} weight - Weight in pounds
+ * @param {string} unit - Unit to write
+ * @returns {number} Weight in the unit
+ */
+function toExportWeight(weight, unit) {
+  for (let decimals = 2; decimals < 4; decimals++) {
+    const converted = toDisplayWeight(weight, unit, decimals);
+    if (toCanonicalWeight(converted, unit) === weight) return converted;
+  }
+  return toDisplayWeight(weight, unit, 4);
+}
+
+/**
+ * Build the CSV export of the history
+ * Weights are written in the given unit; warm-ups and skipped exercises
+ * are left out.
+ * @param {Object} history - Workout history ({ key: session })
+ * @param {string} unit - Unit to write weights in
+ * @returns {string} CSV text
+ */
+export function createCsvExport(history, unit = CANONICAL_UNIT) {
+  const rows = [CSV_COLUMNS];
+
+  Object.values(history)
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+    .forEach(session => {
+      session.exercises.forEach(exercise => {
+        (exercise.sets || []).forEach((set, idx) => {
+          const timed = getSetMode(set) === 'duration';
+          const display = convertSetWeights(set, weight => toExportWeight(weight, unit));
+
+          rows.push([
+            toLocalDateTime(new Date(session.completedAt)),
+            session.week,
+            session.dayType,
+            exercise.name,
+            idx + 1,
+            getSetMode(set),
+            timed ? '' : display.weight,
+            timed ? '' : unit,
+            timed ? '' : set.reps,
+            timed ? set.seconds : '',
+            typeof set.rir === 'number' ? set.rir : '',
+            describeTechniqueFields(display),
+            session.id || '',
+            typeof set.targetRir === 'number' ? set.targetRir : '',
+            exercise.note || '',
+            session.note || ''
+          ]);
+        });
+      });
+    });
+
+  return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text
+ * Handles quoted cells, line breaks inside quotes, a byte order mark and
+ * semicolon-separated files (as some locales export).
+ * @param {string} text - File contents
+ * @returns {Object} { headers, rows } where headers are as written and
+ *   rows are arrays of cells (blank lines are dropped)
+ * @throws {Error} If the file has no header row
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('File has no header row');
+  }
+
+  return { headers: nonEmpty[0].map(h => h.trim()), rows: nonEmpty.slice(1) };
+}
+
+/**
+ * Recognize the app a CSV came from and map its columns
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} { format: { id, label }, mapping: { field: columnIndex },
+ *   weightUnit } where weightUnit is the unit named in the weight header, or null
+ */
+export function detectCsvFormat(headers) {
+  const names = headers.map(h => h.toLowerCase());
+
+  const format = CSV_FORMATS.find(f => f.headers.every(h => names.includes(h)))
+    || { id: 'generic', label: 'Other CSV' };
+
+  const mapping = {};
+  Object.entries(CSV_FIELDS).forEach(([field, { aliases }]) => {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) mapping[field] = index;
+  });
+
+  let weightUnit = null;
+  if (mapping.weight !== undefined) {
+    const match = names[mapping.weight].match(/kg|lb/);
+    weightUnit = match ? match[0] : null;
+  }
+
+  return { format: { id: format.id, label: format.label }, mapping, weightUnit };
+}
+
+/**
+ * Parse a date from a CSV cell
+ * Dates without a time are placed at noon, so the local day never shifts.
+ * @param {string} value - e.g. "2024-03-04", "2024-03-04 18:02:11", "4 Mar 2024, 18:02"
+ * @returns {Date|null} Date, or null if unreadable
+ */
+export function parseCsvDate(value) {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  const local = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (local) {
+    const [, year, month, day, hour = '12', minute = '0', second = '0'] = local;
+    return new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  }
+
+  const parsed = new Date(text.replace(/,/g, ''));
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Parse a number from a CSV cell (accepts a decimal comma)
+ * @param {string} value - Cell value
+ * @returns {number|null} Number, or null if empty or unreadable
+ */
+function parseCsvNumber(value) {
+  const text = (value || '').trim().replace(/^(-?\d+),(\d+)$/, '$1.$2');
+  if (text === '') return null;
+  const number = Number(text);
+  return isFinite(number) ? number : null;
+}
+
+/**
+ * Parse a duration in seconds ("90", "1:30" or "0:01:30")
+ * @param {string} value - Cell value
+ * @returns {number|null} Whole seconds, or null if empty or unreadable
+ */
+function parseCsvSeconds(value) {
+  const text = (value || '').trim();
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  const seconds = parseCsvNumber(text);
+  return seconds === null ? null : Math.round(seconds);
+}
+
+/**
+ * Read the Technique column back into a set's technique fields
+ * @param {string} value - Cell value, as written by describeTechniqueFields()
+ * @param {string} unit - Unit of drop weights
+ * @returns {Object} Technique fields (empty if the cell names none)
+ */
+function parseTechniqueCell(value, unit) {
+  const match = (value || '').trim().match(/^(drops|mini-sets|partials|hold):\s*(.*)$/i);
+  if (!match) return {};
+
+  const [, kind, detail] = match;
+  const numbers = (text) => (text.match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+
+  switch (kind.toLowerCase()) {
+    case 'drops': {
+      const drops = detail.split(',')
+        .map(part => numbers(part))
+        .filter(pair => pair.length === 2)
+        .map(([weight, reps]) => ({ weight: toCanonicalWeight(weight, unit), reps: Math.round(reps) }));
+      return drops.length > 0 ? { technique: 'drop', drops } : {};
+    }
+    case 'mini-sets': {
+      const miniSets = numbers(detail).filter(reps => reps > 0).map(reps => ({ reps: Math.round(reps) }));
+      return { technique: 'myo', miniSets };
+    }
+    case 'partials':
+      return { technique: 'partials', partialReps: Math.round(numbers(detail)[0] || 0) };
+    default:
+      return { technique: 'hold', holdSeconds: Math.round(numbers(detail)[0] || 0) };
+  }
+}
+
+/**
+ * List the exercises and substitutions of a program
+ * @param {Object} program - Program data
+ * @returns {Object} { lowercaseName: { name, slot, substitution } }, where
+ *   slot is the program exercise a substitution stands in for
+ */
+export function getProgramCatalog(program) {
+  const catalog = {};
+
+  program.weeks.forEach(week => {
+    week.days.forEach(day => {
+      day.exercises.forEach(exercise => {
+        const key = exercise.exercise.toLowerCase();
+        if (!catalog[key] || catalog[key].substitution) {
+          catalog[key] = { name: exercise.exercise, slot: exercise.exercise, substitution: false };
+        }
+        (exercise.substitutions || []).forEach(sub => {
+          if (!catalog[sub.toLowerCase()]) {
+            catalog[sub.toLowerCase()] = { name: sub, slot: exercise.exercise, substitution: true };
+          }
+        });
+      });
+    });
+  });
+
+  return catalog;
+}
+
+/**
+ * Split an exercise name into comparable words
+ * @param {string} name - Exercise name
+ * @returns {Set<string>} Lowercase words
+ */
+function nameWords(name) {
+  return new Set(name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+}
+
+/**
+ * Suggest the program exercise an imported name most likely is
+ * Names match when they share most of their words, so "Bench Press
+ * (Barbell)" finds "Barbell Bench Press".
+ * @param {string} name - Imported exercise name
+ * @param {Object} catalog - Result of getProgramCatalog()
+ * @returns {string|null} Program exercise or substitution name, or null
+ */
+export function suggestExerciseMatch(name, catalog) {
+  const words = nameWords(name);
+  let best = null;
+  let bestScore = 0;
+
+  Object.values(catalog).forEach(entry => {
+    const candidate = nameWords(entry.name);
+    const shared = [...words].filter(word => candidate.has(word)).length;
+    const score = shared / (words.size + candidate.size - shared);
+    if (score > bestScore) {
+      best = entry.name;
+      bestScore = score;
+    }
+  });
+
+  return bestScore >= NAME_MATCH_THRESHOLD ? best : null;
+}
+
+/**
+ * Get the distinct exercise names in a CSV
+ * @param {Object} csv - Result of parseCsv()
+ * @param {number} column - Index of the exercise column
+ * @returns {Array<string>} Names in order of first appearance
+ */
+export function getCsvExerciseNames(csv, column) {
+  if (column === undefined) return [];
+  return [...new Set(csv.rows.map(row => (row[column] || '').trim()).filter(Boolean))];
+}
+
+/**
+ * Decide the default name each imported exercise is saved under
+ * Names in the program (in any letter case) take the program's spelling;
+ * others get a suggested match, or keep their own name.
+ * @param {Array<string>} names - Imported exercise names
+ * @param {Object} catalog - Result of getProgramCatalog()
+ * @returns {Object} { importedName: savedName }
+ */
+export function createExerciseMap(names, catalog) {
+  const exerciseMap = {};
+  names.forEach(name => {
+    const known = catalog[name.toLowerCase()];
+    exerciseMap[name] = known ? known.name : (suggestExerciseMatch(name, catalog) || name);
+  });
+  return exerciseMap;
+}
+
+/**
+ * Turn CSV rows into sessions
+ * @param {Object} csv - Result of parseCsv()
+ * @param {Object} options
+ * @param {Object} options.mapping - { field: columnIndex } (see CSV_FIELDS)
+ * @param {string} options.weightUnit - Unit of weights in rows without a unit column
+ * @param {Object} options.exerciseMap - { importedName: savedName }
+ * @param {Object} options.catalog - Result of getProgramCatalog()
+ * @returns {Object} { sessions: { key: session }, skippedRows } (weights in
+ *   the canonical unit; sessions aren't validated yet)
+ */
+export function buildSessionsFromCsv(csv, { mapping, weightUnit, exerciseMap = {}, catalog = {} }) {
+  const sessions = {};
+  let skippedRows = 0;
+
+  csv.rows.forEach(row => {
+    const get = (field) => (mapping[field] === undefined ? '' : (row[mapping[field]] || '').trim());
+
+    const date = parseCsvDate(get('date'));
+    const importedName = get('exercise');
+    const setLabel = get('setNumber');
+    const warmup = /warm/i.test(get('setType')) || /^w$/i.test(setLabel);
+    const reps = parseInt(get('reps'), 10);
+    const seconds = parseCsvSeconds(get('seconds'));
+    const modeName = get('mode').toLowerCase();
+    const mode = LOGGING_MODES[modeName] ? modeName : null;
+    const timed = mode === 'duration' || (!mode && !(reps > 0));
+
+    // Rows that aren't sets, like Strong's rest timers or cardio distances
+    if (!date || !importedName || (!warmup && setLabel && !/^(\d+|d)$/i.test(setLabel)) ||
+        !(timed ? seconds > 0 : reps > 0)) {
+      skippedRows++;
+      return;
+    }
+
+    const unit = UNIT_ALIASES[get('unit').toLowerCase()] || weightUnit;
+    const weight = parseCsvNumber(get('weight')) || 0;
+    let set;
+    if (timed) {
+      set = { mode: 'duration', weight: 0, reps: 0, seconds };
+    } else if (mode) {
+      // This app's export names the mode; the weight is the load, added load or assistance
+      set = mode === DEFAULT_MODE
+        ? { weight: toCanonicalWeight(weight, unit), reps }
+        : { mode, weight: toCanonicalWeight(Math.abs(weight), unit), reps };
+    } else {
+      // Assisted exercises are written as negative weight by some apps
+      set = weight < 0
+        ? { mode: 'assisted', weight: toCanonicalWeight(-weight, unit), reps }
+        : { weight: toCanonicalWeight(weight, unit), reps };
+    }
+    if (!warmup && !timed) {
+      Object.assign(set, parseTechniqueCell(get('technique'), unit));
+    }
+
+    const rir = parseCsvNumber(get('rir'));
+    const rpe = parseCsvNumber(get('rpe'));
+    const effort = rir !== null ? rir : (rpe !== null ? 10 - rpe : null);
+    if (effort !== null && effort >= 0 && effort <= 10) {
+      set.rir = effort;
+    }
+    const targetRir = parseCsvNumber(get('targetRir'));
+    if (Number.isInteger(targetRir) && targetRir >= 0 && !warmup && !timed) {
+      set.targetRir = targetRir;
+    }
+
+    const week = parseInt(get('week'), 10) > 0 ? parseInt(get('week'), 10) : 1;
+    const dayType = get('dayType') || DEFAULT_CSV_DAY_TYPE;
+    const dateString = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const sessionId = get('sessionId');
+    const key = sessionId || `csv-${dateString}-week-${week}-${dayType.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+    const session = sessions[key] || (sessions[key] = {
+      ...(sessionId ? { id: sessionId } : {}),
+      week,
+      dayType,
+      date: dateString,
+      completedAt: date.toISOString(),
+      exercises: []
+    });
+    if (!session.note && get('sessionNote')) {
+      session.note = get('sessionNote');
+    }
+
+    const name = exerciseMap[importedName] || importedName;
+    let exercise = session.exercises.find(e => e.name === name);
+    if (!exercise) {
+      const known = catalog[name.toLowerCase()];
+      exercise = { name, ...(known && known.slot !== name ? { slot: known.slot } : {}), sets: [] };
+      session.exercises.push(exercise);
+    }
+    if (!exercise.note && get('note')) {
+      exercise.note = get('note');
+    }
+
+    if (warmup) {
+      (exercise.warmups || (exercise.warmups = [])).push(set);
+    } else {
+      exercise.sets.push(set);
+    }
+  });
+
+  return { sessions, skippedRows };
+}
+
+/**
+ * Render the column and exercise mapping step
+ * @param {Object} csv - Result of parseCsv()
+ * @param {Object} detected - Result of detectCsvFormat()
+ * @param {Object} choices - { mapping, weightUnit, exerciseMap }
+ * @param {Object} catalog - Result of getProgramCatalog()
+ * @returns {string} HTML string
+ */
+function renderCsvMapping(csv, detected, choices, catalog) {
+  const unknown = Object.keys(choices.exerciseMap).filter(name => !catalog[name.toLowerCase()]);
+  const entries = Object.values(catalog).sort((a, b) => a.name.localeCompare(b.name));
+  const exercises = entries.filter(entry => !entry.substitution);
+  const substitutions = entries.filter(entry => entry.substitution);
+
+  return `
+    <p class="settings-description">
+      ${escapeHtml(detected.format.label)} · ${csv.rows.length} row${csv.rows.length === 1 ? '' : 's'}
+    </p>
+
+    <h3 class="import-section-title">Columns</h3>
+    <div class="unit-settings">
+      ${Object.entries(CSV_FIELDS).map(([field, { label, required }]) => `
+        <label class="unit-setting">
+          <span>${label}${required ? ' *' : ''}</span>
+          <select class="unit-select" data-csv-field="${field}">
+            <option value="">Not in file</option>
+            ${csv.headers.map((header, idx) => `
+              <option value="${idx}" ${choices.mapping[field] === idx ? 'selected' : ''}>${escapeHtml(header || `Column ${idx + 1}`)}</option>
+            `).join('')}
+          </select>
+        </label>
+      `).join('')}
+      <label class="unit-setting">
+        <span>Weights are in</span>
+        <select class="unit-select" data-csv-unit>
+          ${Object.entries(WEIGHT_UNITS).map(([key, info]) => `
+            <option value="${key}" ${key === choices.weightUnit ? 'selected' : ''}>${info.name}</option>
+          `).join('')}
+        </select>
+      </label>
+    </div>
+
+    ${unknown.length > 0 ? `
+      <h3 class="import-section-title">Exercises Not in the Program</h3>
+      <p class="settings-description">Pick the program exercise or substitution each one is, or keep its own name</p>
+      <div class="unit-settings">
+        ${unknown.map(name => `
+          <label class="csv-exercise-map">
+            <span>${escapeHtml(name)}</span>
+            <select class="unit-select" data-csv-exercise="${escapeHtml(name)}">
+              <option value="${escapeHtml(name)}">Keep “${escapeHtml(name)}”</option>
+              ${[['Program exercises', exercises], ['Substitutions', substitutions]].map(([group, list]) => `
+                <optgroup label="${group}">
+                  ${list.map(entry => `
+                    <option value="${escapeHtml(entry.name)}" ${choices.exerciseMap[name] === entry.name ? 'selected' : ''}>
+                      ${escapeHtml(entry.name)}${entry.substitution ? ` (for ${escapeHtml(entry.slot)})` : ''}
+                    </option>
+                  `).join('')}
+                </optgroup>
+              `).join('')}
+            </select>
+          </label>
+        `).join('')}
+      </div>
+    ` : ''}
+  `;
+}
+
+/**
+ * Show the CSV mapping step and wait for the user's decision
+ * Uses the import preview dialog, which shows the sessions afterwards.
+ * @param {Object} csv - Result of parseCsv()
+ * @param {Object} detected - Result of detectCsvFormat()
+ * @param {Object} catalog - Result of getProgramCatalog()
+ * @param {string} defaultUnit - Unit assumed when the file doesn't say
+ * @returns {Promise<Object|null>} { mapping, weightUnit, exerciseMap }, or null if cancelled
+ */
+export function showCsvMapping(csv, detected, catalog, defaultUnit) {
+  const modal = document.getElementById('import-preview-modal');
+  const body = document.getElementById('import-preview-body');
+  const confirmBtn = document.getElementById('import-confirm-btn');
+  const cancelBtn = document.getElementById('import-cancel-btn');
+
+  if (!modal || !body || !confirmBtn || !cancelBtn) {
+    return Promise.resolve(null);
+  }
+
+  const choices = {
+    mapping: { ...detected.mapping },
+    weightUnit: detected.weightUnit || defaultUnit,
+    exerciseMap: createExerciseMap(getCsvExerciseNames(csv, detected.mapping.exercise), catalog)
+  };
+
+  const render = () => {
+    body.innerHTML = renderCsvMapping(csv, detected, choices, catalog);
+    const missing = Object.entries(CSV_FIELDS)
+      .filter(([field, { required }]) => required && choices.mapping[field] === undefined)
+      .map(([, { label }]) => label);
+    confirmBtn.disabled = missing.length > 0;
+    confirmBtn.textContent = missing.length > 0 ? `Pick a ${missing.join(' and ')} column` : 'Next';
+  };
+
+  const onChange = (e) => {
+    const select = e.target;
+    if (select.dataset.csvField) {
+      if (select.value === '') {
+        delete choices.mapping[select.dataset.csvField];
+      } else {
+        choices.mapping[select.dataset.csvField] = parseInt(select.value, 10);
+      }
+      if (select.dataset.csvField === 'exercise') {
+        choices.exerciseMap = createExerciseMap(getCsvExerciseNames(csv, choices.mapping.exercise), catalog);
+      }
+      render();
+    } else if (select.dataset.csvUnit !== undefined) {
+      choices.weightUnit = select.value;
+    } else if (select.dataset.csvExercise) {
+      choices.exerciseMap[select.dataset.csvExercise] = select.value;
+    }
+  };
+
+  render();
+  body.addEventListener('change', onChange);
+
+  return waitForImportDecision(modal, () => choices, () => {
+    body.removeEventListener('change', onChange);
+  });
+}
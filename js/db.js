@@ -0,0 +1,330 @@
+/**
+ * Min-Max Companion - Database Module
+ * Handles the IndexedDB schema and low-level record access
+ *
+ * Sessions are normalized across three object stores so a single
+ * exercise or set can be queried without loading the whole history:
+ *   sessions  - one row per completed workout (keyed by session key)
+ *   exercises - one row per exercise in a session
+ *   sets      - one row per logged set
+ * Imported training programs live in their own store, one row per program.
+ */
+
+const DB_NAME = 'minmax';
+const DB_VERSION = 2;
+
+export const STORES = {
+  sessions: 'sessions',
+  exercises: 'exercises',
+  sets: 'sets',
+  meta: 'meta',
+  programs: 'programs'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the IndexedDB database
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+export function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(STORES.sessions)) {
+        const sessions = db.createObjectStore(STORES.sessions, { keyPath: 'key' });
+        sessions.createIndex('by_completed', 'completedAt');
+      }
+
+      if (!db.objectStoreNames.contains(STORES.exercises)) {
+        const exercises = db.createObjectStore(STORES.exercises, {
+          keyPath: ['sessionKey', 'position']
+        });
+        exercises.createIndex('by_session', 'sessionKey');
+        exercises.createIndex('by_name', 'name');
+      }
+
+      if (!db.objectStoreNames.contains(STORES.sets)) {
+        const sets = db.createObjectStore(STORES.sets, {
+          keyPath: ['sessionKey', 'exercisePosition', 'position']
+        });
+        sets.createIndex('by_session', 'sessionKey');
+      }
+
+      if (!db.objectStoreNames.contains(STORES.meta)) {
+        db.createObjectStore(STORES.meta, { keyPath: 'key' });
+      }
+
+      // Added in version 2
+      if (!db.objectStoreNames.contains(STORES.programs)) {
+        db.createObjectStore(STORES.programs, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Step aside when another tab needs to upgrade the schema, so its
+      // upgrade isn't blocked; the next call reopens at the new version
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+
+    // Another tab still has the old version open. The request stays pending
+    // and succeeds once that tab closes its connection.
+    request.onblocked = () => {
+      console.warn('Database upgrade waiting for another open tab to close');
+      alert('Min-Max Companion is open in another tab. Close it to finish updating.');
+    };
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wrap
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} tx - Transaction to wait on
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Split a nested session object into session, exercise and set rows
+ * @param {string} key - Session key
+ * @param {Object} session - Session with nested exercises and sets
+ * @returns {Object} Rows for each object store
+ */
+function splitSession(key, session) {
+  const { exercises = [], ...sessionFields } = session;
+  const exerciseRows = [];
+  const setRows = [];
+
+  exercises.forEach((exercise, position) => {
+    const { sets = [], ...exerciseFields } = exercise;
+    exerciseRows.push({ ...exerciseFields, sessionKey: key, position });
+
+    sets.forEach((set, setPosition) => {
+      setRows.push({
+        ...set,
+        sessionKey: key,
+        exercisePosition: position,
+        position: setPosition
+      });
+    });
+  });
+
+  return {
+    sessionRow: { ...sessionFields, key },
+    exerciseRows,
+    setRows
+  };
+}
+
+/**
+ * Delete every exercise and set row belonging to a session
+ * Both stores use compound keys that start with the session key, so a
+ * single key range covers them (and is queued in order with later puts).
+ * @param {IDBTransaction} tx - Read/write transaction over exercises and sets
+ * @param {string} key - Session key
+ */
+function deleteChildRows(tx, key) {
+  const range = IDBKeyRange.bound([key], [key, []]);
+  tx.objectStore(STORES.exercises).delete(range);
+  tx.objectStore(STORES.sets).delete(range);
+}
+
+/**
+ * Read every session and reassemble it into the nested history shape
+ * @returns {Promise<Object>} History object keyed by session key
+ */
+export async function readAllSessions() {
+  const db = await openDatabase();
+  const tx = db.transaction([STORES.sessions, STORES.exercises, STORES.sets], 'readonly');
+
+  const [sessionRows, exerciseRows, setRows] = await Promise.all([
+    promisifyRequest(tx.objectStore(STORES.sessions).getAll()),
+    promisifyRequest(tx.objectStore(STORES.exercises).getAll()),
+    promisifyRequest(tx.objectStore(STORES.sets).getAll())
+  ]);
+
+  const history = {};
+  const exercisesBySession = {};
+
+  sessionRows.forEach(({ key, ...session }) => {
+    history[key] = { ...session, exercises: [] };
+    exercisesBySession[key] = [];
+  });
+
+  exerciseRows.forEach(({ sessionKey, position, ...exercise }) => {
+    if (!exercisesBySession[sessionKey]) return;
+    exercisesBySession[sessionKey][position] = { ...exercise, sets: [] };
+  });
+
+  setRows.forEach(({ sessionKey, exercisePosition, position, ...set }) => {
+    const exercise = exercisesBySession[sessionKey]?.[exercisePosition];
+    if (exercise) {
+      exercise.sets[position] = set;
+    }
+  });
+
+  Object.entries(exercisesBySession).forEach(([key, exercises]) => {
+    history[key].exercises = exercises.filter(Boolean).map(ex => ({
+      ...ex,
+      sets: ex.sets.filter(Boolean)
+    }));
+  });
+
+  return history;
+}
+
+/**
+ * Write (insert or replace) one or more sessions in a single transaction
+ * @param {Object} sessions - Sessions keyed by session key
+ * @returns {Promise<void>}
+ */
+export async function writeSessions(sessions) {
+  const db = await openDatabase();
+  const tx = db.transaction([STORES.sessions, STORES.exercises, STORES.sets], 'readwrite');
+
+  Object.entries(sessions).forEach(([key, session]) => {
+    const { sessionRow, exerciseRows, setRows } = splitSession(key, session);
+
+    deleteChildRows(tx, key);
+    tx.objectStore(STORES.sessions).put(sessionRow);
+    exerciseRows.forEach(row => tx.objectStore(STORES.exercises).put(row));
+    setRows.forEach(row => tx.objectStore(STORES.sets).put(row));
+  });
+
+  await transactionDone(tx);
+}
+
+/**
+ * Delete sessions and all of their exercise and set rows
+ * @param {Array<string>} keys - Session keys to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteSessions(keys) {
+  const db = await openDatabase();
+  const tx = db.transaction([STORES.sessions, STORES.exercises, STORES.sets], 'readwrite');
+
+  keys.forEach(key => {
+    deleteChildRows(tx, key);
+    tx.objectStore(STORES.sessions).delete(key);
+  });
+
+  await transactionDone(tx);
+}
+
+/**
+ * Remove every session, exercise and set row
+ * @returns {Promise<void>}
+ */
+export async function clearSessions() {
+  const db = await openDatabase();
+  const tx = db.transaction([STORES.sessions, STORES.exercises, STORES.sets], 'readwrite');
+
+  tx.objectStore(STORES.sessions).clear();
+  tx.objectStore(STORES.exercises).clear();
+  tx.objectStore(STORES.sets).clear();
+
+  await transactionDone(tx);
+}
+
+/**
+ * Read a value from the meta store
+ * @param {string} key - Meta key
+ * @returns {Promise<*>} Stored value or undefined
+ */
+export async function getMeta(key) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.meta, 'readonly');
+  const row = await promisifyRequest(tx.objectStore(STORES.meta).get(key));
+  return row ? row.value : undefined;
+}
+
+/**
+ * Write a value to the meta store
+ * @param {string} key - Meta key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+export async function setMeta(key, value) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.meta, 'readwrite');
+  tx.objectStore(STORES.meta).put({ key, value });
+  await transactionDone(tx);
+}
+
+/**
+ * Read every imported program
+ * @returns {Promise<Array<Object>>} Program records ({ id, name, importedAt, data })
+ */
+export async function readPrograms() {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.programs, 'readonly');
+  return promisifyRequest(tx.objectStore(STORES.programs).getAll());
+}
+
+/**
+ * Insert or replace an imported program
+ * @param {Object} record - Program record keyed by `id`
+ * @returns {Promise<void>}
+ */
+export async function writeProgram(record) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.programs, 'readwrite');
+  tx.objectStore(STORES.programs).put(record);
+  await transactionDone(tx);
+}
+
+/**
+ * Delete an imported program
+ * @param {string} id - Program ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProgram(id) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.programs, 'readwrite');
+  tx.objectStore(STORES.programs).delete(id);
+  await transactionDone(tx);
+}
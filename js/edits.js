@@ -0,0 +1,188 @@
+/**
+ * Min-Max Companion - Session Edits Module
+ * Corrections to saved sessions, with a change log that can be reverted
+ *
+ * Each edit appends { editedAt, action, previous } to the session's
+ * `changeLog`, where `previous` is a snapshot of the editable fields
+ * before the edit. What an edit changed is worked out by comparing its
+ * snapshot with the next one (or the current session), so the log never
+ * disagrees with the data it describes.
+ *
+ * Actions are 'edit', 'revert' (restoring an earlier version) and
+ * 'conflict' (sync replaced a version edited on this device; see sync.js).
+ */
+
+import { parseLocalDate } from './schedule.js';
+import { getLocalDateString } from './storage.js';
+import { formatWeight, getWeightUnit } from './units.js';
+
+// Fields a correction can change (and a snapshot keeps)
+const EDITABLE_FIELDS = ['date', 'completedAt', 'startedAt', 'exercises'];
+
+const SET_FIELDS = ['weight', 'reps', 'seconds'];
+
+/**
+ * Copy the editable fields of a session
+ * @param {Object} session - Saved session
+ * @returns {Object} Snapshot ({ date, completedAt, startedAt?, exercises })
+ */
+export function snapshotSession(session) {
+  const snapshot = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (session[field] !== undefined) {
+      snapshot[field] = structuredClone(session[field]);
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * Work out the times of a session moved to another calendar day
+ * The time of day is kept, and the start moves with the finish.
+ * @param {Object} session - Saved session
+ * @param {string} date - New local YYYY-MM-DD date
+ * @returns {Object} { date, completedAt, startedAt? }
+ */
+export function moveSessionDate(session, date) {
+  const completed = new Date(session.completedAt);
+  const moved = parseLocalDate(date);
+  moved.setHours(completed.getHours(), completed.getMinutes(), completed.getSeconds(), completed.getMilliseconds());
+  const shift = moved - completed;
+
+  return {
+    date: getLocalDateString(moved),
+    completedAt: moved.toISOString(),
+    ...(session.startedAt
+      ? { startedAt: new Date(new Date(session.startedAt).getTime() + shift).toISOString() }
+      : {})
+  };
+}
+
+/**
+ * List what differs between two versions of a session
+ * Exercises and sets are compared by position.
+ * @param {Object} before - Earlier version (session or snapshot)
+ * @param {Object} after - Later version (session or snapshot)
+ * @returns {Array<Object>} Changes: { type: 'date', from, to },
+ *   { type: 'name', from, to }, { type: 'set', exercise, set, field, from, to },
+ *   { type: 'set-added' | 'set-removed', exercise, set, value }
+ */
+export function diffSessions(before, after) {
+  const changes = [];
+
+  if (before.date !== after.date) {
+    changes.push({ type: 'date', from: before.date, to: after.date });
+  }
+
+  const exerciseCount = Math.min(before.exercises.length, after.exercises.length);
+  for (let exIdx = 0; exIdx < exerciseCount; exIdx++) {
+    const was = before.exercises[exIdx];
+    const now = after.exercises[exIdx];
+
+    if (was.name !== now.name) {
+      changes.push({ type: 'name', from: was.name, to: now.name });
+    }
+
+    const setCount = Math.max(was.sets.length, now.sets.length);
+    for (let setIdx = 0; setIdx < setCount; setIdx++) {
+      const wasSet = was.sets[setIdx];
+      const nowSet = now.sets[setIdx];
+
+      if (!wasSet) {
+        changes.push({ type: 'set-added', exercise: now.name, set: setIdx + 1, value: nowSet });
+      } else if (!nowSet) {
+        changes.push({ type: 'set-removed', exercise: now.name, set: setIdx + 1, value: wasSet });
+      } else {
+        SET_FIELDS.forEach(field => {
+          if ((wasSet[field] ?? null) !== (nowSet[field] ?? null)) {
+            changes.push({ type: 'set', exercise: now.name, set: setIdx + 1, field, from: wasSet[field], to: nowSet[field] });
+          }
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Describe one change for the change log
+ * @param {Object} change - Change from diffSessions()
+ * @param {string} unit - Unit to show weights in (defaults to the preferred unit)
+ * @returns {string} e.g. "Squat set 2 weight: 2250 lbs → 225 lbs"
+ */
+export function describeSessionChange(change, unit = getWeightUnit()) {
+  const setText = (set) => {
+    if (set.seconds) return `${set.seconds} s`;
+    return `${formatWeight(set.weight, unit)} × ${set.reps}`;
+  };
+
+  switch (change.type) {
+    case 'date':
+      return `Date: ${change.from} → ${change.to}`;
+    case 'name':
+      return `Variation: ${change.from} → ${change.to}`;
+    case 'set-added':
+      return `${change.exercise}: added set ${change.set} (${setText(change.value)})`;
+    case 'set-removed':
+      return `${change.exercise}: removed set ${change.set} (${setText(change.value)})`;
+    default: {
+      const format = change.field === 'weight'
+        ? (value) => formatWeight(value ?? 0, unit)
+        : (value) => value ?? '–';
+      return `${change.exercise} set ${change.set} ${change.field}: ${format(change.from)} → ${format(change.to)}`;
+    }
+  }
+}
+
+/**
+ * Apply a correction to a session and log it
+ * @param {Object} session - Saved session
+ * @param {Object} edited - New values for the editable fields
+ * @param {string} action - 'edit', or 'revert' when restoring an earlier version
+ * @returns {Object|null} Updated session, or null if nothing changed
+ */
+export function applySessionEdit(session, edited, action = 'edit') {
+  const updated = { ...session, ...snapshotSession(edited) };
+  if (diffSessions(session, updated).length === 0 && session.completedAt === updated.completedAt) {
+    return null;
+  }
+
+  updated.changeLog = [
+    ...(session.changeLog || []),
+    { editedAt: new Date().toISOString(), action, previous: snapshotSession(session) }
+  ];
+  return updated;
+}
+
+/**
+ * Put a session back the way it was before a logged edit
+ * The restore is logged too, so it can itself be undone.
+ * @param {Object} session - Saved session
+ * @param {number} index - Index of the change log entry
+ * @returns {Object|null} Updated session, or null if nothing changed
+ */
+export function restoreSessionVersion(session, index) {
+  const entry = (session.changeLog || [])[index];
+  if (!entry) return null;
+
+  return applySessionEdit(session, entry.previous, 'revert');
+}
+
+/**
+ * Read a session's change log with what each entry changed
+ * @param {Object} session - Saved session
+ * @returns {Array<Object>} [{ index, editedAt, action, changes }], newest first
+ */
+export function getChangeLog(session) {
+  const log = session.changeLog || [];
+
+  return log
+    .map((entry, index) => ({
+      index,
+      editedAt: entry.editedAt,
+      action: entry.action,
+      changes: diffSessions(entry.previous, index < log.length - 1 ? log[index + 1].previous : session)
+    }))
+    .reverse();
+}
@@ -0,0 +1,200 @@
+/**
+ * Min-Max Companion - Effort Module
+ * Per-set effort (RIR or RPE) and how it compares with the prescribed RIR
+ *
+ * Effort can be entered as reps in reserve (RIR) or as RPE, where
+ * RPE = 10 - RIR. History always stores RIR (`rir` on the set, next to the
+ * prescribed `targetRir`), so a change of scale never changes saved data.
+ */
+
+const EFFORT_SCALE_KEY = 'minmax_effort_scale';
+
+export const DEFAULT_EFFORT_SCALE = 'rir';
+
+export const EFFORT_SCALES = {
+  rir: { label: 'RIR', name: 'Reps in reserve', min: 0, max: 10 },
+  rpe: { label: 'RPE', name: 'Rate of perceived exertion', min: 1, max: 10 }
+};
+
+// Effort is entered in half steps (e.g. RPE 8.5)
+const EFFORT_STEP = 0.5;
+
+// How far from the target the average can drift and still count as on target
+const CALIBRATION_TOLERANCE = 0.5;
+
+// Share of sets that must miss the same way before calling it a habit
+const CONSISTENT_SHARE = 0.6;
+
+export const EFFORT_VERDICTS = {
+  easy: 'Consistently leaving more reps in the tank than prescribed',
+  hard: 'Consistently going closer to failure than prescribed',
+  mixed: 'Effort varies from the prescription without a clear pattern',
+  on: 'Effort matches the prescription'
+};
+
+/**
+ * Get the preferred effort scale
+ * @returns {string} 'rir' or 'rpe'
+ */
+export function getEffortScale() {
+  const stored = localStorage.getItem(EFFORT_SCALE_KEY);
+  return EFFORT_SCALES[stored] ? stored : DEFAULT_EFFORT_SCALE;
+}
+
+/**
+ * Set the preferred effort scale
+ * @param {string} scale - 'rir' or 'rpe'
+ */
+export function setEffortScale(scale) {
+  if (!EFFORT_SCALES[scale]) {
+    throw new Error(`Unknown effort scale: ${scale}`);
+  }
+  localStorage.setItem(EFFORT_SCALE_KEY, scale);
+}
+
+/**
+ * Convert an effort value to RIR
+ * @param {number} value - Effort in the given scale
+ * @param {string} scale - 'rir' or 'rpe'
+ * @returns {number} Reps in reserve
+ */
+export function toRir(value, scale) {
+  return scale === 'rpe' ? 10 - value : value;
+}
+
+/**
+ * Convert RIR to an effort scale
+ * @param {number} rir - Reps in reserve
+ * @param {string} scale - 'rir' or 'rpe'
+ * @returns {number} Effort in the scale
+ */
+export function fromRir(rir, scale) {
+  return scale === 'rpe' ? 10 - rir : rir;
+}
+
+/**
+ * Get the prescribed RIR for a set
+ * Sets added beyond the prescription share the last set's target.
+ * @param {Array<number>} rir - Per-set RIR targets
+ * @param {number} setIndex - Set index
+ * @returns {number|null} Target RIR, or null if none is prescribed
+ */
+export function getTargetRir(rir, setIndex) {
+  if (!Array.isArray(rir) || rir.length === 0) return null;
+  return rir[Math.min(setIndex, rir.length - 1)];
+}
+
+/**
+ * Format a prescription's RIR targets for a badge
+ * @param {Array<number>} rir - Per-set RIR targets
+ * @param {string} scale - 'rir' or 'rpe'
+ * @returns {string} e.g. "RIR 2 → 1", "RPE 10" or "" if none
+ */
+export function formatEffortTargets(rir, scale) {
+  if (!Array.isArray(rir) || rir.length === 0) return '';
+
+  const targets = rir.map(r => fromRir(r, scale))
+    .filter((value, idx, all) => idx === 0 || value !== all[idx - 1]);
+  return `${EFFORT_SCALES[scale].label} ${targets.join(' → ')}`;
+}
+
+/**
+ * Check an effort entry before logging (effort is optional)
+ * @param {string|number} value - Entered effort
+ * @param {string} scale - 'rir' or 'rpe'
+ * @returns {string|null} Error message, or null if valid or empty
+ */
+export function validateEffort(value, scale) {
+  if (value === '' || value === undefined || value === null) return null;
+
+  const { label, min, max } = EFFORT_SCALES[scale];
+  const effort = parseFloat(value);
+  if (!(effort >= min && effort <= max) || effort % EFFORT_STEP !== 0) {
+    return `${label} must be between ${min} and ${max} in steps of ${EFFORT_STEP}`;
+  }
+  return null;
+}
+
+/**
+ * Convert an effort entry into the saved set fields
+ * @param {string|number} value - Entered effort
+ * @param {string} scale - 'rir' or 'rpe'
+ * @param {number|null} targetRir - Prescribed RIR for the set
+ * @returns {Object} { rir, targetRir? }, or {} if no effort was entered
+ */
+export function serializeEffort(value, scale, targetRir) {
+  if (value === '' || value === undefined || value === null) return {};
+
+  return {
+    rir: toRir(parseFloat(value), scale),
+    ...(targetRir !== null ? { targetRir } : {})
+  };
+}
+
+/**
+ * Get how far a set's effort was from its target
+ * @param {Object} set - Saved set ({ rir, targetRir })
+ * @returns {number|null} Actual minus target RIR (positive = easier than
+ *   prescribed), or null if either is missing
+ */
+export function getEffortDeviation(set) {
+  if (typeof set.rir !== 'number' || typeof set.targetRir !== 'number') return null;
+  return set.rir - set.targetRir;
+}
+
+/**
+ * Average effort deviation of a list of sets
+ * @param {Array<Object>} sets - Saved sets
+ * @returns {number|null} Average deviation in RIR, or null if none have both values
+ */
+export function averageEffortDeviation(sets) {
+  const deviations = sets.map(getEffortDeviation).filter(d => d !== null);
+  if (deviations.length === 0) return null;
+  return Math.round(deviations.reduce((sum, d) => sum + d, 0) / deviations.length * 10) / 10;
+}
+
+/**
+ * Summarize how effort compared with the prescription across sets
+ * @param {Array<Object>} sets - Saved sets
+ * @returns {Object|null} { count, average, above, below, verdict } where
+ *   verdict is a key of EFFORT_VERDICTS, or null if no set has both values
+ */
+export function summarizeEffort(sets) {
+  const deviations = sets.map(getEffortDeviation).filter(d => d !== null);
+  if (deviations.length === 0) return null;
+
+  const count = deviations.length;
+  const average = averageEffortDeviation(sets);
+  const above = deviations.filter(d => d > 0).length;
+  const below = deviations.filter(d => d < 0).length;
+
+  let verdict = 'mixed';
+  if (Math.abs(average) < CALIBRATION_TOLERANCE) {
+    verdict = 'on';
+  } else if (average > 0 && above / count >= CONSISTENT_SHARE) {
+    verdict = 'easy';
+  } else if (average < 0 && below / count >= CONSISTENT_SHARE) {
+    verdict = 'hard';
+  }
+
+  return { count, average, above, below, verdict };
+}
+
+/**
+ * Render the effort scale setting
+ * @param {HTMLElement} container - Element to render into
+ */
+export function renderEffortSettings(container) {
+  const scale = getEffortScale();
+
+  container.innerHTML = `
+    <label class="unit-setting">
+      <span>Effort scale</span>
+      <select id="effort-scale-select" class="unit-select">
+        ${Object.entries(EFFORT_SCALES).map(([key, info]) => `
+          <option value="${key}" ${key === scale ? 'selected' : ''}>${info.name} (${info.label})</option>
+        `).join('')}
+      </select>
+    </label>
+  `;
+}
@@ -0,0 +1,143 @@
+/**
+ * Min-Max Companion - Logging Modes Module
+ * Decides how the sets of an exercise are entered, checked and shown
+ *
+ * Modes:
+ *   weighted   - weight × reps
+ *   bodyweight - bodyweight plus added load (weight is the added load, may be 0)
+ *   assisted   - bodyweight minus assistance (weight is the assistance)
+ *   duration   - timed holds (seconds; weight and reps are stored as 0)
+ * Saved sets carry a `mode` field unless they are weighted, so history
+ * from before modes existed reads as weight × reps.
+ */
+
+const LOGGING_MODES_KEY = 'minmax_logging_modes';
+
+export const DEFAULT_MODE = 'weighted';
+
+export const LOGGING_MODES = {
+  weighted: { label: 'Weight × Reps', loadLabel: 'Weight' },
+  bodyweight: { label: 'Bodyweight + Load', loadLabel: 'Added' },
+  assisted: { label: 'Assisted', loadLabel: 'Assist' },
+  duration: { label: 'Duration', loadLabel: null }
+};
+
+// Program exercises that aren't weight × reps by default
+const BODYWEIGHT_PATTERN = /pull-up|chin-up|close-grip dip|nordic|sissy squat|45 deg hyper/i;
+const DURATION_PATTERN = /dead hang|plank|\bhold\b/i;
+
+/**
+ * Read the per-exercise mode overrides
+ * @returns {Object} { exerciseName: mode }
+ */
+function loadModeOverrides() {
+  try {
+    return JSON.parse(localStorage.getItem(LOGGING_MODES_KEY)) || {};
+  } catch (error) {
+    console.error('Failed to read logging modes:', error);
+    return {};
+  }
+}
+
+/**
+ * Get the logging mode of an exercise
+ * A mode picked on the exercise card wins; otherwise it is inferred from
+ * the name, and exercises prescribed without a rep range are timed.
+ * @param {string} exerciseName - Exercise name
+ * @param {string} reps - Prescribed reps (e.g. "6-8" or "N/A")
+ * @returns {string} Key of LOGGING_MODES
+ */
+export function getLoggingMode(exerciseName, reps = '') {
+  const override = loadModeOverrides()[exerciseName];
+  if (LOGGING_MODES[override]) return override;
+
+  if (DURATION_PATTERN.test(exerciseName) || reps === 'N/A') return 'duration';
+  if (BODYWEIGHT_PATTERN.test(exerciseName)) return 'bodyweight';
+  return DEFAULT_MODE;
+}
+
+/**
+ * Remember the logging mode picked for an exercise
+ * @param {string} exerciseName - Exercise name
+ * @param {string} mode - Key of LOGGING_MODES
+ */
+export function setLoggingMode(exerciseName, mode) {
+  if (!LOGGING_MODES[mode]) {
+    throw new Error(`Unknown logging mode: ${mode}`);
+  }
+
+  const overrides = loadModeOverrides();
+  overrides[exerciseName] = mode;
+  localStorage.setItem(LOGGING_MODES_KEY, JSON.stringify(overrides));
+}
+
+/**
+ * Get the mode a saved set was logged in
+ * @param {Object} set - Saved set
+ * @returns {string} Key of LOGGING_MODES
+ */
+export function getSetMode(set) {
+  return set && LOGGING_MODES[set.mode] ? set.mode : DEFAULT_MODE;
+}
+
+/**
+ * Check a set's inputs before logging
+ * @param {Object} set - Set state ({ weight, reps, seconds })
+ * @param {string} mode - Key of LOGGING_MODES
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateSetEntry(set, mode) {
+  const weight = set.weight === '' || set.weight === undefined ? 0 : parseFloat(set.weight);
+  const reps = parseInt(set.reps, 10);
+
+  switch (mode) {
+    case 'duration':
+      return parseInt(set.seconds, 10) > 0 ? null : 'Please enter how many seconds you held';
+    case 'bodyweight':
+      if (!(weight >= 0)) return 'Added load cannot be negative';
+      return reps > 0 ? null : 'Please enter your reps';
+    case 'assisted':
+      if (!(weight >= 0)) return 'Assistance cannot be negative';
+      return reps > 0 ? null : 'Please enter your reps';
+    default:
+      return weight > 0 && reps > 0 ? null : 'Please enter both weight and reps';
+  }
+}
+
+/**
+ * Convert a set's inputs into the saved history shape
+ * @param {Object} set - Set state
+ * @param {string} mode - Key of LOGGING_MODES
+ * @returns {Object} { weight, reps, mode?, seconds? }
+ */
+export function serializeSetEntry(set, mode) {
+  if (mode === 'duration') {
+    return { mode, weight: 0, reps: 0, seconds: parseInt(set.seconds, 10) };
+  }
+
+  const entry = {
+    weight: parseFloat(set.weight) || 0,
+    reps: parseInt(set.reps, 10)
+  };
+  return mode === DEFAULT_MODE ? entry : { mode, ...entry };
+}
+
+/**
+ * Format a set for display
+ * @param {Object} set - Set ({ weight, reps, seconds })
+ * @param {string} mode - Key of LOGGING_MODES
+ * @param {string} unitLabel - Weight unit label
+ * @returns {string} e.g. "135 lbs × 8", "BW+25 lbs × 8", "45 s"
+ */
+export function formatSetEntry(set, mode, unitLabel) {
+  switch (mode) {
+    case 'duration':
+      return `${set.seconds} s`;
+    case 'bodyweight':
+      return parseFloat(set.weight) > 0 ? `BW+${set.weight} ${unitLabel} × ${set.reps}` : `BW × ${set.reps}`;
+    case 'assisted':
+      return `BW−${set.weight || 0} ${unitLabel} × ${set.reps}`;
+    default:
+      return `${set.weight} ${unitLabel} × ${set.reps}`;
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Min-Max Companion - Metrics Module
+ * Strength and volume calculations shared by progress views
+ */
+
+import { getSetVolume } from './techniques.js';
+
+/**
+ * Estimated one-rep max formulas
+ * Each takes a weight and a rep count (reps >= 1)
+ */
+export const E1RM_FORMULAS = {
+  epley: {
+    label: 'Epley',
+    estimate: (weight, reps) => weight * (1 + reps / 30)
+  },
+  brzycki: {
+    label: 'Brzycki',
+    estimate: (weight, reps) => (reps >= 37 ? null : weight * 36 / (37 - reps))
+  },
+  lombardi: {
+    label: 'Lombardi',
+    estimate: (weight, reps) => weight * Math.pow(reps, 0.1)
+  },
+  oconner: {
+    label: "O'Conner",
+    estimate: (weight, reps) => weight * (1 + reps / 40)
+  }
+};
+
+export const DEFAULT_E1RM_FORMULA = 'epley';
+
+export const E1RM_FORMULA_KEY = 'minmax_e1rm_formula';
+
+/**
+ * Load the preferred e1RM formula
+ * @returns {string} Key of E1RM_FORMULAS
+ */
+export function loadFormulaPreference() {
+  const stored = localStorage.getItem(E1RM_FORMULA_KEY);
+  return E1RM_FORMULAS[stored] ? stored : DEFAULT_E1RM_FORMULA;
+}
+
+/**
+ * Estimate a one-rep max from a single set
+ * @param {number} weight - Weight lifted
+ * @param {number} reps - Reps completed
+ * @param {string} formula - Key of E1RM_FORMULAS
+ * @returns {number|null} Estimated 1RM rounded to 0.1, or null if not estimable
+ */
+export function estimateOneRepMax(weight, reps, formula = DEFAULT_E1RM_FORMULA) {
+  if (!(weight > 0) || !(reps > 0)) return null;
+  if (reps === 1) return weight;
+
+  const { estimate } = E1RM_FORMULAS[formula] || E1RM_FORMULAS[DEFAULT_E1RM_FORMULA];
+  const value = estimate(weight, reps);
+  return value ? Math.round(value * 10) / 10 : null;
+}
+
+/**
+ * Best estimated 1RM across a list of sets
+ * @param {Array<Object>} sets - Working sets ({ weight, reps })
+ * @param {string} formula - Key of E1RM_FORMULAS
+ * @returns {number|null} Highest e1RM, or null if none could be estimated
+ */
+export function bestOneRepMax(sets, formula = DEFAULT_E1RM_FORMULA) {
+  const estimates = sets
+    .map(s => estimateOneRepMax(s.weight, s.reps, formula))
+    .filter(v => v !== null);
+  return estimates.length > 0 ? Math.max(...estimates) : null;
+}
+
+/**
+ * Volume of the best single set (including its technique work)
+ * @param {Array<Object>} sets - Working sets
+ * @returns {number} Highest set volume
+ */
+export function bestSetVolume(sets) {
+  return sets.length > 0 ? Math.max(...sets.map(getSetVolume)) : 0;
+}
+
+/**
+ * Most reps completed at a given weight
+ * @param {Array<Object>} sets - Working sets
+ * @param {number} weight - Weight to look for
+ * @returns {number|null} Highest rep count at that weight, or null if not done
+ */
+export function repsAtWeight(sets, weight) {
+  const matching = sets.filter(s => s.weight === weight);
+  return matching.length > 0 ? Math.max(...matching.map(s => s.reps || 0)) : null;
+}
+
+/**
+ * Longest timed set
+ * @param {Array<Object>} sets - Working sets ({ seconds })
+ * @returns {number|null} Most seconds in one set, or null if none were timed
+ */
+export function longestDuration(sets) {
+  const timed = sets.filter(s => s.seconds > 0);
+  return timed.length > 0 ? Math.max(...timed.map(s => s.seconds)) : null;
+}
+
+/**
+ * Total time across timed sets
+ * @param {Array<Object>} sets - Working sets ({ seconds })
+ * @returns {number|null} Sum of seconds, or null if none were timed
+ */
+export function totalDuration(sets) {
+  const timed = sets.filter(s => s.seconds > 0);
+  return timed.length > 0 ? timed.reduce((sum, s) => sum + s.seconds, 0) : null;
+}
+
+/**
+ * Total reps across sets
+ * @param {Array<Object>} sets - Working sets
+ * @returns {number} Sum of reps
+ */
+export function totalReps(sets) {
+  return sets.reduce((sum, s) => sum + (s.reps || 0), 0);
+}
@@ -0,0 +1,182 @@
+/**
+ * Min-Max Companion - Muscles Module
+ * Maps exercises to the muscles they train and counts weekly hard sets
+ *
+ * Every working set counts as one hard set for each primary muscle and
+ * half a set for each secondary muscle. Warm-ups are not hard sets.
+ */
+
+export const PRIMARY_SET_WEIGHT = 1;
+export const SECONDARY_SET_WEIGHT = 0.5;
+
+// Display order and labels
+export const MUSCLE_GROUPS = {
+  chest: 'Chest',
+  frontDelts: 'Front Delts',
+  sideDelts: 'Side Delts',
+  rearDelts: 'Rear Delts',
+  lats: 'Lats',
+  upperBack: 'Upper Back',
+  traps: 'Traps',
+  biceps: 'Biceps',
+  triceps: 'Triceps',
+  forearms: 'Forearms',
+  abs: 'Abs',
+  quads: 'Quads',
+  hamstrings: 'Hamstrings',
+  glutes: 'Glutes',
+  calves: 'Calves'
+};
+
+const QUAD_DOMINANT = { primary: ['quads'], secondary: ['glutes'] };
+const HORIZONTAL_PRESS = { primary: ['chest'], secondary: ['frontDelts', 'triceps'] };
+const VERTICAL_PULL = { primary: ['lats'], secondary: ['upperBack', 'biceps'] };
+const CLOSE_GRIP_PULL = { primary: ['lats'], secondary: ['biceps'] };
+const ROW = { primary: ['upperBack', 'lats'], secondary: ['rearDelts', 'biceps'] };
+const LATERAL_RAISE = { primary: ['sideDelts'], secondary: [] };
+const REAR_DELT_FLYE = { primary: ['rearDelts'], secondary: ['upperBack'] };
+const CURL = { primary: ['biceps'], secondary: ['forearms'] };
+const HAMMER_CURL = { primary: ['biceps', 'forearms'], secondary: [] };
+const TRICEPS_ISOLATION = { primary: ['triceps'], secondary: [] };
+const DIP = { primary: ['triceps'], secondary: ['chest', 'frontDelts'] };
+const HINGE = { primary: ['hamstrings', 'glutes'], secondary: [] };
+const HIP_THRUST = { primary: ['glutes'], secondary: ['hamstrings'] };
+const LEG_CURL = { primary: ['hamstrings'], secondary: [] };
+const KNEE_EXTENSION = { primary: ['quads'], secondary: [] };
+const CALF_RAISE = { primary: ['calves'], secondary: [] };
+const SHRUG = { primary: ['traps'], secondary: [] };
+const CRUNCH = { primary: ['abs'], secondary: [] };
+const WRIST = { primary: ['forearms'], secondary: [] };
+
+// Program exercises and all of their listed substitutions
+const EXERCISE_MUSCLES = {
+  // Hamstrings
+  'Lying Leg Curl': LEG_CURL,
+  'Seated Leg Curl': LEG_CURL,
+  'Nordic Ham Curl': LEG_CURL,
+  'Barbell RDL': HINGE,
+  'DB RDL': HINGE,
+  'Seated Cable Deadlift': HINGE,
+
+  // Quads
+  'Squat (Your Choice)': QUAD_DOMINANT,
+  'BB Back/Front': QUAD_DOMINANT,
+  'Pendulum': QUAD_DOMINANT,
+  'Hack': QUAD_DOMINANT,
+  'Belt': QUAD_DOMINANT,
+  'Smith': QUAD_DOMINANT,
+  'Leg Press': QUAD_DOMINANT,
+  'BB Squat': QUAD_DOMINANT,
+  'Smith Squat': QUAD_DOMINANT,
+  'Leg Extension': KNEE_EXTENSION,
+  'Reverse Nordic': KNEE_EXTENSION,
+  'Sissy Squat': KNEE_EXTENSION,
+
+  // Glutes
+  'Machine Hip Thrust': HIP_THRUST,
+  'BB Hip Thrust': HIP_THRUST,
+  '45 deg Hyper': HIP_THRUST,
+
+  // Calves
+  'Standing Calf Raise': CALF_RAISE,
+  'Donkey Calf Raise': CALF_RAISE,
+  'Leg Press Calf Press': CALF_RAISE,
+
+  // Chest
+  'Barbell Incline Press': HORIZONTAL_PRESS,
+  'Smith Incline': HORIZONTAL_PRESS,
+  'DB Incline': HORIZONTAL_PRESS,
+  'Machine Chest Press': HORIZONTAL_PRESS,
+  'DB Bench': HORIZONTAL_PRESS,
+  'Smith Bench': HORIZONTAL_PRESS,
+
+  // Back
+  'Pull-Up (Wide Grip)': VERTICAL_PULL,
+  'Lat Pulldown': VERTICAL_PULL,
+  '1-Arm Cable Pulldown': CLOSE_GRIP_PULL,
+  'Close-Grip Lat Pulldown': CLOSE_GRIP_PULL,
+  'Close-Grip Pull-Up': CLOSE_GRIP_PULL,
+  'Chest-Supported T-Bar Row': ROW,
+  'DB Row': ROW,
+  'Machine Row': ROW,
+  'Machine Shrug': SHRUG,
+  'Barbell Shrug': SHRUG,
+  'Cable Shrug-In': SHRUG,
+
+  // Delts
+  'Incline DB Y-Raise': { primary: ['sideDelts'], secondary: ['traps'] },
+  'Cable Y-Raise': { primary: ['sideDelts'], secondary: ['traps'] },
+  'Machine Lateral Raise': LATERAL_RAISE,
+  'High-Cable Lateral Raise': LATERAL_RAISE,
+  'DB Lateral Raise': LATERAL_RAISE,
+  '1-Arm Reverse Pec Deck': REAR_DELT_FLYE,
+  'Lying Reverse DB Flye': REAR_DELT_FLYE,
+  'Reverse Cable Crossover': REAR_DELT_FLYE,
+
+  // Arms
+  'Bayesian Cable Curl': CURL,
+  'Incline DB Curl': CURL,
+  'Standing DB Curl': CURL,
+  'Alternating DB Curl': CURL,
+  'BB Curl': CURL,
+  'EZ-Bar Curl': CURL,
+  'Modified Zottman Curl': HAMMER_CURL,
+  'DB Hammer Curl': HAMMER_CURL,
+  'Preacher Hammer Curl': HAMMER_CURL,
+  'Overhead Cable Triceps Extension': TRICEPS_ISOLATION,
+  'Overhead DB Extension': TRICEPS_ISOLATION,
+  'Skull Crusher': TRICEPS_ISOLATION,
+  'Cable Triceps Kickback': TRICEPS_ISOLATION,
+  'Close-Grip Dip': DIP,
+  'Seated Dip Machine': DIP,
+  'DB Wrist Curl': WRIST,
+  'Cable Wrist Curl': WRIST,
+  'DB Wrist Extension': WRIST,
+  'Cable Wrist Extension': WRIST,
+  'Dead Hang (optional)': WRIST,
+
+  // Abs
+  'Cable Crunch': CRUNCH,
+  'Machine Crunch': CRUNCH,
+  'Weighted Crunch': CRUNCH
+};
+
+/**
+ * Look up the muscles trained by an exercise
+ * @param {string} exerciseName - Exercise or substitution name
+ * @returns {Object|null} { primary, secondary } muscle keys, or null if unmapped
+ */
+export function getExerciseMuscles(exerciseName) {
+  if (!exerciseName) return null;
+  return EXERCISE_MUSCLES[exerciseName.trim()] || null;
+}
+
+/**
+ * Count weighted hard sets per muscle for a list of exercises
+ * @param {Array<Object>} entries - Exercises done or prescribed ({ name, sets })
+ *   where sets is a set count
+ * @returns {Object} { totals: { muscle: sets }, unmapped: [exercise names] }
+ */
+export function countMuscleSets(entries) {
+  const totals = {};
+  const unmapped = new Set();
+
+  entries.forEach(({ name, sets }) => {
+    if (!sets) return;
+
+    const muscles = getExerciseMuscles(name);
+    if (!muscles) {
+      unmapped.add(name);
+      return;
+    }
+
+    muscles.primary.forEach(muscle => {
+      totals[muscle] = (totals[muscle] || 0) + sets * PRIMARY_SET_WEIGHT;
+    });
+    muscles.secondary.forEach(muscle => {
+      totals[muscle] = (totals[muscle] || 0) + sets * SECONDARY_SET_WEIGHT;
+    });
+  });
+
+  return { totals, unmapped: [...unmapped] };
+}
@@ -0,0 +1,75 @@
+/**
+ * Min-Max Companion - Notes Module
+ * The training journal: your own notes per exercise and per session
+ *
+ * Notes are saved as `note` on the session and on each exercise. They are
+ * separate from the coaching `notes` the program ships for an exercise.
+ */
+
+import { getWorkoutHistory } from './storage.js';
+
+export const NOTE_MAX_LENGTH = 1000;
+
+/**
+ * Tidy a note for saving
+ * @param {string} text - Note as typed
+ * @returns {string} Trimmed note (capped at NOTE_MAX_LENGTH), or ''
+ */
+export function normalizeNote(text) {
+  return typeof text === 'string' ? text.trim().slice(0, NOTE_MAX_LENGTH) : '';
+}
+
+/**
+ * List every note in the history
+ * @param {Object} history - Workout history ({ key: session })
+ * @returns {Array<Object>} [{ key, completedAt, week, dayType, exercise, slot,
+ *   text }], newest first; `exercise` is null for session notes
+ */
+export function collectNotes(history = getWorkoutHistory()) {
+  const entries = [];
+
+  Object.entries(history).forEach(([key, session]) => {
+    const base = { key, completedAt: session.completedAt, week: session.week, dayType: session.dayType };
+
+    if (session.note) {
+      entries.push({ ...base, exercise: null, slot: null, text: session.note });
+    }
+    (session.exercises || []).forEach(exercise => {
+      if (exercise.note) {
+        entries.push({ ...base, exercise: exercise.name, slot: exercise.slot || exercise.name, text: exercise.note });
+      }
+    });
+  });
+
+  return entries.sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+}
+
+/**
+ * Get the most recent note written for an exercise
+ * @param {string} exerciseName - Name of the exercise
+ * @param {Object} history - Workout history ({ key: session })
+ * @returns {Object|null} Note entry (see collectNotes), or null if none
+ */
+export function getLastExerciseNote(exerciseName, history = getWorkoutHistory()) {
+  return collectNotes(history).find(entry => entry.exercise === exerciseName) || null;
+}
+
+/**
+ * Filter notes by a search query
+ * Every word of the query must appear in the note, its exercise or its day.
+ * @param {Array<Object>} entries - Note entries from collectNotes()
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Matching entries, in the same order
+ */
+export function searchNotes(entries, query) {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return entries;
+
+  return entries.filter(entry => {
+    const haystack = [entry.text, entry.exercise, entry.slot, entry.dayType]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
@@ -0,0 +1,231 @@
+/**
+ * Min-Max Companion - Plates Module
+ * Works out which plates to load on each side of a barbell
+ *
+ * The plate set has its own unit (a gym can have kg plates while weights
+ * are entered in lbs). Inventory counts are pairs, since plates are
+ * loaded one per side.
+ */
+
+import { convertWeight, getWeightUnit, getUnitLabel } from './units.js';
+
+const PLATES_KEY = 'minmax_plate_settings';
+
+// Work in hundredths so fractional plates add up exactly
+const PLATE_SCALE = 100;
+
+export const DEFAULT_PLATE_SETS = {
+  lb: {
+    unit: 'lb',
+    bar: 45,
+    plates: [
+      { weight: 55, pairs: 0 },
+      { weight: 45, pairs: 4 },
+      { weight: 35, pairs: 1 },
+      { weight: 25, pairs: 2 },
+      { weight: 10, pairs: 2 },
+      { weight: 5, pairs: 2 },
+      { weight: 2.5, pairs: 2 },
+      { weight: 1.25, pairs: 0 }
+    ]
+  },
+  kg: {
+    unit: 'kg',
+    bar: 20,
+    plates: [
+      { weight: 25, pairs: 4 },
+      { weight: 20, pairs: 2 },
+      { weight: 15, pairs: 1 },
+      { weight: 10, pairs: 2 },
+      { weight: 5, pairs: 2 },
+      { weight: 2.5, pairs: 2 },
+      { weight: 1.25, pairs: 2 },
+      { weight: 0.5, pairs: 0 }
+    ]
+  }
+};
+
+/**
+ * Get the bar and plate inventory
+ * @returns {Object} { unit, bar, plates: [{ weight, pairs }] } (heaviest plate first)
+ */
+export function getPlateSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PLATES_KEY));
+    if (stored && DEFAULT_PLATE_SETS[stored.unit] && stored.bar >= 0 && Array.isArray(stored.plates)) {
+      return stored;
+    }
+  } catch (error) {
+    console.error('Failed to read plate settings:', error);
+  }
+
+  return structuredClone(DEFAULT_PLATE_SETS[getWeightUnit()]);
+}
+
+/**
+ * Get the empty bar's weight
+ * @param {string} unit - Unit to return the weight in
+ * @returns {number} Bar weight
+ */
+export function getBarWeight(unit = getWeightUnit()) {
+  const settings = getPlateSettings();
+  return Math.round(convertWeight(settings.bar, settings.unit, unit) * 100) / 100;
+}
+
+/**
+ * Save the bar and plate inventory
+ * @param {Object} settings - { unit, bar, plates: [{ weight, pairs }] }
+ */
+export function savePlateSettings(settings) {
+  if (!DEFAULT_PLATE_SETS[settings.unit] || !(settings.bar >= 0)) {
+    throw new Error('Plate settings need a unit and a bar weight');
+  }
+
+  const plates = settings.plates
+    .filter(plate => plate.weight > 0)
+    .map(plate => ({ weight: plate.weight, pairs: Math.max(0, Math.floor(plate.pairs) || 0) }))
+    .sort((a, b) => b.weight - a.weight);
+
+  localStorage.setItem(PLATES_KEY, JSON.stringify({ unit: settings.unit, bar: settings.bar, plates }));
+}
+
+/**
+ * Go back to the default plate set for a unit
+ * @param {string} unit - 'lb' or 'kg'
+ */
+export function resetPlateSettings(unit) {
+  savePlateSettings(structuredClone(DEFAULT_PLATE_SETS[unit]));
+}
+
+/**
+ * Find the plates that load a bar closest to a target weight
+ * Ties go to the lighter load, then to fewer plates.
+ * @param {number} target - Target weight (in the plate set's unit)
+ * @param {Object} settings - Plate settings from getPlateSettings()
+ * @returns {Object} { perSide: [plate weights, heaviest first], total }
+ */
+export function calculatePlates(target, settings) {
+  const perSideTarget = ((target - settings.bar) / 2) * PLATE_SCALE;
+  if (perSideTarget <= 0) {
+    return { perSide: [], total: settings.bar };
+  }
+
+  const plates = [...settings.plates]
+    .filter(plate => plate.pairs > 0)
+    .sort((a, b) => b.weight - a.weight);
+  const largest = plates.length > 0 ? Math.round(plates[0].weight * PLATE_SCALE) : 0;
+
+  // Every reachable per-side load, with the fewest plates that make it
+  let reachable = new Map([[0, []]]);
+  plates.forEach(plate => {
+    const size = Math.round(plate.weight * PLATE_SCALE);
+    const next = new Map(reachable);
+
+    reachable.forEach((loaded, sum) => {
+      for (let count = 1; count <= plate.pairs; count++) {
+        const total = sum + size * count;
+        if (total > perSideTarget + largest) break;
+
+        const combo = [...loaded, ...Array(count).fill(plate.weight)];
+        const existing = next.get(total);
+        if (!existing || combo.length < existing.length) {
+          next.set(total, combo);
+        }
+      }
+    });
+
+    reachable = next;
+  });
+
+  let best = 0;
+  reachable.forEach((_, sum) => {
+    const distance = Math.abs(sum - perSideTarget);
+    const bestDistance = Math.abs(best - perSideTarget);
+    if (distance < bestDistance || (distance === bestDistance && sum < best)) {
+      best = sum;
+    }
+  });
+
+  return {
+    perSide: reachable.get(best),
+    total: settings.bar + (best * 2) / PLATE_SCALE
+  };
+}
+
+/**
+ * Describe how to load a bar for a weight entered in a workout
+ * @param {number|string} weight - Entered weight
+ * @param {string} unit - Unit the weight was entered in
+ * @returns {Object|null} { perSide, bar, plateUnit, total (in the entry unit),
+ *   exact } or null if no weight is entered
+ */
+export function getPlateBreakdown(weight, unit) {
+  const target = parseFloat(weight);
+  if (!(target > 0)) return null;
+
+  const settings = getPlateSettings();
+  const result = calculatePlates(convertWeight(target, unit, settings.unit), settings);
+  const total = Math.round(convertWeight(result.total, settings.unit, unit) * 100) / 100;
+
+  return {
+    perSide: result.perSide,
+    bar: settings.bar,
+    plateUnit: settings.unit,
+    total,
+    exact: Math.abs(total - target) < 0.01
+  };
+}
+
+/**
+ * Render the plate breakdown for a set
+ * @param {number|string} weight - Entered weight
+ * @param {string} unit - Unit the weight was entered in
+ * @returns {string} HTML string ('' if no weight is entered)
+ */
+export function renderPlateBreakdown(weight, unit) {
+  const breakdown = getPlateBreakdown(weight, unit);
+  if (!breakdown) return '';
+
+  const plateLabel = getUnitLabel(breakdown.plateUnit);
+  const plates = breakdown.perSide.length > 0
+    ? breakdown.perSide.join(' · ')
+    : 'No plates';
+
+  return `
+    <span class="plate-list">Per side: ${plates}</span>
+    <span class="plate-bar">Bar ${breakdown.bar} ${plateLabel}</span>
+    ${breakdown.exact
+      ? ''
+      : `<span class="plate-closest">Closest loadable: ${breakdown.total} ${getUnitLabel(unit)}</span>`}
+  `;
+}
+
+/**
+ * Render the bar and plate inventory settings
+ * @param {HTMLElement} container - Element to render into
+ */
+export function renderPlateSettings(container) {
+  const settings = getPlateSettings();
+  const label = getUnitLabel(settings.unit);
+
+  container.innerHTML = `
+    <div class="unit-setting">
+      <span>Plate set</span>
+      <select class="unit-select" data-field="plate-unit">
+        ${Object.keys(DEFAULT_PLATE_SETS).map(unit => `
+          <option value="${unit}" ${unit === settings.unit ? 'selected' : ''}>${getUnitLabel(unit)} plates</option>
+        `).join('')}
+      </select>
+    </div>
+    <div class="unit-setting">
+      <span>Bar weight (${label})</span>
+      <input type="number" class="unit-increment-input" value="${settings.bar}" min="0" step="any" inputmode="decimal" data-field="bar">
+    </div>
+    ${settings.plates.map((plate, idx) => `
+      <div class="unit-setting">
+        <span>${plate.weight} ${label} plates (pairs)</span>
+        <input type="number" class="unit-increment-input" value="${plate.pairs}" min="0" step="1" inputmode="numeric" data-field="pairs" data-index="${idx}">
+      </div>
+    `).join('')}
+  `;
+}
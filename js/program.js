@@ -3,28 +3,43 @@
  * Handles workout program management and display
  */
 
-import { getWorkoutHistory } from './storage.js';
+import { getWorkoutHistory, initStorage, getLocalDateString } from './storage.js';
+import {
+  BUILTIN_PROGRAM_ID,
+  loadProgram,
+  getActiveProgramId,
+  getSessionProgramId
+} from './programs.js';
+import {
+  WEEKDAY_LABELS,
+  parseLocalDate,
+  buildProgramSlots,
+  computeSlotDates,
+  getScheduleStatus,
+  pushScheduleBack,
+  getScheduledWeek
+} from './schedule.js';
+import { describeWeekTransition } from './transitions.js';
+import { openSessionReview } from './review.js';
+import { escapeHtml } from './backup.js';
 
-let programData = null;
 const CURRENT_WEEK_KEY = 'minmax_current_week';
 const START_DATE_KEY = 'minmax_start_date';
+const TRAINING_DAYS_KEY = 'minmax_training_days';
+const SCHEDULE_RESUMES_KEY = 'minmax_schedule_resumes';
+const LAST_SEEN_WEEK_KEY = 'minmax_last_seen_week';
+
+// Monday, Tuesday, Thursday, Friday
+const DEFAULT_TRAINING_DAYS = [1, 2, 4, 5];
 
 /**
- * Load the program data from JSON file
+ * Load a program's data
+ * @param {string} programId - Program ID (defaults to the active program)
  * @returns {Promise<Object>} The loaded program data
  */
-async function loadProgramData() {
-  if (programData) {
-    return programData;
-  }
-
+async function loadProgramData(programId = getActiveProgramId()) {
   try {
-    const response = await fetch('data/program.json');
-    if (!response.ok) {
-      throw new Error(`Failed to load program data: ${response.status}`);
-    }
-    programData = await response.json();
-    return programData;
+    return await loadProgram(programId);
   } catch (error) {
     console.error('Error loading program data:', error);
     throw error;
@@ -34,10 +49,11 @@ async function loadProgramData() {
 /**
  * Get data for a specific week
  * @param {number} weekNum - Week number (1-12)
+ * @param {string} programId - Program ID (defaults to the active program)
  * @returns {Promise<Object|null>} Week data object or null if not found
  */
-export async function getWeek(weekNum) {
-  const data = await loadProgramData();
+export async function getWeek(weekNum, programId) {
+  const data = await loadProgramData(programId);
   return data.weeks.find(week => week.week === weekNum) || null;
 }
 
@@ -45,10 +61,11 @@ export async function getWeek(weekNum) {
  * Get data for a specific day in a week
  * @param {number} weekNum - Week number (1-12)
  * @param {string} dayType - Day type (e.g., "Full Body", "Upper", "Lower", "Arms/Delts")
+ * @param {string} programId - Program ID (defaults to the active program)
  * @returns {Promise<Object|null>} Day data object or null if not found
  */
-export async function getDay(weekNum, dayType) {
-  const week = await getWeek(weekNum);
+export async function getDay(weekNum, dayType, programId) {
+  const week = await getWeek(weekNum, programId);
   if (!week) {
     return null;
   }
@@ -155,41 +172,182 @@ export async function getTotalWeeks() {
 }
 
 /**
- * Get or set the current week
+ * Get the storage key for a per-program setting
+ * The built-in program keeps the original keys so existing settings carry over.
+ * @param {string} baseKey - Setting key
+ * @returns {string} localStorage key for the active program
+ */
+function getProgramKey(baseKey) {
+  const programId = getActiveProgramId();
+  return programId === BUILTIN_PROGRAM_ID ? baseKey : `${baseKey}_${programId}`;
+}
+
+/**
+ * Get or set the current week of the active program
+ * With a schedule, the current week is the one the calendar puts us in;
+ * otherwise it is the week last set by hand.
  * @param {number} weekNum - Optional week number to set as current
- * @returns {number} Current week number
+ * @returns {Promise<number>} Current week number
  */
-export function getCurrentWeek(weekNum = null) {
+export async function getCurrentWeek(weekNum = null) {
   if (weekNum !== null) {
-    localStorage.setItem(CURRENT_WEEK_KEY, weekNum.toString());
-    return weekNum;
+    return setCurrentWeek(weekNum);
   }
 
-  const stored = localStorage.getItem(CURRENT_WEEK_KEY);
+  const schedule = getSchedule();
+  if (schedule) {
+    const slots = buildProgramSlots(await loadProgramData());
+    const scheduledWeek = getScheduledWeek(
+      slots,
+      computeSlotDates(schedule, slots.length),
+      getLocalDateString()
+    );
+    if (scheduledWeek !== null) {
+      return scheduledWeek;
+    }
+  }
+
+  const stored = localStorage.getItem(getProgramKey(CURRENT_WEEK_KEY));
   return stored ? parseInt(stored, 10) : 1;
 }
 
 /**
- * Check if a specific workout has been completed
+ * Move the active program to a week (roll back, jump ahead or advance)
+ * With a schedule, the week's first day is rescheduled to `resumeDate` and
+ * the rest of the program follows from there.
+ * @param {number} weekNum - Week number
+ * @param {string} resumeDate - Local YYYY-MM-DD date the week starts (defaults to today)
+ * @returns {Promise<number>} The new current week
+ */
+export async function setCurrentWeek(weekNum, resumeDate = getLocalDateString()) {
+  const schedule = getSchedule();
+  if (schedule) {
+    const slot = buildProgramSlots(await loadProgramData()).find(s => s.week === weekNum);
+    if (slot) {
+      saveSchedule(pushScheduleBack(schedule, slot.index, resumeDate));
+    }
+  }
+
+  localStorage.setItem(getProgramKey(CURRENT_WEEK_KEY), weekNum.toString());
+  return weekNum;
+}
+
+/**
+ * Advance to the next week once every day of the current week is done
+ * Called after a workout is saved; rolling back by hand is left alone
+ * until another workout in that week is finished.
+ * @param {number} weekNum - Week of the workout just finished
+ * @returns {Promise<boolean>} True if the current week moved on
+ */
+export async function advanceWeekIfComplete(weekNum) {
+  try {
+    const currentWeek = await getCurrentWeek();
+    if (weekNum !== currentWeek) return false;
+
+    const stats = await getWeekCompletionStats(weekNum);
+    const nextWeek = await getWeek(weekNum + 1);
+    if (stats.total === 0 || stats.completed < stats.total || !nextWeek) return false;
+
+    // Today's training is done, so the new week starts tomorrow at the earliest
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    await setCurrentWeek(weekNum + 1, getLocalDateString(tomorrow));
+    return true;
+  } catch (error) {
+    console.error('Failed to advance week:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the active program's training schedule
+ * @returns {Object|null} { startDate, weekdays, resumes } or null if not set up
+ */
+export function getSchedule() {
+  const startDate = localStorage.getItem(getProgramKey(START_DATE_KEY));
+  if (!startDate) {
+    return null;
+  }
+
+  try {
+    return {
+      startDate,
+      weekdays: JSON.parse(localStorage.getItem(getProgramKey(TRAINING_DAYS_KEY))) || DEFAULT_TRAINING_DAYS,
+      resumes: JSON.parse(localStorage.getItem(getProgramKey(SCHEDULE_RESUMES_KEY))) || []
+    };
+  } catch (error) {
+    console.error('Error reading schedule:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the active program's training schedule
+ * @param {Object|null} schedule - { startDate, weekdays, resumes }, or null to clear it
+ */
+export function saveSchedule(schedule) {
+  if (!schedule) {
+    localStorage.removeItem(getProgramKey(START_DATE_KEY));
+    localStorage.removeItem(getProgramKey(TRAINING_DAYS_KEY));
+    localStorage.removeItem(getProgramKey(SCHEDULE_RESUMES_KEY));
+    return;
+  }
+
+  localStorage.setItem(getProgramKey(START_DATE_KEY), schedule.startDate);
+  localStorage.setItem(getProgramKey(TRAINING_DAYS_KEY), JSON.stringify(schedule.weekdays));
+  localStorage.setItem(getProgramKey(SCHEDULE_RESUMES_KEY), JSON.stringify(schedule.resumes || []));
+}
+
+/**
+ * Check if a specific workout has been completed in the active program
+ * A week/day can have several sessions (e.g. a repeated day); the most
+ * recent one is reported as `key`/`date` and all of them in `sessions`.
  * @param {number} weekNum - Week number
  * @param {string} dayType - Day type
  * @returns {Object|null} Completion info or null if not completed
  */
 export function getWorkoutCompletion(weekNum, dayType) {
   const history = getWorkoutHistory();
-
-  // Find any workout matching this week and day type
-  for (const [key, workout] of Object.entries(history)) {
-    if (workout.week === weekNum && workout.dayType === dayType) {
-      return {
-        completed: true,
-        date: workout.completedAt,
-        key: key
-      };
-    }
+  const programId = getActiveProgramId();
+
+  const sessions = Object.entries(history)
+    .filter(([, workout]) =>
+      workout.week === weekNum &&
+      workout.dayType === dayType &&
+      getSessionProgramId(workout) === programId
+    )
+    .map(([key, workout]) => ({
+      key,
+      date: workout.completedAt,
+      localDate: workout.date
+    }))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  if (sessions.length === 0) {
+    return null;
   }
 
-  return null;
+  return {
+    completed: true,
+    date: sessions[0].date,
+    key: sessions[0].key,
+    count: sessions.length,
+    sessions
+  };
+}
+
+/**
+ * Get the substitutions made in a completed session
+ * @param {string} sessionKey - Session key
+ * @returns {Array<Object>} List of { slot, name } for swapped exercises
+ */
+function getSessionSubstitutions(sessionKey) {
+  const session = getWorkoutHistory()[sessionKey];
+  if (!session) return [];
+
+  return session.exercises
+    .filter(ex => ex.slot && ex.slot !== ex.name)
+    .map(ex => ({ slot: ex.slot, name: ex.name }));
 }
 
 /**
@@ -224,6 +382,7 @@ export async function getWeekCompletionStats(weekNum) {
  */
 export async function initProgramUI() {
   try {
+    await initStorage();
     await renderWeekTimeline();
     setupModalHandlers();
   } catch (error) {
@@ -239,8 +398,11 @@ async function renderWeekTimeline() {
   if (!timeline) return;
 
   const data = await loadProgramData();
-  const currentWeek = getCurrentWeek();
+  const currentWeek = await getCurrentWeek();
 
+  renderProgramHeader(data);
+  renderTodayWorkout(data);
+  showWeekTransition(data, currentWeek);
   timeline.innerHTML = '';
 
   for (const week of data.weeks) {
@@ -249,6 +411,297 @@ async function renderWeekTimeline() {
   }
 }
 
+/**
+ * Show the active program's length and name in the screen header
+ * @param {Object} data - Program data
+ */
+function renderProgramHeader(data) {
+  const title = document.getElementById('program-title');
+  const subtitle = document.getElementById('program-name');
+
+  if (title) {
+    title.textContent = `${data.weeks.length}-Week Program`;
+  }
+  if (subtitle) {
+    subtitle.textContent = data.program_name || 'Min-Max Companion';
+  }
+}
+
+/**
+ * Show an interstitial when the current week has moved into a labeled
+ * week (e.g. a deload or a new block) since the Program screen was last shown
+ * @param {Object} data - Program data
+ * @param {number} currentWeek - Current week number
+ */
+function showWeekTransition(data, currentWeek) {
+  const key = getProgramKey(LAST_SEEN_WEEK_KEY);
+  const stored = localStorage.getItem(key);
+  localStorage.setItem(key, currentWeek.toString());
+
+  // Nothing to announce on first run or when moving backwards
+  const lastSeen = stored ? parseInt(stored, 10) : currentWeek;
+  if (currentWeek <= lastSeen) return;
+
+  // Announce the latest labeled week reached, even if weeks were jumped over
+  const entered = data.weeks
+    .filter(week => week.label && week.week > lastSeen && week.week <= currentWeek)
+    .sort((a, b) => b.week - a.week)[0];
+  if (!entered) return;
+
+  const previous = data.weeks.find(week => week.week === entered.week - 1) || null;
+  const transition = describeWeekTransition(previous, entered);
+
+  const modal = document.getElementById('week-transition-modal');
+  const title = document.getElementById('transition-title');
+  const body = document.getElementById('transition-body');
+  const dismissBtn = document.getElementById('transition-dismiss-btn');
+  if (!transition || !modal || !title || !body) return;
+
+  title.textContent = transition.title;
+  body.innerHTML = `
+    ${transition.notes.length > 0 ? `
+      <ul class="transition-notes">
+        ${transition.notes.map(note => `<li>${note}</li>`).join('')}
+      </ul>
+    ` : ''}
+    ${transition.changes.length > 0 ? `
+      <h3 class="import-section-title">What changes</h3>
+      <ul class="transition-changes">
+        ${transition.changes.map(change => `<li>${change}</li>`).join('')}
+      </ul>
+    ` : ''}
+  `;
+
+  const close = () => {
+    modal.classList.remove('active');
+    document.body.style.overflow = '';
+  };
+  if (dismissBtn) dismissBtn.onclick = close;
+  const backdrop = modal.querySelector('.modal-backdrop');
+  if (backdrop) backdrop.onclick = close;
+
+  modal.classList.add('active');
+  document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Render the "Today's workout" card at the top of the Program screen
+ * @param {Object} data - Program data
+ */
+function renderTodayWorkout(data) {
+  const container = document.getElementById('today-workout');
+  if (!container) return;
+
+  const schedule = getSchedule();
+  if (!schedule) {
+    container.innerHTML = `
+      <div class="today-card">
+        <div class="today-card-header">
+          <h2>Today's Workout</h2>
+        </div>
+        <p class="today-hint">Set a start date and your training days to see which workout is due each day.</p>
+        ${renderScheduleForm(null, data)}
+      </div>
+    `;
+    bindScheduleForm(container);
+    return;
+  }
+
+  const today = getLocalDateString();
+  const slots = buildProgramSlots(data);
+  const dates = computeSlotDates(schedule, slots.length);
+  const status = getScheduleStatus(
+    slots,
+    dates,
+    slot => getWorkoutCompletion(slot.week, slot.dayType) !== null,
+    today
+  );
+
+  let body;
+  if (status.finished) {
+    body = '<div class="today-rest">Program complete. Nice work!</div>';
+  } else if (status.today) {
+    body = renderDueSlot(status.today, data);
+  } else if (status.next) {
+    body = `
+      <div class="today-rest">Rest day</div>
+      <div class="today-next">Next: Week ${status.next.week} · ${escapeHtml(status.next.dayType)} on ${formatScheduleDate(status.next.date)}</div>
+    `;
+  } else {
+    body = '<div class="today-rest">The schedule has run out. Push it back to finish the remaining days.</div>';
+  }
+
+  const firstMissed = status.missed[0];
+
+  container.innerHTML = `
+    <div class="today-card">
+      <div class="today-card-header">
+        <h2>Today's Workout</h2>
+        <span class="today-date">${formatScheduleDate(today)}</span>
+      </div>
+      ${body}
+      ${firstMissed ? `
+        <div class="schedule-missed">
+          <div class="schedule-missed-title">
+            ${status.missed.length} missed session${status.missed.length === 1 ? '' : 's'}
+          </div>
+          <div class="schedule-missed-list">
+            ${status.missed.map(slot => `Week ${slot.week} ${escapeHtml(getDayTypeShortName(slot.dayType))} (${formatScheduleDate(slot.date)})`).join(', ')}
+          </div>
+          <div class="schedule-push">
+            <label>
+              Resume Week ${firstMissed.week} · ${escapeHtml(firstMissed.dayType)} on
+              <input type="date" class="schedule-input" data-field="resume-date" value="${today}" min="${today}">
+            </label>
+            <button class="schedule-btn" data-action="push-schedule" data-slot="${firstMissed.index}">Push Schedule Back</button>
+          </div>
+        </div>
+      ` : ''}
+      <details class="schedule-edit">
+        <summary>Edit schedule</summary>
+        ${renderScheduleForm(schedule, data)}
+      </details>
+    </div>
+  `;
+
+  bindScheduleForm(container);
+
+  const startBtn = container.querySelector('[data-action="start-today"]');
+  if (startBtn) {
+    startBtn.addEventListener('click', () => startWorkout(status.today.week, status.today.dayType));
+  }
+
+  const viewBtn = container.querySelector('[data-action="view-today"]');
+  if (viewBtn) {
+    viewBtn.addEventListener('click', () => {
+      const completion = getWorkoutCompletion(status.today.week, status.today.dayType);
+      if (completion) viewWorkout(completion.key);
+    });
+  }
+
+  const pushBtn = container.querySelector('[data-action="push-schedule"]');
+  if (pushBtn) {
+    pushBtn.addEventListener('click', () => {
+      const resumeDate = container.querySelector('[data-field="resume-date"]').value || today;
+      saveSchedule(pushScheduleBack(schedule, parseInt(pushBtn.dataset.slot, 10), resumeDate));
+      renderWeekTimeline();
+    });
+  }
+}
+
+/**
+ * Render the program day due today
+ * @param {Object} slot - Scheduled slot ({ week, dayType, label, completed })
+ * @param {Object} data - Program data
+ * @returns {string} HTML for the due workout
+ */
+function renderDueSlot(slot, data) {
+  const week = data.weeks.find(w => w.week === slot.week);
+  const day = week ? week.days.find(d => d.day_type === slot.dayType) : null;
+
+  return `
+    <div class="today-slot ${slot.completed ? 'completed' : ''}">
+      <div class="today-slot-title">Week ${slot.week} · ${escapeHtml(slot.dayType)}</div>
+      <div class="today-slot-meta">
+        ${slot.label ? `${escapeHtml(slot.label)} · ` : ''}${day ? day.exercises.length : 0} exercises
+      </div>
+    </div>
+    ${slot.completed
+      ? `<div class="status-badge completed">Completed</div>
+        <button class="start-workout-btn" data-action="view-today">View Workout</button>`
+      : '<button class="start-workout-btn" data-action="start-today">Start Workout</button>'}
+  `;
+}
+
+/**
+ * Render the schedule settings form
+ * @param {Object|null} schedule - Current schedule, or null when setting one up
+ * @param {Object} data - Program data
+ * @returns {string} HTML for the form
+ */
+function renderScheduleForm(schedule, data) {
+  const startDate = schedule ? schedule.startDate : getLocalDateString();
+  const weekdays = schedule ? schedule.weekdays : DEFAULT_TRAINING_DAYS;
+  const daysPerWeek = Math.max(...data.weeks.map(week => week.days.length));
+
+  // List weekdays Monday first
+  const order = [1, 2, 3, 4, 5, 6, 0];
+
+  return `
+    <div class="schedule-form">
+      <label class="schedule-field">
+        Start date
+        <input type="date" class="schedule-input" data-field="start-date" value="${startDate}">
+      </label>
+      <div class="schedule-field">
+        Training days <small>(program has ${daysPerWeek} per week)</small>
+        <div class="schedule-weekdays">
+          ${order.map(day => `
+            <label class="schedule-weekday">
+              <input type="checkbox" data-field="weekday" value="${day}" ${weekdays.includes(day) ? 'checked' : ''}>
+              <span>${WEEKDAY_LABELS[day]}</span>
+            </label>
+          `).join('')}
+        </div>
+      </div>
+      <div class="schedule-form-actions">
+        <button class="schedule-btn" data-action="save-schedule">Save Schedule</button>
+        ${schedule ? '<button class="schedule-btn secondary" data-action="clear-schedule">Remove Schedule</button>' : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Attach handlers to the schedule form
+ * @param {HTMLElement} container - Element containing the form
+ */
+function bindScheduleForm(container) {
+  const saveBtn = container.querySelector('[data-action="save-schedule"]');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => {
+      const startDate = container.querySelector('[data-field="start-date"]').value;
+      const weekdays = [...container.querySelectorAll('[data-field="weekday"]:checked')]
+        .map(input => parseInt(input.value, 10));
+
+      if (!startDate) {
+        alert('Please choose a start date');
+        return;
+      }
+      if (weekdays.length === 0) {
+        alert('Please choose at least one training day');
+        return;
+      }
+
+      // Changing the start date or days lays the whole schedule out again
+      saveSchedule({ startDate, weekdays, resumes: [] });
+      renderWeekTimeline();
+    });
+  }
+
+  const clearBtn = container.querySelector('[data-action="clear-schedule"]');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      if (!confirm('Remove the training schedule? Your workout history is kept.')) return;
+      saveSchedule(null);
+      renderWeekTimeline();
+    });
+  }
+}
+
+/**
+ * Format a scheduled date
+ * @param {string} dateString - Local YYYY-MM-DD date
+ * @returns {string} e.g. "Mon, Oct 19"
+ */
+function formatScheduleDate(dateString) {
+  return parseLocalDate(dateString).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
 /**
  * Create a week card element
  * @param {Object} week - Week data
@@ -313,6 +766,12 @@ async function createWeekCard(week, currentWeek) {
     const completion = getWorkoutCompletion(week.week, day.day_type);
     if (completion) {
       indicator.classList.add('completed');
+
+      const substitutions = getSessionSubstitutions(completion.key);
+      if (substitutions.length > 0) {
+        indicator.classList.add('substituted');
+        indicator.title = substitutions.map(s => `${s.name} (for ${s.slot})`).join('\n');
+      }
     }
 
     const circle = document.createElement('div');
@@ -387,11 +846,49 @@ async function openWeekModal(weekNum) {
     daysContainer.appendChild(dayCard);
   });
 
+  await renderWeekActions(weekNum);
+
   // Show modal
   modal.classList.add('active');
   document.body.style.overflow = 'hidden';
 }
 
+/**
+ * Render the roll back / jump button in the week detail modal
+ * @param {number} weekNum - Week shown in the modal
+ */
+async function renderWeekActions(weekNum) {
+  const container = document.getElementById('modal-week-actions');
+  if (!container) return;
+
+  container.innerHTML = '';
+
+  const currentWeek = await getCurrentWeek();
+  if (weekNum === currentWeek) {
+    container.innerHTML = '<div class="current-week-note">This is your current week</div>';
+    return;
+  }
+
+  const button = document.createElement('button');
+  button.className = 'schedule-btn';
+  button.textContent = weekNum < currentWeek
+    ? `Roll Back to Week ${weekNum}`
+    : `Jump to Week ${weekNum}`;
+  button.addEventListener('click', async () => {
+    const schedule = getSchedule();
+    const message = schedule
+      ? `Make Week ${weekNum} the current week? Its first day will be scheduled from today.`
+      : `Make Week ${weekNum} the current week?`;
+    if (!confirm(message)) return;
+
+    await setCurrentWeek(weekNum);
+    closeWeekModal();
+    await renderWeekTimeline();
+  });
+
+  container.appendChild(button);
+}
+
 /**
  * Close the week detail modal
  */
@@ -438,7 +935,9 @@ function createDayCard(weekNum, day) {
 
     const date = document.createElement('div');
     date.className = 'completion-date';
-    date.textContent = formatCompletionDate(completion.date);
+    date.textContent = completion.count > 1
+      ? `${formatCompletionDate(completion.date)} · ${completion.count} sessions`
+      : formatCompletionDate(completion.date);
     status.appendChild(badge);
     status.appendChild(date);
   } else {
@@ -468,17 +967,46 @@ function createDayCard(weekNum, day) {
   info.appendChild(exerciseCount);
   card.appendChild(info);
 
-  // Start workout button
+  // Variations done in place of the programmed exercises
+  const substitutions = completion ? getSessionSubstitutions(completion.key) : [];
+  if (substitutions.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'day-substitutions';
+    substitutions.forEach(({ slot, name }) => {
+      const item = document.createElement('li');
+      item.textContent = `${name} in place of ${slot}`;
+      list.appendChild(item);
+    });
+    card.appendChild(list);
+  }
+
+  // Completed days open the logged session; others start a workout
   const button = document.createElement('button');
   button.className = 'start-workout-btn';
   button.textContent = completion ? 'View Workout' : 'Start Workout';
   button.addEventListener('click', (e) => {
     e.stopPropagation();
-    startWorkout(weekNum, day.day_type);
+    if (completion) {
+      viewWorkout(completion.key);
+    } else {
+      startWorkout(weekNum, day.day_type);
+    }
   });
 
   card.appendChild(button);
 
+  // A completed day can still be done again as a new session
+  if (completion) {
+    const repeatBtn = document.createElement('button');
+    repeatBtn.className = 'repeat-workout-btn';
+    repeatBtn.textContent = 'Do Again';
+    repeatBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      startWorkout(weekNum, day.day_type);
+    });
+    card.appendChild(repeatBtn);
+  }
+
   return card;
 }
 
@@ -490,7 +1018,10 @@ function createDayCard(weekNum, day) {
 function formatCompletionDate(isoDate) {
   const date = new Date(isoDate);
   const now = new Date();
-  const diffDays = Math.floor((now - date) / (1000 * 60 * 60 * 24));
+
+  // Compare local calendar days, not elapsed 24h periods
+  const startOfDay = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const diffDays = Math.round((startOfDay(now) - startOfDay(date)) / (1000 * 60 * 60 * 24));
 
   if (diffDays === 0) return 'Today';
   if (diffDays === 1) return 'Yesterday';
@@ -511,7 +1042,8 @@ function startWorkout(weekNum, dayType) {
   // Store the workout to start
   sessionStorage.setItem('minmax_active_workout', JSON.stringify({
     week: weekNum,
-    dayType: dayType
+    dayType: dayType,
+    programId: getActiveProgramId()
   }));
 
   // Switch to workout tab
@@ -520,6 +1052,15 @@ function startWorkout(weekNum, dayType) {
   }
 }
 
+/**
+ * Show the logged session of a completed day
+ * @param {string} sessionKey - Session key
+ */
+function viewWorkout(sessionKey) {
+  closeWeekModal();
+  openSessionReview(sessionKey);
+}
+
 /**
  * Setup modal event handlers
  */
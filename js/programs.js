@@ -0,0 +1,399 @@
+/**
+ * Min-Max Companion - Program Library Module
+ * Loads, validates and switches between training programs
+ *
+ * The built-in program ships as data/program.json. Imported programs are
+ * stored in IndexedDB and must follow data/program.schema.json. Workout
+ * sessions are tagged with the ID of the program they were done in;
+ * sessions saved before programs had IDs belong to the built-in program.
+ */
+
+import { readPrograms, writeProgram, deleteProgram } from './db.js';
+import { escapeHtml } from './backup.js';
+
+export const BUILTIN_PROGRAM_ID = 'min-max-4x';
+const BUILTIN_PROGRAM_URL = 'data/program.json';
+const ACTIVE_PROGRAM_KEY = 'minmax_active_program';
+const PROGRAM_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_REPORTED_ERRORS = 20;
+
+// Loaded program data keyed by program ID
+const programCache = {};
+
+/**
+ * Get the ID of the active program
+ * @returns {string} Program ID
+ */
+export function getActiveProgramId() {
+  return localStorage.getItem(ACTIVE_PROGRAM_KEY) || BUILTIN_PROGRAM_ID;
+}
+
+/**
+ * Get the program a saved session belongs to
+ * @param {Object} session - Saved workout session
+ * @returns {string} Program ID
+ */
+export function getSessionProgramId(session) {
+  return session.programId || BUILTIN_PROGRAM_ID;
+}
+
+/**
+ * Derive a program ID from a program file
+ * @param {Object} data - Program data
+ * @returns {string} `program_id`, or a slug of `program_name`
+ */
+export function getProgramId(data) {
+  if (data.program_id) {
+    return data.program_id;
+  }
+
+  return String(data.program_name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'program';
+}
+
+/**
+ * Load a program's data
+ * Falls back to the built-in program if an imported one is missing.
+ * @param {string} id - Program ID (defaults to the active program)
+ * @returns {Promise<Object>} Program data
+ */
+export async function loadProgram(id = getActiveProgramId()) {
+  if (programCache[id]) {
+    return programCache[id];
+  }
+
+  if (id === BUILTIN_PROGRAM_ID) {
+    const response = await fetch(BUILTIN_PROGRAM_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to load program data: ${response.status}`);
+    }
+    programCache[id] = await response.json();
+    return programCache[id];
+  }
+
+  try {
+    const records = await readPrograms();
+    const record = records.find(r => r.id === id);
+    if (record) {
+      programCache[id] = record.data;
+      return record.data;
+    }
+  } catch (error) {
+    console.error('Error reading program library:', error);
+  }
+
+  console.error(`Program "${id}" not found, using the built-in program`);
+  return loadProgram(BUILTIN_PROGRAM_ID);
+}
+
+/**
+ * List every program in the library, built-in first
+ * @returns {Promise<Array<Object>>} { id, name, description, totalWeeks, builtin, importedAt }
+ */
+export async function listPrograms() {
+  const programs = [];
+
+  try {
+    const builtin = await loadProgram(BUILTIN_PROGRAM_ID);
+    programs.push(summarizeProgram(BUILTIN_PROGRAM_ID, builtin, { builtin: true }));
+  } catch (error) {
+    console.error('Error loading built-in program:', error);
+  }
+
+  try {
+    const records = await readPrograms();
+    records
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(record => {
+        programs.push(summarizeProgram(record.id, record.data, { importedAt: record.importedAt }));
+      });
+  } catch (error) {
+    console.error('Error reading program library:', error);
+  }
+
+  return programs;
+}
+
+/**
+ * Summarize a program for the library list
+ * @param {string} id - Program ID
+ * @param {Object} data - Program data
+ * @param {Object} extra - Extra fields (builtin, importedAt)
+ * @returns {Object} Program summary
+ */
+function summarizeProgram(id, data, extra = {}) {
+  return {
+    id,
+    name: data.program_name,
+    description: data.program_description || '',
+    totalWeeks: data.weeks.length,
+    builtin: false,
+    importedAt: null,
+    ...extra
+  };
+}
+
+/**
+ * Make a program the active one
+ * @param {string} id - Program ID
+ */
+export function setActiveProgram(id) {
+  if (id === BUILTIN_PROGRAM_ID) {
+    localStorage.removeItem(ACTIVE_PROGRAM_KEY);
+  } else {
+    localStorage.setItem(ACTIVE_PROGRAM_KEY, id);
+  }
+}
+
+/**
+ * Check program data against the program schema
+ * Errors name the week, day and exercise they refer to so they can be
+ * fixed in the source file.
+ * @param {Object} data - Parsed program file
+ * @returns {Array<string>} Readable error messages (empty if valid)
+ */
+export function validateProgram(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['The file must contain a program object'];
+  }
+
+  if (typeof data.program_name !== 'string' || data.program_name.trim() === '') {
+    errors.push('"program_name" is missing or empty');
+  }
+  if (data.program_id !== undefined &&
+      (typeof data.program_id !== 'string' || !PROGRAM_ID_PATTERN.test(data.program_id))) {
+    errors.push('"program_id" must use lowercase letters, numbers and dashes (e.g. "my-program")');
+  }
+  if (data.program_description !== undefined && typeof data.program_description !== 'string') {
+    errors.push('"program_description" must be text');
+  }
+  if (!Array.isArray(data.weeks) || data.weeks.length === 0) {
+    errors.push('"weeks" must be a list with at least one week');
+    return errors;
+  }
+
+  const weekNumbers = new Set();
+
+  data.weeks.forEach((week, weekIdx) => {
+    const weekPath = Number.isInteger(week?.week) ? `Week ${week.week}` : `Week #${weekIdx + 1}`;
+
+    if (!week || typeof week !== 'object') {
+      errors.push(`${weekPath}: must be an object`);
+      return;
+    }
+    if (!Number.isInteger(week.week) || week.week < 1) {
+      errors.push(`${weekPath}: "week" must be a positive whole number`);
+    } else if (weekNumbers.has(week.week)) {
+      errors.push(`${weekPath}: week number is used more than once`);
+    } else {
+      weekNumbers.add(week.week);
+    }
+    if (week.label !== undefined && typeof week.label !== 'string') {
+      errors.push(`${weekPath}: "label" must be text`);
+    }
+    if (!Array.isArray(week.days) || week.days.length === 0) {
+      errors.push(`${weekPath}: "days" must be a list with at least one day`);
+      return;
+    }
+
+    const dayTypes = new Set();
+
+    week.days.forEach((day, dayIdx) => {
+      const dayPath = `${weekPath} › ${day?.day_type || `day #${dayIdx + 1}`}`;
+
+      if (!day || typeof day !== 'object') {
+        errors.push(`${dayPath}: must be an object`);
+        return;
+      }
+      if (typeof day.day_type !== 'string' || day.day_type.trim() === '') {
+        errors.push(`${dayPath}: "day_type" is missing or empty`);
+      } else if (dayTypes.has(day.day_type)) {
+        errors.push(`${dayPath}: day type appears more than once in this week`);
+      } else {
+        dayTypes.add(day.day_type);
+      }
+      if (!Array.isArray(day.exercises) || day.exercises.length === 0) {
+        errors.push(`${dayPath}: "exercises" must be a list with at least one exercise`);
+        return;
+      }
+
+      day.exercises.forEach((exercise, exIdx) => {
+        validateProgramExercise(exercise, `${dayPath} › exercise ${exIdx + 1}`, errors);
+      });
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Check one program exercise
+ * @param {Object} exercise - Exercise prescription
+ * @param {string} path - Location used in error messages
+ * @param {Array<string>} errors - Error list (appended to)
+ */
+function validateProgramExercise(exercise, path, errors) {
+  if (!exercise || typeof exercise !== 'object') {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  const name = typeof exercise.exercise === 'string' && exercise.exercise.trim() !== ''
+    ? exercise.exercise
+    : null;
+  const where = name ? `${path} (${name})` : path;
+
+  if (!name) {
+    errors.push(`${where}: "exercise" name is missing or empty`);
+  }
+
+  ['technique', 'warm_up', 'reps', 'rest'].forEach(field => {
+    if (typeof exercise[field] !== 'string') {
+      errors.push(`${where}: "${field}" ${exercise[field] === undefined ? 'is missing' : 'must be text'}`);
+    }
+  });
+
+  const setsValid = Number.isInteger(exercise.sets) && exercise.sets >= 1;
+  if (!setsValid) {
+    errors.push(`${where}: "sets" must be a whole number of at least 1`);
+  }
+
+  if (exercise.rir === undefined) {
+    errors.push(`${where}: "rir" array is missing`);
+  } else if (!Array.isArray(exercise.rir)) {
+    errors.push(`${where}: "rir" must be an array with one target per set`);
+  } else {
+    if (exercise.rir.some(r => !Number.isInteger(r) || r < 0)) {
+      errors.push(`${where}: "rir" values must be whole numbers of 0 or more`);
+    }
+    if (setsValid && exercise.rir.length !== exercise.sets) {
+      errors.push(`${where}: "sets" is ${exercise.sets} but "rir" has ${exercise.rir.length} value${exercise.rir.length === 1 ? '' : 's'}`);
+    }
+  }
+
+  if (exercise.substitutions !== undefined &&
+      (!Array.isArray(exercise.substitutions) || exercise.substitutions.some(s => typeof s !== 'string'))) {
+    errors.push(`${where}: "substitutions" must be a list of exercise names`);
+  }
+  if (exercise.notes !== undefined && typeof exercise.notes !== 'string') {
+    errors.push(`${where}: "notes" must be text`);
+  }
+}
+
+/**
+ * Import a program file into the library
+ * @param {string} jsonString - Program file contents
+ * @returns {Promise<Object>} { success, errors, program } where program is
+ *   the imported program's summary
+ */
+export async function importProgram(jsonString) {
+  let data;
+  try {
+    data = JSON.parse(jsonString);
+  } catch (error) {
+    return { success: false, errors: [`The file is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateProgram(data);
+  if (errors.length > 0) {
+    const reported = errors.slice(0, MAX_REPORTED_ERRORS);
+    if (errors.length > MAX_REPORTED_ERRORS) {
+      reported.push(`…and ${errors.length - MAX_REPORTED_ERRORS} more`);
+    }
+    return { success: false, errors: reported };
+  }
+
+  const id = getProgramId(data);
+  if (id === BUILTIN_PROGRAM_ID) {
+    return {
+      success: false,
+      errors: [`"${id}" is the built-in program's ID; give the imported program its own "program_id"`]
+    };
+  }
+
+  const existing = (await readPrograms()).find(r => r.id === id);
+  if (existing && !confirm(`A program with ID "${id}" (${existing.name}) already exists. Replace it?`)) {
+    return { success: false, errors: [] };
+  }
+
+  const record = {
+    id,
+    name: data.program_name,
+    importedAt: new Date().toISOString(),
+    data
+  };
+
+  await writeProgram(record);
+  programCache[id] = data;
+
+  return { success: true, errors: [], program: summarizeProgram(id, data, { importedAt: record.importedAt }) };
+}
+
+/**
+ * Remove an imported program from the library
+ * Workout history done in the program is kept.
+ * @param {string} id - Program ID
+ * @returns {Promise<boolean>} True if removed
+ */
+export async function removeProgram(id) {
+  if (id === BUILTIN_PROGRAM_ID) {
+    return false;
+  }
+
+  await deleteProgram(id);
+  delete programCache[id];
+
+  if (getActiveProgramId() === id) {
+    setActiveProgram(BUILTIN_PROGRAM_ID);
+  }
+  return true;
+}
+
+/**
+ * Render the program library list
+ * @param {HTMLElement} container - Element to render into
+ */
+export async function renderProgramLibrary(container) {
+  const programs = await listPrograms();
+  const activeId = getActiveProgramId();
+
+  container.innerHTML = programs.map(program => `
+    <div class="program-library-item ${program.id === activeId ? 'active' : ''}">
+      <div class="program-library-info">
+        <div class="program-library-name">${escapeHtml(program.name)}</div>
+        <div class="program-library-meta">
+          ${program.totalWeeks} weeks · ${program.builtin ? 'Built-in' : `Imported ${new Date(program.importedAt).toLocaleDateString('en-US')}`}
+        </div>
+      </div>
+      <div class="program-library-actions">
+        ${program.id === activeId
+          ? '<span class="program-library-badge">Active</span>'
+          : `<button class="program-library-btn" data-action="activate-program" data-program-id="${escapeHtml(program.id)}">Use</button>`}
+        ${program.builtin
+          ? ''
+          : `<button class="program-library-btn danger" data-action="delete-program" data-program-id="${escapeHtml(program.id)}">Remove</button>`}
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render program import errors
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<string>} errors - Error messages (empty clears the list)
+ */
+export function renderProgramErrors(container, errors) {
+  if (errors.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="import-warning">The program could not be imported:</div>
+    <ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+  `;
+}
@@ -3,15 +3,132 @@
  * Handles progress tracking and visualization
  */
 
-import { getWorkoutHistory } from './storage.js';
+import { getWorkoutHistory, initStorage } from './storage.js';
+import { getSetVolume } from './techniques.js';
+import {
+  E1RM_FORMULAS,
+  DEFAULT_E1RM_FORMULA,
+  E1RM_FORMULA_KEY,
+  loadFormulaPreference,
+  bestOneRepMax,
+  bestSetVolume,
+  repsAtWeight,
+  longestDuration,
+  totalDuration,
+  totalReps
+} from './metrics.js';
+import { DEFAULT_MODE, getSetMode } from './logging.js';
+import { MUSCLE_GROUPS, countMuscleSets } from './muscles.js';
+import { getAllWeeks, getWeek, getCurrentWeek } from './program.js';
+import { getActiveProgramId, getSessionProgramId } from './programs.js';
+import { getWeightUnit, getUnitLabel, toDisplayWeight, convertSetWeights, formatWeight } from './units.js';
+import { computeRecordHistory, getRepMax, describeRecord } from './records.js';
+import { EFFORT_VERDICTS, averageEffortDeviation, summarizeEffort } from './effort.js';
+import { collectNotes, searchNotes } from './notes.js';
+import { openSessionReview } from './review.js';
+import { escapeHtml } from './backup.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOTES_LIMIT = 50;
+
+// Chart metrics; `value` returns null for sessions the metric doesn't apply to.
+// A 'weight' unit is shown in the preferred weight unit. `modes` lists the
+// logging modes (see logging.js) the metric is offered for.
+const CHART_METRICS = {
+  maxWeight: {
+    label: 'Max Weight',
+    labels: { bodyweight: 'Added Load' },
+    unit: 'weight',
+    modes: ['weighted', 'bodyweight'],
+    value: (session) => session.maxWeight
+  },
+  assistance: {
+    label: 'Assistance',
+    unit: 'weight',
+    modes: ['assisted'],
+    value: (session) => (session.sets.length > 0 ? Math.min(...session.sets.map(s => s.weight || 0)) : null)
+  },
+  e1rm: {
+    label: 'Estimated 1RM',
+    unit: 'weight',
+    modes: ['weighted'],
+    value: (session, options) => bestOneRepMax(session.sets, options.formula)
+  },
+  bestSetVolume: {
+    label: 'Best Set Volume',
+    unit: 'weight',
+    modes: ['weighted'],
+    value: (session) => bestSetVolume(session.sets)
+  },
+  totalVolume: {
+    label: 'Session Volume',
+    unit: 'weight',
+    modes: ['weighted'],
+    value: (session) => session.totalVolume
+  },
+  repsAtWeight: {
+    label: 'Reps at Weight',
+    unit: 'reps',
+    modes: ['weighted', 'bodyweight', 'assisted'],
+    value: (session, options) => repsAtWeight(session.sets, options.weight)
+  },
+  totalReps: {
+    label: 'Total Reps',
+    unit: 'reps',
+    modes: ['bodyweight', 'assisted'],
+    value: (session) => totalReps(session.sets)
+  },
+  effort: {
+    label: 'RIR vs Target',
+    unit: 'RIR',
+    modes: ['weighted', 'bodyweight', 'assisted'],
+    value: (session) => averageEffortDeviation(session.sets)
+  },
+  longestHold: {
+    label: 'Longest Hold',
+    unit: 'sec',
+    modes: ['duration'],
+    value: (session) => longestDuration(session.sets)
+  },
+  totalTime: {
+    label: 'Total Time',
+    unit: 'sec',
+    modes: ['duration'],
+    value: (session) => totalDuration(session.sets)
+  }
+};
+
+// Headline stat for each logging mode
+const MODE_STATS = {
+  weighted: { metric: 'maxWeight', label: 'Weight' },
+  bodyweight: { metric: 'maxWeight', label: 'Added Load' },
+  assisted: { metric: 'assistance', label: 'Assistance', lowerIsBetter: true },
+  duration: { metric: 'longestHold', label: 'Hold' }
+};
+
+const DATE_RANGES = {
+  all: { label: 'All Time', days: null },
+  '4w': { label: 'Last 4 Weeks', days: 28 },
+  '8w': { label: 'Last 8 Weeks', days: 56 },
+  '12w': { label: 'Last 12 Weeks', days: 84 }
+};
 
 let currentChart = null;
 let exerciseData = null;
+let currentExercise = null;
+let recordHistory = null;
+const chartOptions = {
+  metric: 'maxWeight',
+  formula: DEFAULT_E1RM_FORMULA,
+  range: 'all',
+  weight: null
+};
 
 /**
  * Initialize the progress UI
  */
 export async function initProgressUI() {
+  await initStorage();
   exerciseData = aggregateExerciseData();
   renderProgressScreen();
 }
@@ -22,6 +139,7 @@ export async function initProgressUI() {
  */
 function aggregateExerciseData() {
   const history = getWorkoutHistory();
+  const unit = getWeightUnit();
   const exerciseMap = {};
 
   // Process all workouts
@@ -29,6 +147,7 @@ function aggregateExerciseData() {
     const workoutDate = new Date(workout.completedAt);
 
     workout.exercises.forEach(exercise => {
+      // Only working sets count; warm-ups are stored separately in `warmups`
       if (!exercise.sets || exercise.sets.length === 0) return;
 
       const exerciseName = exercise.name;
@@ -36,28 +155,56 @@ function aggregateExerciseData() {
       if (!exerciseMap[exerciseName]) {
         exerciseMap[exerciseName] = {
           name: exerciseName,
+          substituteFor: new Set(),
+          variations: {},
           sessions: []
         };
       }
 
+      // Track substitutions in both directions: the movement done and the
+      // program slot it filled
+      const slot = exercise.slot || exerciseName;
+      if (slot !== exerciseName) {
+        exerciseMap[exerciseName].substituteFor.add(slot);
+
+        if (!exerciseMap[slot]) {
+          exerciseMap[slot] = { name: slot, substituteFor: new Set(), variations: {}, sessions: [] };
+        }
+        exerciseMap[slot].variations[exerciseName] = (exerciseMap[slot].variations[exerciseName] || 0) + 1;
+      }
+
+      // Everything below is in the preferred unit
+      const sets = exercise.sets.map(set => convertSetWeights(set, weight => toDisplayWeight(weight, unit)));
       // Find max weight for this session
-      const maxWeight = Math.max(...exercise.sets.map(s => s.weight || 0));
-      const totalVolume = exercise.sets.reduce((sum, s) => sum + (s.weight * s.reps), 0);
+      const maxWeight = Math.max(...sets.map(s => s.weight || 0));
+      // Volume includes drop sets, myo mini-sets and partial reps
+      const totalVolume = sets.reduce((sum, s) => sum + getSetVolume(s), 0);
 
       exerciseMap[exerciseName].sessions.push({
         date: workoutDate,
         week: workout.week,
         dayType: workout.dayType,
-        sets: exercise.sets,
+        slot,
+        sets,
+        mode: getSetMode(sets[0]),
         maxWeight,
         totalVolume
       });
     });
   });
 
-  // Sort sessions by date for each exercise
-  Object.values(exerciseMap).forEach(exercise => {
-    exercise.sessions.sort((a, b) => a.date - b.date);
+  // Drop slots that were only ever substituted (no sessions of their own)
+  // and sort sessions by date for each exercise
+  Object.keys(exerciseMap).forEach(name => {
+    if (exerciseMap[name].sessions.length === 0) {
+      delete exerciseMap[name];
+      return;
+    }
+    exerciseMap[name].sessions.sort((a, b) => a.date - b.date);
+
+    // Chart the exercise the way it was logged most recently
+    const sessions = exerciseMap[name].sessions;
+    exerciseMap[name].mode = sessions[sessions.length - 1].mode;
   });
 
   return exerciseMap;
@@ -79,6 +226,7 @@ function renderProgressScreen() {
 
   // Default to first exercise
   const defaultExercise = exercises[0];
+  chartOptions.formula = loadFormulaPreference();
 
   screen.innerHTML = `
     <div class="screen-content progress-content">
@@ -90,10 +238,42 @@ function renderProgressScreen() {
       <div class="exercise-selector-container">
         <label for="exercise-selector">Select Exercise:</label>
         <select id="exercise-selector" class="exercise-selector">
-          ${exercises.map(ex => `<option value="${ex}">${ex}</option>`).join('')}
+          ${exercises.map(ex => `<option value="${escapeHtml(ex)}">${escapeHtml(formatExerciseOption(exerciseData[ex]))}</option>`).join('')}
         </select>
       </div>
 
+      <div id="variation-note" class="variation-note"></div>
+
+      <div class="chart-controls">
+        <div class="chart-control">
+          <label for="metric-selector">Metric</label>
+          <select id="metric-selector" class="exercise-selector"></select>
+        </div>
+
+        <div class="chart-control">
+          <label for="range-selector">Range</label>
+          <select id="range-selector" class="exercise-selector">
+            ${Object.entries(DATE_RANGES).map(([key, range]) => `
+              <option value="${key}" ${key === chartOptions.range ? 'selected' : ''}>${range.label}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="chart-control" id="formula-control">
+          <label for="formula-selector">e1RM Formula</label>
+          <select id="formula-selector" class="exercise-selector">
+            ${Object.entries(E1RM_FORMULAS).map(([key, formula]) => `
+              <option value="${key}" ${key === chartOptions.formula ? 'selected' : ''}>${formula.label}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="chart-control" id="weight-control">
+          <label for="weight-selector">At Weight</label>
+          <select id="weight-selector" class="exercise-selector"></select>
+        </div>
+      </div>
+
       <div class="chart-container">
         <canvas id="progress-chart"></canvas>
       </div>
@@ -101,12 +281,193 @@ function renderProgressScreen() {
       <div id="stats-summary" class="stats-summary">
         <!-- Stats will be populated here -->
       </div>
+
+      <div class="record-history">
+        <h3>Personal Records</h3>
+        <div id="record-history-body"></div>
+      </div>
+
+      <div class="muscle-volume">
+        <div class="muscle-volume-header">
+          <h3>Weekly Sets per Muscle</h3>
+          <select id="volume-week-selector" class="exercise-selector"></select>
+        </div>
+        <div id="muscle-volume-body"></div>
+      </div>
+
+      <div class="notes-journal">
+        <h3>Notes</h3>
+        <input type="search" id="notes-search" class="notes-search" placeholder="Search notes (e.g. shoulder)" aria-label="Search notes">
+        <div id="notes-timeline"></div>
+      </div>
     </div>
   `;
 
   setupEventListeners();
-  renderChart(defaultExercise);
-  renderStats(defaultExercise);
+  selectExercise(defaultExercise);
+  initMuscleVolume();
+  renderNotesTimeline('');
+}
+
+/**
+ * Switch the progress view to another exercise
+ * @param {string} exerciseName - Name of the exercise
+ */
+function selectExercise(exerciseName) {
+  currentExercise = exerciseName;
+  chartOptions.weight = null;
+  renderMetricOptions(exerciseData[exerciseName].mode);
+  renderWeightOptions(exerciseName);
+  renderVariationNote(exerciseName);
+  refreshProgressView();
+}
+
+/**
+ * Re-render the chart, stats and control visibility for the current selection
+ */
+function refreshProgressView() {
+  const weightControl = document.getElementById('weight-control');
+  if (weightControl) {
+    weightControl.style.display = chartOptions.metric === 'repsAtWeight' ? '' : 'none';
+  }
+
+  const formulaControl = document.getElementById('formula-control');
+  if (formulaControl) {
+    formulaControl.style.display = exerciseData[currentExercise].mode === DEFAULT_MODE ? '' : 'none';
+  }
+
+  // Records follow the selected e1RM formula
+  recordHistory = computeRecordHistory(getWorkoutHistory(), chartOptions.formula);
+
+  renderChart(currentExercise);
+  renderStats(currentExercise);
+  renderRecordHistory(currentExercise);
+}
+
+/**
+ * Fill the metric selector with the metrics that fit a logging mode,
+ * keeping the selected metric if it still applies
+ * @param {string} mode - Logging mode of the exercise
+ */
+function renderMetricOptions(mode) {
+  const available = Object.keys(CHART_METRICS).filter(key => CHART_METRICS[key].modes.includes(mode));
+  if (!available.includes(chartOptions.metric)) {
+    chartOptions.metric = MODE_STATS[mode].metric;
+  }
+
+  const selector = document.getElementById('metric-selector');
+  if (!selector) return;
+
+  selector.innerHTML = available.map(key => `
+    <option value="${key}" ${key === chartOptions.metric ? 'selected' : ''}>${getMetricLabel(CHART_METRICS[key], mode)}</option>
+  `).join('');
+}
+
+/**
+ * Fill the reps-at-weight selector with the weights used for an exercise,
+ * defaulting to the weight used most often
+ * @param {string} exerciseName - Name of the exercise
+ */
+function renderWeightOptions(exerciseName) {
+  const selector = document.getElementById('weight-selector');
+  const exercise = exerciseData[exerciseName];
+  if (!selector || !exercise) return;
+
+  const counts = {};
+  exercise.sessions.forEach(session => {
+    session.sets.forEach(set => {
+      if (set.weight > 0 || exercise.mode !== DEFAULT_MODE) {
+        counts[set.weight] = (counts[set.weight] || 0) + 1;
+      }
+    });
+  });
+
+  const weights = Object.keys(counts).map(Number).sort((a, b) => b - a);
+  if (weights.length === 0) {
+    selector.innerHTML = '';
+    return;
+  }
+
+  chartOptions.weight = weights.reduce((best, w) => (counts[w] > counts[best] ? w : best), weights[0]);
+  selector.innerHTML = weights.map(w => `
+    <option value="${w}" ${w === chartOptions.weight ? 'selected' : ''}>${w} ${getUnitLabel()} (${counts[w]} sets)</option>
+  `).join('');
+}
+
+/**
+ * Get the sessions of an exercise that fall in the selected date range
+ * @param {Object} exercise - Aggregated exercise data
+ * @returns {Array<Object>} Sessions in range, oldest first
+ */
+function getSessionsInRange(exercise) {
+  const { days } = DATE_RANGES[chartOptions.range] || DATE_RANGES.all;
+  if (!days) return exercise.sessions;
+
+  const cutoff = Date.now() - days * DAY_MS;
+  return exercise.sessions.filter(session => session.date.getTime() >= cutoff);
+}
+
+/**
+ * Get the label of a chart metric for a logging mode
+ * @param {Object} metric - Entry of CHART_METRICS
+ * @param {string} mode - Logging mode of the exercise
+ * @returns {string} e.g. "Max Weight" or "Added Load"
+ */
+function getMetricLabel(metric, mode) {
+  return (metric.labels && metric.labels[mode]) || metric.label;
+}
+
+/**
+ * Get the unit label of a chart metric
+ * @param {Object} metric - Entry of CHART_METRICS
+ * @returns {string} e.g. "lbs", "kg" or "reps"
+ */
+function getMetricUnit(metric) {
+  return metric.unit === 'weight' ? getUnitLabel() : metric.unit;
+}
+
+/**
+ * Format a metric value with its unit
+ * @param {number} value - Metric value
+ * @param {string} unit - Unit label
+ * @returns {string} e.g. "12,450 lbs"
+ */
+function formatMetricValue(value, unit) {
+  const rounded = Math.round(value * 10) / 10;
+  return `${rounded.toLocaleString('en-US')} ${unit}`;
+}
+
+/**
+ * Format an exercise selector option label
+ * @param {Object} exercise - Aggregated exercise data
+ * @returns {string} Label, noting the program slot for substitutes
+ */
+function formatExerciseOption(exercise) {
+  const slots = [...exercise.substituteFor];
+  return slots.length > 0 ? `${exercise.name} (sub for ${slots.join(', ')})` : exercise.name;
+}
+
+/**
+ * Render a note listing the variations done for an exercise slot
+ * @param {string} exerciseName - Name of the exercise
+ */
+function renderVariationNote(exerciseName) {
+  const container = document.getElementById('variation-note');
+  const exercise = exerciseData[exerciseName];
+  if (!container || !exercise) return;
+
+  const parts = [];
+  const variations = Object.entries(exercise.variations);
+
+  if (variations.length > 0) {
+    parts.push(`Also done as: ${variations.map(([name, count]) => `${name} ×${count}`).join(', ')}`);
+  }
+  if (exercise.substituteFor.size > 0) {
+    parts.push(`Done in place of: ${[...exercise.substituteFor].join(', ')}`);
+  }
+
+  container.textContent = parts.join(' · ');
+  container.style.display = parts.length > 0 ? '' : 'none';
 }
 
 /**
@@ -138,9 +499,57 @@ function setupEventListeners() {
   const selector = document.getElementById('exercise-selector');
   if (selector) {
     selector.addEventListener('change', (e) => {
-      const exerciseName = e.target.value;
-      renderChart(exerciseName);
-      renderStats(exerciseName);
+      selectExercise(e.target.value);
+    });
+  }
+
+  const metricSelector = document.getElementById('metric-selector');
+  if (metricSelector) {
+    metricSelector.addEventListener('change', (e) => {
+      chartOptions.metric = e.target.value;
+      refreshProgressView();
+    });
+  }
+
+  const rangeSelector = document.getElementById('range-selector');
+  if (rangeSelector) {
+    rangeSelector.addEventListener('change', (e) => {
+      chartOptions.range = e.target.value;
+      refreshProgressView();
+    });
+  }
+
+  const formulaSelector = document.getElementById('formula-selector');
+  if (formulaSelector) {
+    formulaSelector.addEventListener('change', (e) => {
+      chartOptions.formula = e.target.value;
+      localStorage.setItem(E1RM_FORMULA_KEY, e.target.value);
+      refreshProgressView();
+    });
+  }
+
+  const notesSearch = document.getElementById('notes-search');
+  if (notesSearch) {
+    notesSearch.addEventListener('input', (e) => {
+      renderNotesTimeline(e.target.value);
+    });
+  }
+
+  const notesTimeline = document.getElementById('notes-timeline');
+  if (notesTimeline) {
+    notesTimeline.addEventListener('click', (e) => {
+      const entry = e.target.closest('[data-session-key]');
+      if (entry) {
+        openSessionReview(entry.dataset.sessionKey);
+      }
+    });
+  }
+
+  const weightSelector = document.getElementById('weight-selector');
+  if (weightSelector) {
+    weightSelector.addEventListener('change', (e) => {
+      chartOptions.weight = parseFloat(e.target.value);
+      refreshProgressView();
     });
   }
 }
@@ -164,11 +573,17 @@ function renderChart(exerciseName) {
   }
 
   // Prepare data
-  const labels = exercise.sessions.map(session =>
+  const metric = CHART_METRICS[chartOptions.metric] || CHART_METRICS.maxWeight;
+  const metricLabel = getMetricLabel(metric, exercise.mode);
+  const sessions = getSessionsInRange(exercise);
+  const labels = sessions.map(session =>
     formatChartDate(session.date)
   );
 
-  const dataPoints = exercise.sessions.map(session => session.maxWeight);
+  const dataPoints = sessions.map(session => metric.value(session, chartOptions));
+  const axisTitle = chartOptions.metric === 'repsAtWeight'
+    ? `Reps at ${chartOptions.weight} ${getUnitLabel()}`
+    : `${metricLabel} (${getMetricUnit(metric)})`;
 
   // Create chart
   currentChart = new Chart(ctx, {
@@ -176,8 +591,9 @@ function renderChart(exerciseName) {
     data: {
       labels: labels,
       datasets: [{
-        label: 'Max Weight (lbs)',
+        label: axisTitle,
         data: dataPoints,
+        spanGaps: true,
         borderColor: '#d4af37',
         backgroundColor: 'rgba(212, 175, 55, 0.1)',
         borderWidth: 3,
@@ -208,7 +624,11 @@ function renderChart(exerciseName) {
           displayColors: false,
           callbacks: {
             label: function(context) {
-              return `Weight: ${context.parsed.y} lbs`;
+              return `${metricLabel}: ${formatMetricValue(context.parsed.y, getMetricUnit(metric))}`;
+            },
+            afterLabel: function(context) {
+              const session = sessions[context.dataIndex];
+              return session.slot !== exercise.name ? `In place of ${session.slot}` : '';
             }
           }
         }
@@ -240,7 +660,7 @@ function renderChart(exerciseName) {
               size: 12
             },
             callback: function(value) {
-              return value + ' lbs';
+              return value + ' ' + getMetricUnit(metric);
             }
           }
         }
@@ -254,7 +674,7 @@ function renderChart(exerciseName) {
 }
 
 /**
- * Render stats summary
+ * Render stats summary for the selected date range
  * @param {string} exerciseName - Name of the exercise
  */
 function renderStats(exerciseName) {
@@ -264,47 +684,355 @@ function renderStats(exerciseName) {
   const container = document.getElementById('stats-summary');
   if (!container) return;
 
-  const firstSession = exercise.sessions[0];
-  const lastSession = exercise.sessions[exercise.sessions.length - 1];
-  const allWeights = exercise.sessions.map(s => s.maxWeight);
-  const personalRecord = Math.max(...allWeights);
+  const sessions = getSessionsInRange(exercise);
+  if (sessions.length === 0) {
+    container.innerHTML = `
+      <div class="stat-card stat-card-wide">
+        <div class="stat-label">No Sessions</div>
+        <div class="stat-date">Nothing logged in the ${DATE_RANGES[chartOptions.range].label.toLowerCase()}</div>
+      </div>
+    `;
+    return;
+  }
+
+  // Headline numbers follow how the exercise is logged (weight, added
+  // load, assistance or hold time)
+  const stat = MODE_STATS[exercise.mode] || MODE_STATS[DEFAULT_MODE];
+  const metric = CHART_METRICS[stat.metric];
+  const unitLabel = getMetricUnit(metric);
+  const valued = sessions
+    .map(session => ({ date: session.date, value: metric.value(session, chartOptions) }))
+    .filter(entry => entry.value !== null);
+  const allValues = exercise.sessions
+    .map(session => metric.value(session, chartOptions))
+    .filter(value => value !== null);
+
+  if (valued.length === 0) {
+    container.innerHTML = `
+      <div class="stat-card">
+        <div class="stat-label">Total Sessions</div>
+        <div class="stat-value">${sessions.length}</div>
+      </div>
+    `;
+    return;
+  }
+
+  const firstSession = valued[0];
+  const lastSession = valued[valued.length - 1];
+  const personalRecord = stat.lowerIsBetter ? Math.min(...allValues) : Math.max(...allValues);
 
-  const startingWeight = firstSession.maxWeight;
-  const currentWeight = lastSession.maxWeight;
-  const weightGain = currentWeight - startingWeight;
-  const percentGain = startingWeight > 0
-    ? ((weightGain / startingWeight) * 100).toFixed(1)
+  const startingValue = firstSession.value;
+  const currentValue = lastSession.value;
+  const gain = Math.round((currentValue - startingValue) * 100) / 100;
+  const percentGain = startingValue > 0
+    ? ((gain / startingValue) * 100).toFixed(1)
     : 0;
+  const improved = stat.lowerIsBetter ? gain <= 0 : gain >= 0;
 
-  const isCurrentPR = currentWeight === personalRecord;
+  // Weight × reps sets are judged by the records engine (rep maxes, e1RM
+  // and volume); other modes by their headline stat
+  const isCurrentPR = exercise.mode === DEFAULT_MODE
+    ? recordHistory.records.some(record =>
+      record.exercise === exerciseName && new Date(record.date).getTime() === lastSession.date.getTime())
+    : currentValue === personalRecord;
 
   container.innerHTML = `
     <div class="stat-card">
-      <div class="stat-label">Starting Weight</div>
-      <div class="stat-value">${startingWeight} lbs</div>
+      <div class="stat-label">Starting ${stat.label}</div>
+      <div class="stat-value">${startingValue} ${unitLabel}</div>
       <div class="stat-date">${formatStatDate(firstSession.date)}</div>
     </div>
 
     <div class="stat-card">
-      <div class="stat-label">Current Weight</div>
-      <div class="stat-value">${currentWeight} lbs</div>
+      <div class="stat-label">Current ${stat.label}</div>
+      <div class="stat-value">${currentValue} ${unitLabel}</div>
       <div class="stat-date">${formatStatDate(lastSession.date)}</div>
       ${isCurrentPR ? '<div class="pr-badge">Personal Record!</div>' : ''}
     </div>
 
-    <div class="stat-card ${weightGain >= 0 ? 'positive' : 'negative'}">
+    <div class="stat-card ${improved ? 'positive' : 'negative'}">
       <div class="stat-label">Progress</div>
-      <div class="stat-value">${weightGain >= 0 ? '+' : ''}${weightGain} lbs</div>
-      <div class="stat-percent">${weightGain >= 0 ? '+' : ''}${percentGain}%</div>
+      <div class="stat-value">${gain >= 0 ? '+' : ''}${gain} ${unitLabel}</div>
+      <div class="stat-percent">${gain >= 0 ? '+' : ''}${percentGain}%</div>
     </div>
 
     <div class="stat-card">
       <div class="stat-label">Total Sessions</div>
-      <div class="stat-value">${exercise.sessions.length}</div>
+      <div class="stat-value">${sessions.length}</div>
     </div>
+
+    ${exercise.mode === DEFAULT_MODE ? renderOneRepMaxChange(sessions) : ''}
+
+    ${exercise.mode !== 'duration' ? renderEffortCalibration(sessions) : ''}
+  `;
+}
+
+/**
+ * Render how logged effort compared with the prescribed RIR in range
+ * @param {Array<Object>} sessions - Sessions in the selected range
+ * @returns {string} HTML for the stat card, or '' if no effort was logged
+ */
+function renderEffortCalibration(sessions) {
+  const summary = summarizeEffort(sessions.flatMap(session => session.sets));
+  if (!summary) return '';
+
+  const sign = summary.average > 0 ? '+' : '';
+
+  return `
+    <div class="stat-card stat-card-wide effort-calibration effort-${summary.verdict}">
+      <div class="stat-label">Effort vs Prescribed RIR</div>
+      <div class="stat-value">${sign}${summary.average} RIR</div>
+      <div class="stat-date">
+        ${EFFORT_VERDICTS[summary.verdict]} · ${summary.above} of ${summary.count} sets easier, ${summary.below} harder
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the current rep maxes and the records set in the selected range,
+ * including those set by variations done in the exercise's slot
+ * @param {string} exerciseName - Name of the exercise
+ */
+function renderRecordHistory(exerciseName) {
+  const container = document.getElementById('record-history-body');
+  const exercise = exerciseData[exerciseName];
+  if (!container || !exercise) return;
+
+  const names = [exerciseName, ...Object.keys(exercise.variations)];
+  const { days } = DATE_RANGES[chartOptions.range] || DATE_RANGES.all;
+  const cutoff = days ? Date.now() - days * DAY_MS : null;
+  const records = recordHistory.records
+    .filter(record => names.includes(record.exercise))
+    .filter(record => cutoff === null || new Date(record.date).getTime() >= cutoff)
+    .reverse();
+
+  // Only rep maxes not beaten by a heavier set of more reps
+  const bests = recordHistory.bests[exerciseName];
+  const repMaxes = bests
+    ? Object.keys(bests.repBests).map(Number).sort((a, b) => a - b)
+      .filter(reps => bests.repBests[reps] === getRepMax(bests, reps))
+    : [];
+
+  if (repMaxes.length === 0 && records.length === 0) {
+    container.innerHTML = '<p class="record-empty">Records are tracked for weight × reps sets.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    ${repMaxes.length > 0
+      ? `<div class="rep-maxes">
+          ${repMaxes.map(reps => `
+            <div class="rep-max">
+              <span class="rep-max-reps">${reps}RM</span>
+              <span class="rep-max-weight">${formatWeight(bests.repBests[reps])}</span>
+            </div>
+          `).join('')}
+        </div>`
+      : ''}
+    ${records.length > 0
+      ? `<ul class="record-list">
+          ${records.map(record => `
+            <li class="record-item">
+              <span class="record-date">${formatStatDate(new Date(record.date))}</span>
+              <span class="record-text">
+                ${describeRecord(record)}
+                ${record.exercise !== exerciseName ? `<span class="record-variation">as ${escapeHtml(record.exercise)}</span>` : ''}
+              </span>
+            </li>
+          `).join('')}
+        </ul>`
+      : '<p class="record-empty">No records set in this range. The first session of an exercise sets its baseline.</p>'}
+  `;
+}
+
+/**
+ * Render the notes timeline, newest first
+ * @param {string} query - Search text (every word must match)
+ */
+function renderNotesTimeline(query) {
+  const container = document.getElementById('notes-timeline');
+  if (!container) return;
+
+  const allNotes = collectNotes();
+  const matches = searchNotes(allNotes, query);
+
+  if (allNotes.length === 0) {
+    container.innerHTML = '<p class="notes-empty">Notes you write during a workout will show up here.</p>';
+    return;
+  }
+  if (matches.length === 0) {
+    container.innerHTML = '<p class="notes-empty">No notes match your search.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <ul class="notes-list">
+      ${matches.slice(0, NOTES_LIMIT).map(entry => `
+        <li>
+          <button class="note-entry" data-session-key="${escapeHtml(entry.key)}">
+            <span class="note-meta">
+              ${formatStatDate(new Date(entry.completedAt))} · ${escapeHtml(entry.exercise || `Week ${entry.week} - ${entry.dayType}`)}
+            </span>
+            <span class="note-text">${escapeHtml(entry.text)}</span>
+          </button>
+        </li>
+      `).join('')}
+    </ul>
+    ${matches.length > NOTES_LIMIT
+      ? `<p class="notes-empty">Showing ${NOTES_LIMIT} of ${matches.length} notes. Search to narrow them down.</p>`
+      : ''}
   `;
 }
 
+/**
+ * Render the e1RM change card (first to last estimable session in range)
+ * @param {Array<Object>} sessions - Sessions in the selected range
+ * @returns {string} HTML for the stat card
+ */
+function renderOneRepMaxChange(sessions) {
+  const formulaLabel = E1RM_FORMULAS[chartOptions.formula].label;
+  const estimates = sessions
+    .map(session => ({ date: session.date, e1rm: bestOneRepMax(session.sets, chartOptions.formula) }))
+    .filter(entry => entry.e1rm !== null);
+
+  if (estimates.length === 0) {
+    return `
+      <div class="stat-card stat-card-wide">
+        <div class="stat-label">e1RM Change (${formulaLabel})</div>
+        <div class="stat-date">Not enough weighted sets to estimate</div>
+      </div>
+    `;
+  }
+
+  const first = estimates[0];
+  const last = estimates[estimates.length - 1];
+  const change = Math.round((last.e1rm - first.e1rm) * 10) / 10;
+  const percent = first.e1rm > 0 ? ((change / first.e1rm) * 100).toFixed(1) : 0;
+  const sign = change >= 0 ? '+' : '';
+  const unitLabel = getUnitLabel();
+
+  return `
+    <div class="stat-card stat-card-wide ${change >= 0 ? 'positive' : 'negative'}">
+      <div class="stat-label">e1RM Change (${formulaLabel})</div>
+      <div class="stat-value">${sign}${change} ${unitLabel}</div>
+      <div class="stat-percent">${sign}${percent}%</div>
+      <div class="stat-date">${first.e1rm} → ${last.e1rm} ${unitLabel} · ${formatStatDate(first.date)} – ${formatStatDate(last.date)}</div>
+    </div>
+  `;
+}
+
+/**
+ * Fill the week selector for the muscle volume view and render the current week
+ */
+async function initMuscleVolume() {
+  const selector = document.getElementById('volume-week-selector');
+  if (!selector) return;
+
+  try {
+    const weeks = await getAllWeeks();
+    const currentWeek = await getCurrentWeek();
+
+    selector.innerHTML = weeks.map(week => `
+      <option value="${week.week}" ${week.week === currentWeek ? 'selected' : ''}>
+        Week ${week.week}${week.label !== `Week ${week.week}` ? ` - ${escapeHtml(week.label)}` : ''}
+      </option>
+    `).join('');
+
+    selector.addEventListener('change', (e) => {
+      renderMuscleVolume(parseInt(e.target.value, 10));
+    });
+
+    await renderMuscleVolume(currentWeek);
+  } catch (error) {
+    console.error('Failed to load muscle volume:', error);
+  }
+}
+
+/**
+ * Render prescribed vs. completed hard sets per muscle for a program week
+ * @param {number} weekNum - Program week number
+ */
+async function renderMuscleVolume(weekNum) {
+  const container = document.getElementById('muscle-volume-body');
+  if (!container) return;
+
+  const week = await getWeek(weekNum);
+  if (!week) {
+    container.innerHTML = '<p class="muscle-volume-note">Week not found in program.</p>';
+    return;
+  }
+
+  const prescribed = countMuscleSets(week.days.flatMap(day =>
+    day.exercises.map(ex => ({ name: ex.exercise, sets: ex.sets }))
+  ));
+
+  // Completed sets are counted for the movement actually done, so
+  // substitutions credit the muscles they train
+  const programId = getActiveProgramId();
+  const completed = countMuscleSets(Object.values(getWorkoutHistory())
+    .filter(session => session.week === weekNum && getSessionProgramId(session) === programId)
+    .flatMap(session => session.exercises.map(ex => ({ name: ex.name, sets: (ex.sets || []).length })))
+  );
+
+  const muscles = Object.keys(MUSCLE_GROUPS).filter(muscle =>
+    prescribed.totals[muscle] || completed.totals[muscle]
+  );
+  const unmapped = [...new Set([...prescribed.unmapped, ...completed.unmapped])];
+
+  container.innerHTML = `
+    <div class="muscle-volume-legend">
+      <span>Completed / Prescribed</span>
+      <span>Secondary muscles count as ½ set</span>
+    </div>
+    ${muscles.map(muscle => renderMuscleRow(
+      MUSCLE_GROUPS[muscle],
+      completed.totals[muscle] || 0,
+      prescribed.totals[muscle] || 0
+    )).join('')}
+    ${unmapped.length > 0 ? `
+      <p class="muscle-volume-note">Not counted (no muscle mapping): ${unmapped.map(escapeHtml).join(', ')}</p>
+    ` : ''}
+  `;
+}
+
+/**
+ * Render one muscle's row in the weekly volume view
+ * @param {string} label - Muscle label
+ * @param {number} completed - Completed hard sets
+ * @param {number} prescribed - Prescribed hard sets
+ * @returns {string} HTML for the row
+ */
+function renderMuscleRow(label, completed, prescribed) {
+  const percent = prescribed > 0 ? Math.min(100, (completed / prescribed) * 100) : 100;
+  const status = completed >= prescribed ? 'met' : 'under';
+  const shortfall = prescribed - completed;
+
+  return `
+    <div class="muscle-row ${status}">
+      <div class="muscle-row-header">
+        <span class="muscle-name">${label}</span>
+        <span class="muscle-sets">
+          ${formatSetCount(completed)} / ${formatSetCount(prescribed)}
+          ${status === 'under' ? `<span class="muscle-shortfall">−${formatSetCount(shortfall)}</span>` : ''}
+        </span>
+      </div>
+      <div class="muscle-bar">
+        <div class="muscle-bar-fill" style="width: ${percent}%"></div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Format a (possibly fractional) set count
+ * @param {number} sets - Weighted set count
+ * @returns {string} e.g. "6" or "4.5"
+ */
+function formatSetCount(sets) {
+  return String(Math.round(sets * 10) / 10);
+}
+
 /**
  * Format date for chart labels
  * @param {Date} date - Date to format
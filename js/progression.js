@@ -0,0 +1,129 @@
+/**
+ * Min-Max Companion - Progression Module
+ * Suggests the next working load from last session's performance
+ *
+ * Rules, applied to the heaviest sets of last session:
+ *   - every set reached the top of the rep range  -> add an increment
+ *   - any set fell short of the bottom of the range -> take an increment off
+ *   - otherwise                                    -> hold and build reps
+ * The week's RIR targets then adjust the call: a much easier target than
+ * last time (e.g. a deload) drops the load, a slightly easier one holds it,
+ * and a harder one lets a near-miss progress.
+ */
+
+import { snapToIncrement } from './units.js';
+
+const DEFAULT_INCREMENT = 5;
+const DELOAD_REDUCTION = 0.1;
+
+/**
+ * Parse a prescribed rep range
+ * @param {string} reps - Rep prescription (e.g., "6-8", "10")
+ * @returns {Object|null} { min, max } or null if not a rep range (e.g., "N/A")
+ */
+export function parseRepRange(reps) {
+  const match = String(reps).match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+  if (!match) return null;
+
+  const min = parseInt(match[1], 10);
+  const max = match[2] ? parseInt(match[2], 10) : min;
+  return { min, max: Math.max(min, max) };
+}
+
+/**
+ * Average of an RIR target array
+ * @param {Array<number>} rir - Per-set RIR targets
+ * @returns {number|null} Average RIR, or null if none
+ */
+function averageRir(rir) {
+  if (!Array.isArray(rir) || rir.length === 0) return null;
+  return rir.reduce((sum, r) => sum + r, 0) / rir.length;
+}
+
+/**
+ * Suggest the load for the next session of an exercise
+ * @param {Object} params
+ * @param {Array<Object>} params.lastSets - Last session's working sets ({ weight, reps })
+ * @param {string} params.reps - Prescribed rep range for this session
+ * @param {Array<number>} params.rir - This session's RIR targets
+ * @param {Array<number>} params.lastRir - RIR targets prescribed last session (if known)
+ * @param {number} params.increment - Smallest loadable weight step
+ * @param {string} params.unitLabel - Weight unit label used in the reason
+ * @returns {Object|null} { action, weight, lastWeight, reason } where action is
+ *   'increase', 'hold' or 'decrease'; null if no suggestion can be made
+ */
+export function suggestNextLoad({ lastSets, reps, rir, lastRir = null, increment = DEFAULT_INCREMENT, unitLabel = 'lbs' }) {
+  const range = parseRepRange(reps);
+  if (!range || !Array.isArray(lastSets) || lastSets.length === 0) {
+    return null;
+  }
+
+  const lastWeight = Math.max(...lastSets.map(s => parseFloat(s.weight) || 0));
+  if (lastWeight <= 0) {
+    return null;
+  }
+
+  // Judge only the sets done at the top weight (ignore back-off sets)
+  const topSets = lastSets.filter(s => parseFloat(s.weight) === lastWeight);
+  const repCounts = topSets.map(s => parseInt(s.reps, 10) || 0);
+  const fewest = Math.min(...repCounts);
+  const most = Math.max(...repCounts);
+
+  // Suggested loads land on multiples of the increment, never below one step
+  const lightest = snapToIncrement(increment, increment);
+  let action;
+  let reason;
+
+  if (fewest >= range.max) {
+    action = 'increase';
+    reason = `Hit ${range.max}+ reps on every set at ${lastWeight} ${unitLabel} last time`;
+  } else if (fewest < range.min) {
+    action = 'decrease';
+    reason = `Missed the ${range.min}-rep minimum last time (${fewest} reps)`;
+  } else {
+    action = 'hold';
+    reason = `Build reps toward ${range.max} at ${lastWeight} ${unitLabel}`;
+  }
+
+  // Compare effort targets with last session
+  const thisEffort = averageRir(rir);
+  const lastEffort = averageRir(lastRir);
+  if (thisEffort !== null && lastEffort !== null) {
+    const easier = thisEffort - lastEffort;
+
+    if (easier >= 2) {
+      const reduced = snapToIncrement(lastWeight * (1 - DELOAD_REDUCTION), increment);
+      return {
+        action: 'decrease',
+        weight: Math.max(lightest, Math.min(reduced, snapToIncrement(lastWeight - increment, increment))),
+        lastWeight,
+        reason: `RIR target is much higher this week (${formatRir(rir)} vs ${formatRir(lastRir)}), back off the load`
+      };
+    }
+
+    if (easier >= 1 && action === 'increase') {
+      action = 'hold';
+      reason = `Top of range hit, but this week's RIR target is easier (${formatRir(rir)})`;
+    } else if (easier <= -1 && action === 'hold' && most >= range.max) {
+      action = 'increase';
+      reason = `Hit ${range.max} reps last time and this week pushes closer to failure (RIR ${formatRir(rir)})`;
+    }
+  }
+
+  const weight = {
+    increase: snapToIncrement(lastWeight + increment, increment),
+    hold: lastWeight,
+    decrease: Math.max(lightest, snapToIncrement(lastWeight - increment, increment))
+  }[action];
+
+  return { action, weight, lastWeight, reason };
+}
+
+/**
+ * Format an RIR target array for display
+ * @param {Array<number>} rir - Per-set RIR targets
+ * @returns {string} e.g. "2,1"
+ */
+function formatRir(rir) {
+  return Array.isArray(rir) ? rir.join(',') : String(rir);
+}
@@ -0,0 +1,209 @@
+/**
+ * Min-Max Companion - Personal Records Module
+ * Tracks rep maxes, estimated 1RM and session volume records per exercise
+ *
+ * Records are kept per movement actually done, so a substitution sets
+ * records of its own rather than counting toward the slot it filled. Only
+ * weight × reps sets count, compared in the canonical unit. An exercise's
+ * first session sets the baseline and isn't itself a record.
+ *
+ * A rep max is the heaviest weight lifted for at least that many reps, so
+ * 225 × 8 also beats a 6-rep max of 215.
+ */
+
+import { getWorkoutHistory } from './storage.js';
+import { getSetVolume } from './techniques.js';
+import { DEFAULT_E1RM_FORMULA, estimateOneRepMax } from './metrics.js';
+import { DEFAULT_MODE, getSetMode } from './logging.js';
+import { formatWeight, getWeightUnit, toDisplayWeight, getUnitLabel } from './units.js';
+
+export const RECORD_TYPES = {
+  reps: { label: 'Rep max' },
+  e1rm: { label: 'Estimated 1RM' },
+  volume: { label: 'Session volume' }
+};
+
+/**
+ * Create empty bests for an exercise
+ * @returns {Object} { repBests: { reps: weight }, e1rm, volume, sessions }
+ */
+function createBests() {
+  return { repBests: {}, e1rm: null, volume: null, sessions: 0 };
+}
+
+/**
+ * Get the sets that count toward records
+ * @param {Array<Object>} sets - Saved working sets
+ * @returns {Array<Object>} Weight × reps sets with a load and reps
+ */
+function getRecordSets(sets) {
+  return (sets || []).filter(s => getSetMode(s) === DEFAULT_MODE && s.weight > 0 && s.reps > 0);
+}
+
+/**
+ * Get the heaviest weight lifted for at least a number of reps
+ * @param {Object} bests - Exercise bests
+ * @param {number} reps - Rep count
+ * @returns {number|null} Weight, or null if never done for that many reps
+ */
+export function getRepMax(bests, reps) {
+  let best = null;
+  Object.entries(bests.repBests).forEach(([count, weight]) => {
+    if (Number(count) >= reps && (best === null || weight > best)) {
+      best = weight;
+    }
+  });
+  return best;
+}
+
+/**
+ * Compare a set with an exercise's bests, then count it toward them
+ * @param {Object} bests - Exercise bests (updated in place)
+ * @param {Object} set - Saved set ({ weight, reps })
+ * @param {string} formula - Key of E1RM_FORMULAS
+ * @returns {Array<Object>} Records the set beat: { type, value, previous, reps? }
+ */
+function applySet(bests, set, formula) {
+  const records = [];
+  const baseline = bests.sessions > 0;
+
+  const repMax = getRepMax(bests, set.reps);
+  if (repMax === null || set.weight > repMax) {
+    if (baseline) {
+      records.push({ type: 'reps', reps: set.reps, value: set.weight, previous: repMax });
+    }
+    bests.repBests[set.reps] = Math.max(bests.repBests[set.reps] || 0, set.weight);
+  }
+
+  const e1rm = estimateOneRepMax(set.weight, set.reps, formula);
+  if (e1rm !== null && (bests.e1rm === null || e1rm > bests.e1rm)) {
+    if (baseline) {
+      records.push({ type: 'e1rm', value: e1rm, previous: bests.e1rm });
+    }
+    bests.e1rm = e1rm;
+  }
+
+  return records;
+}
+
+/**
+ * Compare a session's volume with an exercise's best, then count it
+ * @param {Object} bests - Exercise bests (updated in place)
+ * @param {number} volume - Session volume of the exercise
+ * @returns {Object|null} Volume record, or null
+ */
+function applySessionVolume(bests, volume) {
+  const previous = bests.volume;
+  bests.sessions++;
+  if (previous !== null && volume <= previous) return null;
+
+  bests.volume = volume;
+  return previous !== null ? { type: 'volume', value: volume, previous } : null;
+}
+
+/**
+ * Work through the history and find every record set along the way
+ * Records set by several sets of one session are listed once, with the
+ * value it ended on and the best from before the session.
+ * @param {Object} history - Workout history ({ key: session })
+ * @param {string} formula - Key of E1RM_FORMULAS
+ * @returns {Object} { bests: { exerciseName: bests }, records: [{ exercise,
+ *   slot, sessionKey, date, type, value, previous, reps? }] } (records oldest first)
+ */
+export function computeRecordHistory(history, formula = DEFAULT_E1RM_FORMULA) {
+  const bests = {};
+  const records = [];
+
+  const sessions = Object.entries(history).sort(([, a], [, b]) =>
+    new Date(a.completedAt) - new Date(b.completedAt)
+  );
+
+  sessions.forEach(([sessionKey, session]) => {
+    session.exercises.forEach(exercise => {
+      const sets = getRecordSets(exercise.sets);
+      if (sets.length === 0) return;
+
+      const exerciseBests = bests[exercise.name] || (bests[exercise.name] = createBests());
+      const sessionRecords = {};
+
+      sets.forEach(set => {
+        applySet(exerciseBests, set, formula).forEach(record => {
+          const id = record.type === 'reps' ? `reps-${record.reps}` : record.type;
+          sessionRecords[id] = sessionRecords[id]
+            ? { ...record, previous: sessionRecords[id].previous }
+            : record;
+        });
+      });
+
+      const volume = sets.reduce((sum, set) => sum + getSetVolume(set), 0);
+      const volumeRecord = applySessionVolume(exerciseBests, volume);
+      if (volumeRecord) sessionRecords.volume = volumeRecord;
+
+      Object.values(sessionRecords).forEach(record => {
+        records.push({
+          exercise: exercise.name,
+          slot: exercise.slot || exercise.name,
+          sessionKey,
+          date: session.completedAt,
+          ...record
+        });
+      });
+    });
+  });
+
+  return { bests, records };
+}
+
+/**
+ * Check a set logged during a workout for new records
+ * Sets logged earlier in the workout count toward the bests, so a set has
+ * to beat those too.
+ * @param {string} exerciseName - Name of the exercise
+ * @param {Array<Object>} earlierSets - Other logged sets of the exercise this
+ *   workout (saved shape, canonical unit)
+ * @param {Object} set - The set just logged (saved shape, canonical unit)
+ * @param {string} formula - Key of E1RM_FORMULAS
+ * @returns {Array<Object>} Records: { type, value, previous, reps? }
+ */
+export function detectSetRecords(exerciseName, earlierSets, set, formula = DEFAULT_E1RM_FORMULA) {
+  if (getRecordSets([set]).length === 0) return [];
+
+  const { bests } = computeRecordHistory(getWorkoutHistory(), formula);
+  const exerciseBests = bests[exerciseName];
+  if (!exerciseBests) return [];
+
+  const counted = getRecordSets(earlierSets);
+  counted.forEach(earlier => applySet(exerciseBests, earlier, formula));
+  const records = applySet(exerciseBests, set, formula);
+
+  // Volume is announced by the set that takes the running total past the best
+  const volumeBefore = counted.reduce((sum, s) => sum + getSetVolume(s), 0);
+  const volumeAfter = volumeBefore + getSetVolume(set);
+  if (volumeBefore <= exerciseBests.volume && volumeAfter > exerciseBests.volume) {
+    records.push({ type: 'volume', value: volumeAfter, previous: exerciseBests.volume });
+  }
+
+  return records;
+}
+
+/**
+ * Describe a record
+ * @param {Object} record - Record ({ type, value, previous, reps? })
+ * @param {string} unit - Unit to show weights in (defaults to the preferred unit)
+ * @returns {string} e.g. "8-rep max: 225 lbs (was 215 lbs)"
+ */
+export function describeRecord(record, unit = getWeightUnit()) {
+  // Volumes are large, so whole numbers read better
+  const format = record.type === 'volume'
+    ? (value) => `${Math.round(toDisplayWeight(value, unit)).toLocaleString('en-US')} ${getUnitLabel(unit)}`
+    : (value) => formatWeight(value, unit);
+
+  const label = record.type === 'reps'
+    ? `${record.reps}-rep max`
+    : RECORD_TYPES[record.type].label;
+  const was = record.previous !== null && record.previous !== undefined
+    ? `was ${format(record.previous)}`
+    : 'first time at this many reps';
+
+  return `${label}: ${format(record.value)} (${was})`;
+}
@@ -0,0 +1,701 @@
+/**
+ * Min-Max Companion - Session Review Module
+ * Review of a completed workout, compared against what the program
+ * prescribed for that day, with corrections and deletion
+ */
+
+import { getWorkoutHistory, updateWorkout, deleteWorkout, getSessionDuration } from './storage.js';
+import { loadProgram, getSessionProgramId } from './programs.js';
+import { parseRepRange } from './progression.js';
+import { getUnitLabel, convertSetWeights, toDisplayWeight, toCanonicalWeight } from './units.js';
+import { getSetMode, validateSetEntry, serializeSetEntry, formatSetEntry } from './logging.js';
+import { describeTechniqueFields } from './techniques.js';
+import { escapeHtml, validateSession } from './backup.js';
+import { EFFORT_SCALES, getEffortScale, fromRir, getTargetRir, getEffortDeviation, formatEffortTargets } from './effort.js';
+import {
+  moveSessionDate,
+  applySessionEdit,
+  restoreSessionVersion,
+  getChangeLog,
+  describeSessionChange
+} from './edits.js';
+
+const CHANGE_LOG_LABELS = {
+  edit: 'Edited',
+  revert: 'Restored',
+  conflict: 'Replaced by another device'
+};
+
+let currentSessionKey = null;
+let currentDay = null;
+let draft = null;
+let handlersBound = false;
+
+/**
+ * List every session of a day type in a program, oldest first
+ * @param {string} dayType - Day type
+ * @param {string} programId - Program ID
+ * @returns {Array<Object>} [{ key, session }]
+ */
+export function getDaySessions(dayType, programId) {
+  return Object.entries(getWorkoutHistory())
+    .filter(([, session]) => session.dayType === dayType && getSessionProgramId(session) === programId)
+    .map(([key, session]) => ({ key, session }))
+    .sort((a, b) => new Date(a.session.completedAt) - new Date(b.session.completedAt));
+}
+
+/**
+ * Find the sessions either side of a session among the same day type
+ * @param {string} sessionKey - Session key
+ * @returns {Object} { previous, next } session keys (null at either end),
+ *   plus its position and the total count
+ */
+export function getAdjacentSessions(sessionKey) {
+  const session = getWorkoutHistory()[sessionKey];
+  if (!session) return { previous: null, next: null, position: 0, total: 0 };
+
+  const sessions = getDaySessions(session.dayType, getSessionProgramId(session));
+  const idx = sessions.findIndex(entry => entry.key === sessionKey);
+
+  return {
+    previous: idx > 0 ? sessions[idx - 1].key : null,
+    next: idx < sessions.length - 1 ? sessions[idx + 1].key : null,
+    position: idx + 1,
+    total: sessions.length
+  };
+}
+
+/**
+ * Compare one logged exercise with its prescription
+ * @param {Object} exercise - Saved exercise ({ name, slot, sets, ... })
+ * @param {Object|null} prescription - Program exercise ({ sets, reps, rir }), if found
+ * @returns {Object} { setsDone, setsPrescribed, repRange, rir, sets: [{ set,
+ *   targetRir, actualRir, effortDeviation, repStatus }] } where repStatus is
+ *   'below', 'in', 'above' or null when reps aren't compared (timed sets, no
+ *   rep range), and effortDeviation is actual minus target RIR (or null)
+ */
+export function compareToPrescription(exercise, prescription) {
+  const repRange = prescription ? parseRepRange(prescription.reps) : null;
+  const rir = prescription && Array.isArray(prescription.rir) ? prescription.rir : [];
+  const sets = exercise.sets || [];
+
+  return {
+    setsDone: sets.length,
+    setsPrescribed: prescription ? parseInt(prescription.sets, 10) || null : null,
+    repRange,
+    rir,
+    sets: sets.map((set, idx) => {
+      let repStatus = null;
+      if (repRange && getSetMode(set) !== 'duration') {
+        if (set.reps < repRange.min) repStatus = 'below';
+        else if (set.reps > repRange.max) repStatus = 'above';
+        else repStatus = 'in';
+      }
+
+      // The target saved with the set wins over today's program
+      const targetRir = typeof set.targetRir === 'number' ? set.targetRir : getTargetRir(rir, idx);
+      const actualRir = typeof set.rir === 'number' ? set.rir : null;
+
+      return {
+        set,
+        targetRir,
+        actualRir,
+        effortDeviation: getEffortDeviation({ rir: actualRir, targetRir }),
+        repStatus
+      };
+    })
+  };
+}
+
+/**
+ * Pair a session's exercises with the day's prescription
+ * Exercises are listed in the order they were done; prescribed exercises
+ * that weren't logged at all are listed after them.
+ * @param {Object} session - Saved session
+ * @param {Object|null} day - Program day ({ exercises }), if found
+ * @returns {Array<Object>} [{ exercise, prescription, comparison }] where
+ *   exercise is null for a prescribed exercise missing from the session
+ */
+export function buildSessionReview(session, day) {
+  const prescribed = day ? day.exercises : [];
+  const used = new Set();
+
+  const findPrescription = (exercise) => {
+    const slot = exercise.slot || exercise.name;
+    let idx = Number.isInteger(exercise.programIndex) &&
+      prescribed[exercise.programIndex]?.exercise === slot
+      ? exercise.programIndex
+      : -1;
+    if (idx === -1) {
+      idx = prescribed.findIndex((ex, i) => !used.has(i) && ex.exercise === slot);
+    }
+    if (idx === -1) return null;
+
+    used.add(idx);
+    return prescribed[idx];
+  };
+
+  const rows = session.exercises.map(exercise => {
+    const prescription = findPrescription(exercise);
+    return { exercise, prescription, comparison: compareToPrescription(exercise, prescription) };
+  });
+
+  prescribed.forEach((prescription, idx) => {
+    if (!used.has(idx)) {
+      rows.push({ exercise: null, prescription, comparison: compareToPrescription({ sets: [] }, prescription) });
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Format a number of seconds as H:MM:SS or M:SS
+ * @param {number} seconds - Total seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (hrs > 0) {
+    return `${hrs}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+  }
+  return `${mins}:${String(secs).padStart(2, '0')}`;
+}
+
+/**
+ * Describe when a session happened and how long it took
+ * @param {Object} session - Saved session
+ * @returns {string} e.g. "Mon, Mar 3, 2025 · 6:05 PM · 58:12"
+ */
+function describeSessionTime(session) {
+  const finished = new Date(session.completedAt);
+  const dateText = finished.toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+  });
+  const started = session.startedAt ? new Date(session.startedAt) : null;
+  const timeText = (started || finished).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+  const durationSeconds = getSessionDuration(session);
+  const duration = durationSeconds !== null
+    ? formatDuration(durationSeconds)
+    : 'Duration not recorded';
+
+  return `${dateText} · ${started ? 'Started' : 'Finished'} ${timeText} · ${duration}`;
+}
+
+/**
+ * Describe a set's effort against its target in the preferred scale
+ * @param {number|null} actualRir - RIR logged for the set
+ * @param {number|null} targetRir - Prescribed RIR
+ * @param {string} scale - 'rir' or 'rpe'
+ * @returns {string} e.g. "RIR 2 (target 1)", "RPE 9" or ""
+ */
+function describeSetEffort(actualRir, targetRir, scale) {
+  const { label } = EFFORT_SCALES[scale];
+  if (actualRir === null) {
+    return targetRir !== null ? `${label} ${fromRir(targetRir, scale)}` : '';
+  }
+  return targetRir !== null
+    ? `${label} ${fromRir(actualRir, scale)} (target ${fromRir(targetRir, scale)})`
+    : `${label} ${fromRir(actualRir, scale)}`;
+}
+
+/**
+ * Render one exercise of the review
+ * @param {Object} row - Row from buildSessionReview()
+ * @param {string} unitLabel - Weight unit label
+ * @returns {string} HTML string
+ */
+function renderReviewExercise(row, unitLabel) {
+  const { exercise, prescription, comparison } = row;
+  const name = exercise ? exercise.name : prescription.exercise;
+  const slot = exercise ? exercise.slot || exercise.name : prescription.exercise;
+
+  const setsText = comparison.setsPrescribed !== null
+    ? `${comparison.setsDone}/${comparison.setsPrescribed} sets`
+    : `${comparison.setsDone} sets`;
+  const setsStatus = comparison.setsPrescribed === null || comparison.setsDone === comparison.setsPrescribed
+    ? ''
+    : comparison.setsDone < comparison.setsPrescribed ? 'below' : 'above';
+  const scale = getEffortScale();
+
+  return `
+    <div class="review-exercise ${exercise ? '' : 'missing'} ${exercise?.skipped ? 'skipped' : ''}">
+      <div class="review-exercise-header">
+        <h3>${escapeHtml(name)}</h3>
+        <span class="review-sets-count ${setsStatus}">${setsText}</span>
+      </div>
+      <div class="review-prescription">
+        ${prescription
+          ? `Prescribed: ${escapeHtml(prescription.sets)} × ${escapeHtml(prescription.reps)} · ${formatEffortTargets(comparison.rir, scale) || 'RIR N/A'}`
+          : 'Not in the program for this day'}
+        ${slot !== name ? ` · Sub for ${escapeHtml(slot)}` : ''}
+      </div>
+      ${!exercise ? '<div class="review-note">Not logged</div>' : ''}
+      ${exercise?.note ? `<div class="review-user-note">${escapeHtml(exercise.note)}</div>` : ''}
+      ${exercise?.skipped
+        ? `<div class="review-note">Skipped${exercise.skipReason ? `: ${escapeHtml(exercise.skipReason)}` : ''}</div>`
+        : ''}
+      ${comparison.sets.length > 0 ? `
+        <div class="review-sets">
+          ${comparison.sets.map(({ set, targetRir, actualRir, effortDeviation, repStatus }, idx) => {
+            const display = convertSetWeights(set, weight => toDisplayWeight(weight));
+            const technique = describeTechniqueFields(display);
+            return `
+              <div class="review-set">
+                <span class="set-number">${idx + 1}</span>
+                <span class="review-set-value ${repStatus && repStatus !== 'in' ? `reps-${repStatus}` : ''}">
+                  ${formatSetEntry(display, getSetMode(set), unitLabel)}
+                </span>
+                <span class="review-set-rir ${effortDeviation > 0 ? 'effort-easy' : effortDeviation < 0 ? 'effort-hard' : ''}">
+                  ${describeSetEffort(actualRir, targetRir, scale)}
+                </span>
+              </div>
+              ${technique ? `<div class="technique-summary">${technique}</div>` : ''}
+            `;
+          }).join('')}
+        </div>
+      ` : ''}
+      ${exercise && exercise.warmups && exercise.warmups.length > 0
+        ? `<div class="review-warmups">Warm-up: ${exercise.warmups.map(set => `${toDisplayWeight(set.weight)} ${unitLabel} × ${set.reps}`).join(', ')}</div>`
+        : ''}
+    </div>
+  `;
+}
+
+/**
+ * Find the program day a session was done from
+ * @param {Object} session - Saved session
+ * @returns {Promise<Object|null>} Program day, or null if it can't be found
+ */
+async function loadSessionDay(session) {
+  try {
+    const program = await loadProgram(getSessionProgramId(session));
+    const week = program.weeks.find(w => w.week === session.week);
+    return week ? week.days.find(d => d.day_type === session.dayType) || null : null;
+  } catch (error) {
+    console.error('Failed to load the prescription for review:', error);
+    return null;
+  }
+}
+
+/**
+ * Render the change log of a session
+ * @param {Object} session - Saved session
+ * @returns {string} HTML string ('' if the session was never edited)
+ */
+function renderChangeLog(session) {
+  const entries = getChangeLog(session);
+  if (entries.length === 0) return '';
+
+  return `
+    <div class="review-changelog">
+      <h3>Change Log</h3>
+      ${entries.map(entry => `
+        <div class="changelog-entry">
+          <div class="changelog-header">
+            <span>${CHANGE_LOG_LABELS[entry.action] || CHANGE_LOG_LABELS.edit} ${new Date(entry.editedAt).toLocaleString('en-US', {
+              month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+            })}</span>
+            <button class="btn-edit" data-review-action="restore" data-index="${entry.index}" title="Put the session back as it was before this change">Revert</button>
+          </div>
+          <ul>
+            ${entry.changes.length > 0
+              ? entry.changes.map(change => `<li>${escapeHtml(describeSessionChange(change))}</li>`).join('')
+              : '<li>Time of day only</li>'}
+          </ul>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render the edit form for the session being corrected
+ * @returns {string} HTML string
+ */
+function renderEditForm() {
+  const unitLabel = getUnitLabel();
+  const session = getWorkoutHistory()[currentSessionKey];
+  const rows = buildSessionReview(session, currentDay);
+
+  return `
+    <div class="review-edit">
+      <label class="review-edit-date">
+        <span>Date</span>
+        <input type="date" class="review-edit-input" data-edit-field="date" value="${draft.date}">
+      </label>
+      ${draft.exercises.map((exercise, exIdx) => {
+        const prescription = rows[exIdx] ? rows[exIdx].prescription : null;
+        const names = [...new Set([exercise.slot || exercise.name, ...(prescription?.substitutions || [])])]
+          .filter(name => name && name !== 'N/A');
+
+        return `
+          <div class="review-exercise">
+            <input type="text" class="review-edit-input review-edit-name" data-edit-field="name" data-ex="${exIdx}"
+              value="${escapeHtml(exercise.name)}" list="review-names-${exIdx}" aria-label="Exercise">
+            <datalist id="review-names-${exIdx}">
+              ${names.map(name => `<option value="${escapeHtml(name)}"></option>`).join('')}
+            </datalist>
+            ${exercise.sets.map((set, setIdx) => `
+              <div class="review-edit-set">
+                <span class="set-number">${setIdx + 1}</span>
+                ${getSetMode(set) === 'duration'
+                  ? `<input type="number" class="review-edit-input" data-edit-field="seconds" data-ex="${exIdx}" data-set="${setIdx}" value="${set.seconds}" inputmode="numeric" aria-label="Seconds">
+                    <span>s</span>`
+                  : `<input type="number" class="review-edit-input" data-edit-field="weight" data-ex="${exIdx}" data-set="${setIdx}" value="${set.weight}" step="any" inputmode="decimal" aria-label="Weight (${unitLabel})">
+                    <span>${unitLabel} ×</span>
+                    <input type="number" class="review-edit-input" data-edit-field="reps" data-ex="${exIdx}" data-set="${setIdx}" value="${set.reps}" inputmode="numeric" aria-label="Reps">`}
+                <button class="input-btn" data-review-action="remove-set" data-ex="${exIdx}" data-set="${setIdx}" aria-label="Remove set">✕</button>
+              </div>
+            `).join('')}
+            <button class="exercise-action-btn" data-review-action="add-set" data-ex="${exIdx}">+ Add Set</button>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render a session into the review modal
+ * @param {string} sessionKey - Session key
+ */
+async function renderSessionReview(sessionKey) {
+  const title = document.getElementById('review-title');
+  const body = document.getElementById('review-body');
+  const nav = document.getElementById('review-nav');
+  const session = getWorkoutHistory()[sessionKey];
+  if (!title || !body || !nav || !session) return;
+
+  currentDay = await loadSessionDay(session);
+  title.textContent = `Week ${session.week} - ${session.dayType}`;
+
+  if (draft) {
+    body.innerHTML = renderEditForm();
+    nav.innerHTML = `
+      <button class="btn-secondary" data-review-action="cancel-edit">Cancel</button>
+      <button class="btn-primary" data-review-action="save-edit">Save Changes</button>
+    `;
+    return;
+  }
+
+  const rows = buildSessionReview(session, currentDay);
+  const adjacent = getAdjacentSessions(sessionKey);
+  const unitLabel = getUnitLabel();
+
+  body.innerHTML = `
+    <div class="review-meta">${describeSessionTime(session)}</div>
+    ${session.note ? `<div class="review-user-note">${escapeHtml(session.note)}</div>` : ''}
+    <div class="review-actions">
+      <button class="exercise-action-btn" data-review-action="edit">Edit</button>
+      <button class="exercise-action-btn" data-review-action="delete">Delete</button>
+    </div>
+    ${!currentDay ? '<div class="review-note">The program day for this session could not be found.</div>' : ''}
+    ${rows.map(row => renderReviewExercise(row, unitLabel)).join('')}
+    ${renderChangeLog(session)}
+  `;
+  nav.innerHTML = `
+    <button class="btn-secondary" data-review-key="${adjacent.previous || ''}" ${adjacent.previous ? '' : 'disabled'}>← Previous</button>
+    <span class="review-position">${adjacent.position} of ${adjacent.total}</span>
+    <button class="btn-secondary" data-review-key="${adjacent.next || ''}" ${adjacent.next ? '' : 'disabled'}>Next →</button>
+  `;
+  body.parentElement.scrollTop = 0;
+}
+
+/**
+ * Start correcting the session on screen
+ * Weights are edited in the preferred unit; each set remembers its stored
+ * weight so untouched weights aren't changed by rounding.
+ */
+function startEditing() {
+  const session = getWorkoutHistory()[currentSessionKey];
+  if (!session) return;
+
+  draft = {
+    date: session.date,
+    exercises: session.exercises.map(exercise => ({
+      name: exercise.name,
+      slot: exercise.slot,
+      sets: exercise.sets.map(set => ({
+        ...set,
+        weight: toDisplayWeight(set.weight),
+        storedWeight: set.weight
+      }))
+    }))
+  };
+  renderSessionReview(currentSessionKey);
+}
+
+/**
+ * Turn the edit form back into session fields
+ * @param {Object} session - Saved session
+ * @returns {Object} { edited } or { error } if an entry is invalid
+ */
+function readDraft(session) {
+  const exercises = [];
+
+  for (const [exIdx, exercise] of draft.exercises.entries()) {
+    const name = exercise.name.trim();
+    if (!name) {
+      return { error: `Exercise ${exIdx + 1} needs a name` };
+    }
+
+    const sets = [];
+    for (const [setIdx, set] of exercise.sets.entries()) {
+      const mode = getSetMode(set);
+      const entryError = validateSetEntry(set, mode);
+      if (entryError) {
+        return { error: `${name} set ${setIdx + 1}: ${entryError}` };
+      }
+
+      const { storedWeight, weight, reps, seconds, mode: _mode, ...fields } = set;
+      const entry = serializeSetEntry(set, mode);
+      if (mode !== 'duration') {
+        entry.weight = storedWeight !== null && entry.weight === toDisplayWeight(storedWeight)
+          ? storedWeight
+          : toCanonicalWeight(entry.weight);
+      }
+      sets.push({ ...fields, ...entry });
+    }
+
+    exercises.push({ ...session.exercises[exIdx], name, sets });
+  }
+
+  const edited = { exercises };
+  if (draft.date && draft.date !== session.date) {
+    Object.assign(edited, moveSessionDate(session, draft.date));
+  }
+  return { edited };
+}
+
+/**
+ * Save the corrections in the edit form
+ */
+async function saveEdits() {
+  const session = getWorkoutHistory()[currentSessionKey];
+  if (!session || !draft) return;
+
+  const { edited, error } = readDraft(session);
+  if (error) {
+    alert(error);
+    return;
+  }
+
+  const updated = applySessionEdit(session, edited);
+  if (updated) {
+    const errors = validateSession(updated);
+    if (errors.length > 0) {
+      alert(`Can't save these changes:\n${errors.join('\n')}`);
+      return;
+    }
+
+    try {
+      await updateWorkout(currentSessionKey, updated);
+    } catch (error) {
+      alert('Failed to save changes. Please try again.');
+      return;
+    }
+  }
+
+  draft = null;
+  refreshAfterChange();
+}
+
+/**
+ * Put a session back as it was before a logged change
+ * @param {number} index - Change log index
+ */
+async function restoreVersion(index) {
+  const session = getWorkoutHistory()[currentSessionKey];
+  if (!session || !window.confirm('Put this session back as it was before this change?')) return;
+
+  const updated = restoreSessionVersion(session, index);
+  if (!updated) return;
+
+  try {
+    await updateWorkout(currentSessionKey, updated);
+  } catch (error) {
+    alert('Failed to restore the session. Please try again.');
+    return;
+  }
+
+  refreshAfterChange();
+}
+
+/**
+ * Delete the session on screen
+ */
+async function deleteCurrentSession() {
+  const session = getWorkoutHistory()[currentSessionKey];
+  if (!session) return;
+
+  const confirmed = window.confirm(
+    `Delete Week ${session.week} - ${session.dayType} from ${session.date}?\n\nThis can't be undone.`
+  );
+  if (!confirmed) return;
+
+  try {
+    await deleteWorkout(currentSessionKey);
+  } catch (error) {
+    alert('Failed to delete the session. Please try again.');
+    return;
+  }
+
+  closeSessionReview();
+  refreshAfterChange();
+}
+
+/**
+ * Redraw the review and the screen behind it after history changed, so
+ * completion, progress and last-performance views pick it up
+ */
+function refreshAfterChange() {
+  if (currentSessionKey) {
+    renderSessionReview(currentSessionKey);
+  }
+  if (window.app) {
+    window.app.activateTab(window.app.currentTab);
+  }
+}
+
+/**
+ * Handle clicks on the review's buttons
+ * @param {Event} e - Click event
+ */
+function handleReviewClick(e) {
+  const key = e.target.closest('[data-review-key]')?.dataset.reviewKey;
+  if (key) {
+    currentSessionKey = key;
+    renderSessionReview(key);
+    return;
+  }
+
+  const button = e.target.closest('[data-review-action]');
+  if (!button) return;
+
+  const exIdx = parseInt(button.dataset.ex, 10);
+  switch (button.dataset.reviewAction) {
+    case 'edit':
+      startEditing();
+      break;
+    case 'cancel-edit':
+      draft = null;
+      renderSessionReview(currentSessionKey);
+      break;
+    case 'save-edit':
+      saveEdits();
+      break;
+    case 'delete':
+      deleteCurrentSession();
+      break;
+    case 'restore':
+      restoreVersion(parseInt(button.dataset.index, 10));
+      break;
+    case 'add-set': {
+      const sets = draft.exercises[exIdx].sets;
+      const previous = sets[sets.length - 1];
+      sets.push(previous
+        ? { mode: previous.mode, weight: previous.weight, reps: previous.reps, seconds: previous.seconds, storedWeight: null }
+        : { weight: '', reps: '', storedWeight: null });
+      renderSessionReview(currentSessionKey);
+      break;
+    }
+    case 'remove-set':
+      draft.exercises[exIdx].sets.splice(parseInt(button.dataset.set, 10), 1);
+      renderSessionReview(currentSessionKey);
+      break;
+  }
+}
+
+/**
+ * Keep the edit form's values in the draft as they are typed
+ * @param {Event} e - Input event
+ */
+function handleEditInput(e) {
+  const field = e.target.dataset.editField;
+  if (!draft || !field) return;
+
+  if (field === 'date') {
+    draft.date = e.target.value;
+    return;
+  }
+
+  const exercise = draft.exercises[parseInt(e.target.dataset.ex, 10)];
+  if (field === 'name') {
+    exercise.name = e.target.value;
+  } else {
+    exercise.sets[parseInt(e.target.dataset.set, 10)][field] = e.target.value;
+  }
+}
+
+/**
+ * Close the session review modal
+ */
+function closeSessionReview() {
+  const modal = document.getElementById('session-review-modal');
+  if (!modal) return;
+
+  modal.classList.remove('active');
+  document.body.style.overflow = '';
+  currentSessionKey = null;
+  draft = null;
+}
+
+/**
+ * Wire up the review modal's controls (once)
+ */
+function bindReviewHandlers() {
+  if (handlersBound) return;
+
+  const modal = document.getElementById('session-review-modal');
+  if (!modal) return;
+
+  modal.querySelector('.modal-backdrop')?.addEventListener('click', closeSessionReview);
+  modal.querySelector('.modal-close')?.addEventListener('click', closeSessionReview);
+  document.getElementById('review-body')?.addEventListener('click', handleReviewClick);
+  document.getElementById('review-body')?.addEventListener('input', handleEditInput);
+  document.getElementById('review-nav')?.addEventListener('click', handleReviewClick);
+
+  document.addEventListener('keydown', (e) => {
+    if (!currentSessionKey) return;
+
+    if (e.key === 'Escape') {
+      if (draft) {
+        draft = null;
+        renderSessionReview(currentSessionKey);
+      } else {
+        closeSessionReview();
+      }
+    } else if (!draft && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+      const adjacent = getAdjacentSessions(currentSessionKey);
+      const key = e.key === 'ArrowLeft' ? adjacent.previous : adjacent.next;
+      if (key) {
+        currentSessionKey = key;
+        renderSessionReview(key);
+      }
+    }
+  });
+
+  handlersBound = true;
+}
+
+/**
+ * Open the review of a completed session
+ * @param {string} sessionKey - Session key
+ */
+export async function openSessionReview(sessionKey) {
+  const modal = document.getElementById('session-review-modal');
+  if (!modal || !getWorkoutHistory()[sessionKey]) return;
+
+  bindReviewHandlers();
+  currentSessionKey = sessionKey;
+  draft = null;
+  await renderSessionReview(sessionKey);
+
+  modal.classList.add('active');
+  document.body.style.overflow = 'hidden';
+}
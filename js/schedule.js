@@ -0,0 +1,142 @@
+/**
+ * Min-Max Companion - Schedule Module
+ * Maps program days onto calendar dates
+ *
+ * Program days are done in order (week 1's days, then week 2's, ...), one
+ * per training weekday starting from the start date. Pushing the schedule
+ * back adds a resume point: from that program day on, the sequence
+ * restarts at a later date (or an earlier one, when jumping ahead in the
+ * program; the days jumped over are then skipped). A schedule looks like:
+ *   { startDate: 'YYYY-MM-DD', weekdays: [1, 2, 4, 5], resumes: [{ slot, date }] }
+ * where weekdays use Date#getDay() numbering (0 = Sunday).
+ */
+
+import { getLocalDateString } from './storage.js';
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Parse a local YYYY-MM-DD date string
+ * @param {string} dateString - Local calendar date
+ * @returns {Date} Date at local midnight
+ */
+export function parseLocalDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * List a program's days in the order they are done
+ * @param {Object} program - Program data
+ * @returns {Array<Object>} Slots ({ index, week, dayType, label })
+ */
+export function buildProgramSlots(program) {
+  const slots = [];
+
+  [...program.weeks]
+    .sort((a, b) => a.week - b.week)
+    .forEach(week => {
+      week.days.forEach(day => {
+        slots.push({ index: slots.length, week: week.week, dayType: day.day_type, label: week.label || null });
+      });
+    });
+
+  return slots;
+}
+
+/**
+ * Work out the calendar date of every program slot
+ * @param {Object} schedule - Schedule settings
+ * @param {number} slotCount - Number of program slots
+ * @returns {Array<string|null>} Local YYYY-MM-DD date for each slot, or null
+ *   for slots skipped by a later resume point (empty if no weekdays)
+ */
+export function computeSlotDates(schedule, slotCount) {
+  const weekdays = new Set(schedule.weekdays);
+  if (weekdays.size === 0) return [];
+
+  const resumes = {};
+  (schedule.resumes || []).forEach(resume => {
+    resumes[resume.slot] = resume.date;
+  });
+
+  const dates = [];
+  let cursor = parseLocalDate(schedule.startDate);
+
+  for (let slot = 0; slot < slotCount; slot++) {
+    if (resumes[slot]) {
+      cursor = parseLocalDate(resumes[slot]);
+    }
+    while (!weekdays.has(cursor.getDay())) {
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    dates.push(getLocalDateString(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  // Slots before a resume point that would land on or after it were jumped over
+  (schedule.resumes || []).forEach(resume => {
+    for (let slot = 0; slot < resume.slot && slot < dates.length; slot++) {
+      if (dates[slot] && dates[slot] >= resume.date) {
+        dates[slot] = null;
+      }
+    }
+  });
+
+  return dates;
+}
+
+/**
+ * Compare a schedule with what has been done so far
+ * @param {Array<Object>} slots - Program slots from buildProgramSlots()
+ * @param {Array<string>} dates - Slot dates from computeSlotDates()
+ * @param {Function} isCompleted - (slot) => boolean
+ * @param {string} today - Local YYYY-MM-DD date
+ * @returns {Object} { today: slot due today or null, next: next slot after
+ *   today or null, missed: past slots not done, finished: all slots done
+ *   or skipped }
+ *   Slots are returned with their `date` and `completed` flag.
+ */
+export function getScheduleStatus(slots, dates, isCompleted, today) {
+  const dated = slots.map((slot, idx) => ({
+    ...slot,
+    date: dates[idx],
+    completed: isCompleted(slot)
+  }));
+
+  return {
+    today: dated.find(slot => slot.date === today) || null,
+    next: dated.find(slot => slot.date && slot.date > today) || null,
+    missed: dated.filter(slot => slot.date && slot.date < today && !slot.completed),
+    finished: dated.length > 0 && dated.every(slot => slot.completed || slot.date === null)
+  };
+}
+
+/**
+ * Move the schedule so a program slot (and everything after it) restarts
+ * on a given date - later to push back after a break, or earlier to jump
+ * @param {Object} schedule - Schedule settings
+ * @param {number} slotIndex - First slot to move
+ * @param {string} date - Local YYYY-MM-DD date to resume on
+ * @returns {Object} Updated schedule (resume points after the slot are dropped)
+ */
+export function pushScheduleBack(schedule, slotIndex, date) {
+  const resumes = (schedule.resumes || []).filter(resume => resume.slot < slotIndex);
+  resumes.push({ slot: slotIndex, date });
+  return { ...schedule, resumes };
+}
+
+/**
+ * Find the week a schedule puts the user in today
+ * @param {Array<Object>} slots - Program slots
+ * @param {Array<string>} dates - Slot dates
+ * @param {string} today - Local YYYY-MM-DD date
+ * @returns {number|null} Week of today's slot, else the next upcoming slot,
+ *   else the last week once the schedule has run out
+ */
+export function getScheduledWeek(slots, dates, today) {
+  if (slots.length === 0 || dates.length === 0) return null;
+
+  const idx = dates.findIndex(date => date && date >= today);
+  return idx === -1 ? slots[slots.length - 1].week : slots[idx].week;
+}
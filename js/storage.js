@@ -1,49 +1,327 @@
 /**
  * Min-Max Companion - Storage Module
- * Handles localStorage operations and data persistence
+ * Handles workout history persistence
+ *
+ * History lives in IndexedDB (see db.js) and is mirrored in an in-memory
+ * cache so reads stay synchronous. Call initStorage() once before reading.
+ * Changes made on this device are announced to onHistoryChange() listeners
+ * (sync.js records them for other devices).
  */
 
+import {
+  readAllSessions,
+  writeSessions,
+  deleteSessions,
+  clearSessions,
+  setMeta
+} from './db.js';
+import {
+  createExportEnvelope,
+  parseImportFile,
+  classifySessions,
+  resolveImport,
+  showImportPreview,
+  validateSession
+} from './backup.js';
+import { getWeightUnit } from './units.js';
+import {
+  createCsvExport,
+  parseCsv,
+  detectCsvFormat,
+  getProgramCatalog,
+  showCsvMapping,
+  buildSessionsFromCsv
+} from './csv.js';
+import { loadProgram } from './programs.js';
+
 const STORAGE_PREFIX = 'minmax_';
 const HISTORY_KEY = `${STORAGE_PREFIX}workout_history`;
+const MIGRATION_META_KEY = 'legacy_history_migrated';
+
+let historyCache = null;
+let storageReady = null;
+let useLegacyStore = false;
+const historyListeners = [];
 
 /**
- * Get all logged workout history from localStorage
- * @returns {Object} Object containing all workout history entries
+ * Initialize storage: open IndexedDB, migrate legacy localStorage history
+ * on first launch and load all sessions into memory.
+ * Safe to call repeatedly; the work only happens once.
+ * @returns {Promise<void>}
  */
-export function getWorkoutHistory() {
+export function initStorage() {
+  if (!storageReady) {
+    storageReady = loadHistory();
+  }
+  return storageReady;
+}
+
+/**
+ * Load history from IndexedDB, falling back to localStorage if unavailable
+ * @returns {Promise<void>}
+ */
+async function loadHistory() {
+  try {
+    await migrateLegacyHistory();
+    historyCache = await readAllSessions();
+  } catch (error) {
+    console.error('IndexedDB unavailable, using localStorage:', error);
+    useLegacyStore = true;
+    historyCache = readLegacyHistory();
+  }
+
+  try {
+    await migrateSessionKeys();
+  } catch (error) {
+    console.error('Error migrating session keys:', error);
+  }
+}
+
+/**
+ * Listen for changes made to the history on this device
+ * @param {Function} listener - Called with { type, keys } where type is
+ *   'put' (sessions saved or replaced), 'delete' or 'clear' (this device's
+ *   data removed, to be synced back; keys is empty)
+ */
+export function onHistoryChange(listener) {
+  historyListeners.push(listener);
+}
+
+/**
+ * Tell history listeners about a change
+ * @param {string} type - 'put', 'delete' or 'clear'
+ * @param {Array<string>} keys - Session keys that changed
+ */
+function notifyHistoryChange(type, keys) {
+  historyListeners.forEach(listener => {
+    try {
+      listener({ type, keys });
+    } catch (error) {
+      console.error('History change listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Get a date as YYYY-MM-DD in the device's local timezone
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string} Local calendar date
+ */
+export function getLocalDateString(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Work out how long a session took from when it started and finished
+ * Sessions saved without a start time fall back to their stored duration.
+ * @param {Object} session - Session with completedAt, startedAt and durationSeconds
+ * @returns {number|null} Duration in seconds, or null if unknown
+ */
+export function getSessionDuration(session) {
+  const started = Date.parse(session.startedAt);
+  const finished = Date.parse(session.completedAt);
+
+  if (!isNaN(started) && !isNaN(finished) && finished >= started) {
+    return Math.round((finished - started) / 1000);
+  }
+
+  return Number.isInteger(session.durationSeconds) ? session.durationSeconds : null;
+}
+
+/**
+ * Generate a unique session ID
+ * @param {Date} date - Completion time the ID is based on (an invalid date
+ *   falls back to the current time)
+ * @param {string} seed - Optional seed; the same seed always gives the same suffix
+ * @returns {string} Session ID (e.g., "session-lr8x1k2a-4f9c")
+ */
+function generateSessionId(date = new Date(), seed = null) {
+  const time = isNaN(date.getTime()) ? Date.now() : date.getTime();
+  let suffix;
+
+  if (seed !== null) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    suffix = hash.toString(36).padStart(4, '0').slice(-4);
+  } else {
+    suffix = Math.random().toString(36).slice(2, 6).padEnd(4, '0');
+  }
+
+  return `session-${time.toString(36)}-${suffix}`;
+}
+
+/**
+ * Give sessions saved under the old `week-N-daytype-YYYY-MM-DD` keys a
+ * unique ID and a local-timezone date. The ID is derived from the old key,
+ * so the same legacy session always migrates to the same ID.
+ * @param {Object} sessions - Sessions keyed by session key
+ * @returns {Object} { sessions, renamed } where renamed maps old key -> new key
+ */
+export function normalizeSessions(sessions) {
+  const normalized = {};
+  const renamed = {};
+
+  Object.entries(sessions).forEach(([key, session]) => {
+    if (session.id === key && session.date) {
+      normalized[key] = session;
+      return;
+    }
+
+    // A missing or unparseable completedAt would give "NaN" IDs and dates
+    const parsed = new Date(session.completedAt);
+    const completedAt = isNaN(parsed.getTime()) ? new Date() : parsed;
+    const id = session.id || generateSessionId(completedAt, key);
+
+    normalized[id] = {
+      ...session,
+      id,
+      date: session.date || getLocalDateString(completedAt)
+    };
+
+    if (id !== key) {
+      renamed[key] = id;
+    }
+  });
+
+  return { sessions: normalized, renamed };
+}
+
+/**
+ * Re-key any stored sessions that predate unique session IDs
+ * @returns {Promise<void>}
+ */
+async function migrateSessionKeys() {
+  const { sessions, renamed } = normalizeSessions(historyCache);
+  const changed = Object.values(sessions).filter(s => historyCache[s.id] !== s);
+
+  if (changed.length === 0) {
+    return;
+  }
+
+  historyCache = sessions;
+  await persistSessions(Object.fromEntries(changed.map(s => [s.id, s])));
+  await removeSessions(Object.keys(renamed));
+}
+
+/**
+ * Read the legacy single-blob history from localStorage
+ * @returns {Object} Legacy history object (empty if none)
+ */
+function readLegacyHistory() {
   try {
     const history = localStorage.getItem(HISTORY_KEY);
     return history ? JSON.parse(history) : {};
   } catch (error) {
-    console.error('Error loading workout history:', error);
+    console.error('Error loading legacy workout history:', error);
+    return {};
+  }
+}
+
+/**
+ * Move the legacy localStorage history into IndexedDB.
+ * The localStorage key is only removed once the write has committed.
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyHistory() {
+  if (localStorage.getItem(HISTORY_KEY) === null) {
+    return;
+  }
+
+  const legacy = readLegacyHistory();
+  await writeSessions(legacy);
+  await setMeta(MIGRATION_META_KEY, {
+    migratedAt: new Date().toISOString(),
+    sessionCount: Object.keys(legacy).length
+  });
+
+  localStorage.removeItem(HISTORY_KEY);
+}
+
+/**
+ * Persist sessions to the active backing store
+ * @param {Object} sessions - Sessions keyed by session key
+ * @returns {Promise<void>}
+ */
+async function persistSessions(sessions) {
+  if (useLegacyStore) {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(historyCache));
+    return;
+  }
+  await writeSessions(sessions);
+}
+
+/**
+ * Remove sessions from the active backing store
+ * @param {Array<string>} keys - Session keys to remove
+ * @returns {Promise<void>}
+ */
+async function removeSessions(keys) {
+  if (keys.length === 0) {
+    return;
+  }
+  if (useLegacyStore) {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(historyCache));
+    return;
+  }
+  await deleteSessions(keys);
+}
+
+/**
+ * Get all logged workout history
+ * @returns {Object} Object containing all workout history entries
+ */
+export function getWorkoutHistory() {
+  if (!historyCache) {
+    console.warn('getWorkoutHistory() called before initStorage() finished');
     return {};
   }
+  return historyCache;
 }
 
 /**
- * Save a completed workout to localStorage
+ * Save a completed workout
  * @param {number} weekNum - Week number
  * @param {string} dayType - Day type (e.g., "Full Body", "Upper", "Lower", "Arms/Delts")
- * @param {Object} data - Workout data containing exercises and sets
+ * @param {Object} data - Workout data containing exercises and sets, the
+ *   ID of the program it was done in (`programId`), when it started
+ *   (`startedAt`) and a session note (`note`). The duration is worked out from
+ *   startedAt; `durationSeconds` is only used when there is no start time.
+ * @returns {Promise<string>} Key of the saved workout
  */
-export function saveWorkout(weekNum, dayType, data) {
+export async function saveWorkout(weekNum, dayType, data) {
   try {
-    const history = getWorkoutHistory();
-    const timestamp = new Date().toISOString();
-    const date = timestamp.split('T')[0]; // YYYY-MM-DD format
+    await initStorage();
 
-    // Create unique key for this workout
-    const workoutKey = `week-${weekNum}-${dayType.toLowerCase().replace(/\s+/g, '')}-${date}`;
+    const now = new Date();
 
-    // Store workout data
-    history[workoutKey] = {
+    // Each session gets its own ID, so repeating a day never overwrites
+    const workoutKey = generateSessionId(now);
+
+    const completedAt = now.toISOString();
+    const durationSeconds = getSessionDuration({ ...data, completedAt });
+
+    const workout = {
+      id: workoutKey,
       week: weekNum,
       dayType: dayType,
-      completedAt: timestamp,
+      date: getLocalDateString(now),
+      completedAt,
+      ...(data.programId ? { programId: data.programId } : {}),
+      ...(data.startedAt ? { startedAt: data.startedAt } : {}),
+      ...(durationSeconds !== null ? { durationSeconds } : {}),
+      ...(data.note ? { note: data.note } : {}),
       exercises: data.exercises
     };
 
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    historyCache[workoutKey] = workout;
+    await persistSessions({ [workoutKey]: workout });
+    notifyHistoryChange('put', [workoutKey]);
     return workoutKey;
   } catch (error) {
     console.error('Error saving workout:', error);
@@ -52,132 +330,339 @@ export function saveWorkout(weekNum, dayType, data) {
 }
 
 /**
- * Get the most recent logged performance for a specific exercise
+ * Replace a saved session with a corrected version
+ * @param {string} key - Session key
+ * @param {Object} session - Updated session (see edits.js for the change log)
+ * @returns {Promise<void>}
+ */
+export async function updateWorkout(key, session) {
+  try {
+    await initStorage();
+
+    if (!historyCache[key]) {
+      throw new Error(`No saved session with key ${key}`);
+    }
+
+    historyCache[key] = session;
+    await persistSessions({ [key]: session });
+    notifyHistoryChange('put', [key]);
+  } catch (error) {
+    console.error('Error updating workout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a saved session
+ * @param {string} key - Session key
+ * @returns {Promise<void>}
+ */
+export async function deleteWorkout(key) {
+  try {
+    await initStorage();
+
+    delete historyCache[key];
+    await removeSessions([key]);
+    notifyHistoryChange('delete', [key]);
+  } catch (error) {
+    console.error('Error deleting workout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply sessions changed on another device
+ * Listeners aren't told, so changes that arrive through sync aren't sent
+ * back out as local edits.
+ * @param {Object} puts - Sessions to write, keyed by session key
+ * @param {Array<string>} deletes - Session keys to remove
+ * @returns {Promise<void>}
+ */
+export async function applyRemoteChanges(puts, deletes) {
+  try {
+    await initStorage();
+
+    Object.assign(historyCache, puts);
+    deletes.forEach(key => {
+      delete historyCache[key];
+    });
+
+    if (Object.keys(puts).length > 0) {
+      await persistSessions(puts);
+    }
+    await removeSessions(deletes);
+  } catch (error) {
+    console.error('Error applying synced changes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the most recent session in which an exercise was performed
+ * Sessions where the exercise has no logged working sets are skipped.
  * @param {string} exerciseName - Name of the exercise
- * @returns {Array|null} Array of sets from the most recent workout, or null if not found
+ * @returns {Object|null} { key, week, dayType, programId, completedAt, exercise } or null if not found
  */
-export function getLastPerformance(exerciseName) {
+export function getLastExerciseSession(exerciseName) {
   try {
     const history = getWorkoutHistory();
 
     // Convert history object to array and sort by completedAt (most recent first)
-    const workouts = Object.values(history).sort((a, b) =>
+    const workouts = Object.entries(history).sort(([, a], [, b]) =>
       new Date(b.completedAt) - new Date(a.completedAt)
     );
 
     // Find the most recent workout containing this exercise
-    for (const workout of workouts) {
+    for (const [key, workout] of workouts) {
       const exercise = workout.exercises.find(ex => ex.name === exerciseName);
-      if (exercise && exercise.sets) {
-        return exercise.sets;
+      if (exercise && exercise.sets && exercise.sets.length > 0) {
+        return {
+          key,
+          week: workout.week,
+          dayType: workout.dayType,
+          programId: workout.programId,
+          completedAt: workout.completedAt,
+          exercise
+        };
       }
     }
 
     return null;
   } catch (error) {
-    console.error('Error getting last performance:', error);
+    console.error('Error getting last exercise session:', error);
     return null;
   }
 }
 
+/**
+ * Get the most recent logged performance for a specific exercise
+ * Only working sets are returned; warm-ups live in a separate `warmups` list.
+ * @param {string} exerciseName - Name of the exercise
+ * @returns {Array|null} Array of sets from the most recent workout, or null if not found
+ */
+export function getLastPerformance(exerciseName) {
+  const last = getLastExerciseSession(exerciseName);
+  return last ? last.exercise.sets : null;
+}
+
+/**
+ * Download a file built in the browser
+ * @param {string} contents - File contents
+ * @param {string} type - MIME type
+ * @param {string} filename - Suggested file name
+ */
+function downloadFile(contents, type, filename) {
+  const dataBlob = new Blob([contents], { type });
+
+  // Create download link
+  const url = URL.createObjectURL(dataBlob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+
+  // Trigger download
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Clean up
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Export all data as a downloadable JSON file
+ * The file is a versioned envelope (see backup.js) with a checksum, with
+ * weights written in the preferred unit
  */
 export function exportData() {
   try {
-    const history = getWorkoutHistory();
-    const dataStr = JSON.stringify(history, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-
-    // Create download link
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `minmax-workout-data-${new Date().toISOString().split('T')[0]}.json`;
-
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-
-    // Clean up
-    URL.revokeObjectURL(url);
+    const envelope = createExportEnvelope(getWorkoutHistory(), getWeightUnit());
+    const dataStr = JSON.stringify(envelope, null, 2);
+    downloadFile(dataStr, 'application/json', `minmax-workout-data-${getLocalDateString()}.json`);
   } catch (error) {
     console.error('Error exporting data:', error);
     alert('Failed to export data. Please try again.');
   }
 }
 
+/**
+ * Export the history as a downloadable CSV file, one row per set
+ * (see csv.js), with weights in the preferred unit
+ */
+export function exportCsv() {
+  try {
+    const csv = createCsvExport(getWorkoutHistory(), getWeightUnit());
+    downloadFile(csv, 'text/csv', `minmax-workout-sets-${getLocalDateString()}.csv`);
+  } catch (error) {
+    console.error('Error exporting CSV:', error);
+    alert('Failed to export CSV. Please try again.');
+  }
+}
+
+/**
+ * Preview parsed sessions and write the ones the user keeps
+ * @param {Object} parsed - { sessions, invalid, warnings, meta } (see parseImportFile)
+ * @returns {Promise<boolean>} True if anything was written
+ */
+async function previewAndImport(parsed) {
+  parsed.sessions = normalizeSessions(parsed.sessions).sessions;
+  const classification = classifySessions(historyCache, parsed.sessions);
+
+  const resolutions = await showImportPreview(historyCache, parsed, classification);
+  if (!resolutions) {
+    return false;
+  }
+
+  const toWrite = resolveImport(historyCache, parsed.sessions, classification, resolutions);
+  if (Object.keys(toWrite).length === 0) {
+    return false;
+  }
+
+  Object.assign(historyCache, toWrite);
+  await persistSessions(toWrite);
+  notifyHistoryChange('put', Object.keys(toWrite));
+  return true;
+}
+
 /**
  * Import data from a JSON string
+ * Validates every session, then shows a preview where the user picks how
+ * to resolve each conflicting session before anything is written.
  * @param {string} jsonString - JSON string containing workout history data
- * @returns {boolean} True if import was successful, false otherwise
+ * @returns {Promise<boolean>} True if import was successful, false otherwise
+ */
+export async function importData(jsonString) {
+  try {
+    await initStorage();
+    return await previewAndImport(parseImportFile(jsonString));
+  } catch (error) {
+    console.error('Error importing data:', error);
+    alert(`Failed to import data: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Import sets from a CSV file (this app's or another tracker's)
+ * The user first checks the column mapping and maps unknown exercises onto
+ * the active program, then the sessions go through the import preview.
+ * @param {string} csvText - CSV file contents
+ * @returns {Promise<boolean>} True if import was successful, false otherwise
  */
-export function importData(jsonString) {
+export async function importCsv(csvText) {
   try {
-    // Parse and validate JSON
-    const data = JSON.parse(jsonString);
+    await initStorage();
 
-    // Basic validation - check if it's an object
-    if (typeof data !== 'object' || data === null) {
-      throw new Error('Invalid data format');
+    const csv = parseCsv(csvText);
+    const detected = detectCsvFormat(csv.headers);
+    const catalog = getProgramCatalog(await loadProgram());
+
+    const choices = await showCsvMapping(csv, detected, catalog, getWeightUnit());
+    if (!choices) {
+      return false;
     }
 
-    // Merge with existing data or replace
-    const shouldReplace = confirm(
-      'Import options:\n' +
-      'OK - Replace all existing data\n' +
-      'Cancel - Merge with existing data'
-    );
+    const { sessions, skippedRows } = buildSessionsFromCsv(csv, { ...choices, catalog });
+    const valid = {};
+    const invalid = [];
+    Object.entries(sessions).forEach(([key, session]) => {
+      const errors = validateSession(session);
+      if (errors.length > 0) {
+        invalid.push({ key, errors });
+      } else {
+        valid[key] = session;
+      }
+    });
 
-    if (shouldReplace) {
-      localStorage.setItem(HISTORY_KEY, JSON.stringify(data));
-    } else {
-      const existing = getWorkoutHistory();
-      const merged = { ...existing, ...data };
-      localStorage.setItem(HISTORY_KEY, JSON.stringify(merged));
+    const warnings = [];
+    if (skippedRows > 0) {
+      warnings.push(`${skippedRows} row${skippedRows === 1 ? '' : 's'} without a date, exercise, reps or time will be skipped.`);
+    }
+    if (choices.mapping.week === undefined) {
+      warnings.push('The file has no program week, so sessions are filed under week 1.');
     }
 
-    return true;
+    return await previewAndImport({
+      sessions: valid,
+      invalid,
+      warnings,
+      meta: { source: `CSV · ${detected.format.label}`, weightUnit: choices.weightUnit }
+    });
   } catch (error) {
-    console.error('Error importing data:', error);
-    alert('Failed to import data. Please check the file format.');
+    console.error('Error importing CSV:', error);
+    alert(`Failed to import CSV: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Clear all workout data from localStorage
- * Requires user confirmation
- * @returns {boolean} True if data was cleared, false if cancelled
+ * Clear all workout data
+ * Requires user confirmation. Sessions are deleted as if one by one, so
+ * with sync on the deletes reach every device. Syncing first also deletes
+ * sessions this device hasn't pulled yet. Clearing this device only resets
+ * its sync state instead, and the next sync brings the history back.
+ * @param {Object} options
+ * @param {Function} options.syncFirst - With sync set up, syncs and resolves
+ *   with every session key known to sync (see syncBeforeClear in sync.js)
+ * @param {boolean} options.deviceOnly - Clear this device only (with sync)
+ * @returns {Promise<boolean>} True if data was cleared, false if cancelled
  */
-export function clearAllData() {
-  const confirmed = confirm(
-    '⚠️ WARNING ⚠️\n\n' +
-    'This will permanently delete all your workout history!\n\n' +
-    'Consider exporting your data first.\n\n' +
-    'Are you sure you want to continue?'
-  );
+export async function clearAllData({ syncFirst = null, deviceOnly = false } = {}) {
+  let confirmed;
 
-  if (confirmed) {
-    const doubleCheck = confirm(
+  if (deviceOnly) {
+    confirmed = confirm(
+      'Clear the workout history on this device only?\n\n' +
+      'It stays on your sync server and comes back the next time this device syncs.'
+    );
+  } else {
+    confirmed = confirm(
+      '⚠️ WARNING ⚠️\n\n' +
+      (syncFirst
+        ? 'This will permanently delete all your workout history on this device and every device you sync with!\n\n'
+        : 'This will permanently delete all your workout history!\n\n') +
+      'Consider exporting your data first.\n\n' +
+      'Are you sure you want to continue?'
+    ) && confirm(
       'Are you ABSOLUTELY sure?\n\n' +
       'This action cannot be undone!'
     );
+  }
 
-    if (doubleCheck) {
-      try {
-        localStorage.removeItem(HISTORY_KEY);
-        return true;
-      } catch (error) {
-        console.error('Error clearing data:', error);
-        alert('Failed to clear data. Please try again.');
-        return false;
-      }
+  if (!confirmed) {
+    return false;
+  }
+
+  let syncedKeys = [];
+  if (syncFirst && !deviceOnly) {
+    try {
+      syncedKeys = await syncFirst();
+    } catch (error) {
+      console.error('Error syncing before clearing data:', error);
+      alert('Could not reach the sync server, so nothing was deleted. Please try again when you are online.');
+      return false;
     }
   }
 
-  return false;
+  try {
+    await initStorage();
+    const keys = [...new Set([...Object.keys(historyCache), ...syncedKeys])];
+    if (!useLegacyStore) {
+      await clearSessions();
+    }
+    localStorage.removeItem(HISTORY_KEY);
+    historyCache = {};
+    if (deviceOnly) {
+      notifyHistoryChange('clear', []);
+    } else {
+      notifyHistoryChange('delete', keys);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error clearing data:', error);
+    alert('Failed to clear data. Please try again.');
+    return false;
+  }
 }
 
 /**
@@ -0,0 +1,550 @@
+/**
+ * Min-Max Companion - Sync Module
+ * Local-first sync of workout history between devices
+ *
+ * Every change to a session on this device is recorded as a timestamped
+ * operation: { sessionKey, type: 'put' | 'delete', ts, deviceId, base },
+ * where `base` is the version the change was made on top of. Syncing pushes
+ * pending operations to a remote op log through an adapter, then pulls what
+ * other devices pushed since the last sync. History still works offline;
+ * sync only copies it.
+ *
+ * Conflicts are resolved per session: the later operation wins, with the
+ * device ID breaking ties. Timestamps come from a clock that never runs
+ * behind anything this device has seen, so an edit made after a pull always
+ * beats the version it was based on. When another device's concurrent edit
+ * replaces a version edited here, the replaced version is kept in the
+ * session's change log (see edits.js) so it can be restored.
+ *
+ * An adapter connects to the remote op log:
+ *   push(ops)    -> Promise
+ *   pull(cursor) -> Promise<{ ops, cursor, hasMore }>
+ * createHttpAdapter() talks to the reference server (server/sync-server.mjs);
+ * createMemoryRemote() is an in-memory stand-in for tests.
+ */
+
+import { getWorkoutHistory, applyRemoteChanges, onHistoryChange, initStorage } from './storage.js';
+import { snapshotSession, diffSessions } from './edits.js';
+import { validateSession, escapeHtml } from './backup.js';
+
+const SYNC_SETTINGS_KEY = 'minmax_sync_settings';
+const SYNC_STATE_KEY = 'minmax_sync_state';
+
+// Wait for a burst of changes (e.g. finishing a workout) before syncing
+const SYNC_DELAY_MS = 3000;
+
+const MEMORY_PAGE_SIZE = 100;
+
+let client = null;
+let syncTimer = null;
+let listenersAdded = false;
+
+/**
+ * Compare two versions ({ ts, deviceId })
+ * A missing version is older than any other.
+ * @param {Object|null} a - Version
+ * @param {Object|null} b - Version
+ * @returns {number} Negative if a is older, positive if newer, 0 if the same
+ */
+export function compareVersions(a, b) {
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+  if (a.ts !== b.ts) return a.ts - b.ts;
+  if (a.deviceId === b.deviceId) return 0;
+  return a.deviceId < b.deviceId ? -1 : 1;
+}
+
+/**
+ * Create the sync state of a new device
+ * @param {string} deviceId - Device ID (random if not given)
+ * @returns {Object} { deviceId, clock, cursor, versions, pending, bootstrapped,
+ *   lastSyncedAt, lastError }
+ */
+export function createSyncState(deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`) {
+  return {
+    deviceId,
+    clock: 0,
+    cursor: null,
+    versions: {},
+    pending: {},
+    bootstrapped: false,
+    lastSyncedAt: null,
+    lastError: null
+  };
+}
+
+/**
+ * Create a sync client over a session store
+ * @param {Object} options
+ * @param {Object|null} options.adapter - Remote adapter (null records changes without syncing)
+ * @param {Object} options.store - { getSessions(), applyChanges(puts, deletes) }
+ * @param {Object} options.state - Sync state (see createSyncState)
+ * @param {Function} options.saveState - Called with the state after it changes
+ * @returns {Object} { recordChange, sync, canSync, getKnownKeys, getStatus }
+ */
+export function createSyncClient({ adapter, store, state, saveState = () => {} }) {
+  let running = null;
+
+  /**
+   * Get the next timestamp from the device clock
+   * @returns {number} Milliseconds, later than anything seen so far
+   */
+  function tick() {
+    state.clock = Math.max(Date.now(), state.clock + 1);
+    return state.clock;
+  }
+
+  /**
+   * Record changes made on this device
+   * @param {string} type - 'put', 'delete' or 'clear'
+   * @param {Array<string>} keys - Session keys that changed
+   */
+  function recordChange(type, keys) {
+    if (type === 'clear') {
+      // Local data is gone; the next sync pulls everything back
+      state.cursor = null;
+      state.versions = {};
+      state.pending = {};
+    } else {
+      keys.forEach(key => {
+        const ts = tick();
+        // Several edits between syncs are one change on top of the synced version
+        const base = state.pending[key] ? state.pending[key].base : (state.versions[key] || null);
+        state.pending[key] = { type, ts, base };
+        state.versions[key] = { ts, deviceId: state.deviceId };
+      });
+    }
+    saveState(state);
+  }
+
+  /**
+   * Queue sessions saved before sync was set up
+   */
+  function bootstrap() {
+    if (state.bootstrapped) return;
+
+    const unversioned = Object.keys(store.getSessions()).filter(key => !state.versions[key]);
+    state.bootstrapped = true;
+    recordChange('put', unversioned);
+  }
+
+  /**
+   * Push pending changes
+   * @returns {Promise<number>} Number of operations pushed
+   */
+  async function pushChanges() {
+    const sessions = store.getSessions();
+    const ops = Object.entries(state.pending).map(([sessionKey, change]) => {
+      const session = change.type === 'put' ? sessions[sessionKey] : null;
+      return {
+        sessionKey,
+        type: session ? 'put' : 'delete',
+        ts: change.ts,
+        deviceId: state.deviceId,
+        base: change.base,
+        ...(session ? { session } : {})
+      };
+    });
+    if (ops.length === 0) return 0;
+
+    await adapter.push(ops);
+
+    // Changes made while pushing stay pending
+    ops.forEach(op => {
+      if (state.pending[op.sessionKey] && state.pending[op.sessionKey].ts === op.ts) {
+        delete state.pending[op.sessionKey];
+      }
+    });
+    saveState(state);
+    return ops.length;
+  }
+
+  /**
+   * Apply one page of remote operations
+   * @param {Array<Object>} ops - Operations from the remote log
+   * @param {Object} result - Sync result to add counts and conflicts to
+   * @returns {Promise<Array<string>>} Keys of sessions that kept a replaced
+   *   local version in their change log (to push back out)
+   */
+  async function applyOps(ops, result) {
+    const sessions = store.getSessions();
+    const working = {};
+    const preserved = new Set();
+    const current = (key) => (key in working ? working[key] : sessions[key] || null);
+
+    ops.forEach(op => {
+      state.clock = Math.max(state.clock, op.ts);
+
+      if (op.type === 'put' && validateSession(op.session).length > 0) {
+        console.error(`Skipping invalid synced session ${op.sessionKey}`);
+        return;
+      }
+
+      const key = op.sessionKey;
+      const version = { ts: op.ts, deviceId: op.deviceId };
+      const local = state.versions[key] || null;
+      // Each device looks after its own edits: one that another device's
+      // edit didn't build on is a conflict here, and nowhere else
+      const concurrent = local !== null && local.deviceId === state.deviceId
+        && compareVersions(op.base, local) !== 0;
+
+      const order = compareVersions(version, local);
+      if (order <= 0) {
+        // Older than what's here (or this device's own change coming back)
+        if (order < 0 && concurrent) result.conflicts.push({ sessionKey: key, kept: 'local' });
+        return;
+      }
+
+      const localSession = current(key);
+      const incoming = op.type === 'put' ? op.session : null;
+
+      if (concurrent && localSession) {
+        result.conflicts.push({ sessionKey: key, kept: 'remote' });
+
+        // Keep the version edited here so it can be restored from the change log
+        if (incoming && diffSessions(localSession, incoming).length > 0) {
+          working[key] = {
+            ...incoming,
+            changeLog: [
+              ...(incoming.changeLog || []),
+              { editedAt: new Date().toISOString(), action: 'conflict', previous: snapshotSession(localSession) }
+            ]
+          };
+          preserved.add(key);
+        } else {
+          working[key] = incoming;
+          preserved.delete(key);
+        }
+      } else {
+        working[key] = incoming;
+        preserved.delete(key);
+      }
+
+      delete state.pending[key];
+      state.versions[key] = version;
+      result.pulled++;
+    });
+
+    const puts = {};
+    const deletes = [];
+    Object.entries(working).forEach(([key, session]) => {
+      if (session) {
+        puts[key] = session;
+      } else if (sessions[key]) {
+        deletes.push(key);
+      }
+    });
+
+    if (Object.keys(puts).length > 0 || deletes.length > 0) {
+      await store.applyChanges(puts, deletes);
+    }
+    return [...preserved];
+  }
+
+  /**
+   * Pull and apply every page of remote operations
+   * @param {Object} result - Sync result to add counts and conflicts to
+   * @returns {Promise<void>}
+   */
+  async function pullChanges(result) {
+    let hasMore = true;
+
+    while (hasMore) {
+      const page = await adapter.pull(state.cursor);
+      const preserved = await applyOps(page.ops || [], result);
+
+      state.cursor = page.cursor;
+      hasMore = Boolean(page.hasMore) && (page.ops || []).length > 0;
+
+      // The merged sessions are a new local change on top of the remote one
+      recordChange('put', preserved);
+    }
+  }
+
+  /**
+   * Push local changes, then pull remote ones
+   * Calls made while a sync is running share it.
+   * @returns {Promise<Object>} { pushed, pulled, conflicts: [{ sessionKey, kept }] }
+   */
+  function sync() {
+    if (!adapter) {
+      return Promise.reject(new Error('Sync is not set up'));
+    }
+
+    if (!running) {
+      running = (async () => {
+        const result = { pushed: 0, pulled: 0, conflicts: [] };
+
+        try {
+          bootstrap();
+          result.pushed += await pushChanges();
+          await pullChanges(result);
+          result.pushed += await pushChanges();
+
+          state.lastSyncedAt = new Date().toISOString();
+          state.lastError = null;
+          saveState(state);
+          return result;
+        } catch (error) {
+          state.lastError = error.message;
+          saveState(state);
+          throw error;
+        }
+      })().finally(() => {
+        running = null;
+      });
+    }
+
+    return running;
+  }
+
+  return {
+    recordChange,
+    sync,
+    canSync: () => Boolean(adapter),
+    getKnownKeys: () => Object.keys(state.versions),
+    getStatus: () => ({
+      deviceId: state.deviceId,
+      pending: Object.keys(state.pending).length,
+      lastSyncedAt: state.lastSyncedAt,
+      lastError: state.lastError
+    })
+  };
+}
+
+/**
+ * Create an adapter for the reference sync server
+ * @param {string} url - Server base URL (e.g. "http://192.168.1.10:8787")
+ * @param {string} token - Access token, if the server requires one
+ * @returns {Object} Adapter ({ push, pull })
+ */
+export function createHttpAdapter(url, token = '') {
+  const base = url.replace(/\/+$/, '');
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Sync server responded with ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    push: (ops) => request('/ops', { method: 'POST', body: JSON.stringify({ ops }) }),
+    pull: (cursor) => request(`/ops?since=${encodeURIComponent(cursor ?? 0)}`)
+  };
+}
+
+/**
+ * Create an in-memory remote op log, a stand-in for the sync server
+ * Adapters made from one remote share its log, like devices sharing a server.
+ * @param {number} pageSize - Operations returned per pull
+ * @returns {Object} { ops, createAdapter() }
+ */
+export function createMemoryRemote(pageSize = MEMORY_PAGE_SIZE) {
+  const ops = [];
+
+  return {
+    ops,
+    createAdapter() {
+      return {
+        async push(newOps) {
+          newOps.forEach(op => {
+            ops.push({ ...structuredClone(op), seq: ops.length + 1 });
+          });
+        },
+        async pull(cursor) {
+          const since = cursor || 0;
+          const page = ops.slice(since, since + pageSize);
+          return {
+            ops: structuredClone(page),
+            cursor: since + page.length,
+            hasMore: since + page.length < ops.length
+          };
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Get the sync server settings
+ * @returns {Object} { url, token } (url is '' when sync is off)
+ */
+export function getSyncSettings() {
+  try {
+    return { url: '', token: '', ...JSON.parse(localStorage.getItem(SYNC_SETTINGS_KEY)) };
+  } catch (error) {
+    console.error('Failed to read sync settings:', error);
+    return { url: '', token: '' };
+  }
+}
+
+/**
+ * Save the sync server settings and reconnect
+ * @param {Object} settings - { url, token }; an empty url turns sync off
+ * @returns {Promise<void>}
+ */
+export async function saveSyncSettings({ url, token }) {
+  const trimmed = (url || '').trim();
+  if (trimmed) {
+    const parsed = new URL(trimmed);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('The sync server URL must start with http:// or https://');
+    }
+  }
+
+  localStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify({ url: trimmed, token: (token || '').trim() }));
+  await initSync();
+}
+
+/**
+ * Read this device's sync state
+ * @returns {Object} Sync state (new if none was saved)
+ */
+function loadSyncState() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SYNC_STATE_KEY));
+    return stored ? { ...createSyncState(), ...stored } : createSyncState();
+  } catch (error) {
+    console.error('Failed to read sync state:', error);
+    return createSyncState();
+  }
+}
+
+/**
+ * Save this device's sync state
+ * @param {Object} state - Sync state
+ */
+function saveSyncState(state) {
+  localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Set up sync for the app: record local changes and sync when configured
+ * Safe to call again after the settings change.
+ * @returns {Promise<void>}
+ */
+export async function initSync() {
+  await initStorage();
+
+  const { url, token } = getSyncSettings();
+  client = createSyncClient({
+    adapter: url ? createHttpAdapter(url, token) : null,
+    store: { getSessions: getWorkoutHistory, applyChanges: applyRemoteChanges },
+    state: loadSyncState(),
+    saveState: saveSyncState
+  });
+
+  if (!listenersAdded) {
+    // Changes are recorded even while sync is off, so nothing is missed
+    // when it's turned on later
+    onHistoryChange(({ type, keys }) => {
+      client.recordChange(type, keys);
+      scheduleSync();
+    });
+    window.addEventListener('online', () => scheduleSync(0));
+    listenersAdded = true;
+  }
+
+  scheduleSync(0);
+}
+
+/**
+ * Sync after a delay, restarting the delay if called again
+ * @param {number} delay - Milliseconds to wait
+ */
+function scheduleSync(delay = SYNC_DELAY_MS) {
+  if (!client || !client.canSync()) return;
+
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    if (navigator.onLine === false) return;
+    syncNow().catch(error => console.error('Sync failed:', error));
+  }, delay);
+}
+
+/**
+ * Sync now
+ * Open screens are redrawn if anything came in, except an active workout.
+ * @returns {Promise<Object>} Sync result (see createSyncClient)
+ */
+export async function syncNow() {
+  if (!client) {
+    await initSync();
+  }
+
+  const result = await client.sync();
+  if (result.pulled > 0 && window.app && window.app.currentTab !== 'workout') {
+    window.app.activateTab(window.app.currentTab);
+  }
+  return result;
+}
+
+/**
+ * Sync before the history is deleted on every device, so sessions other
+ * devices pushed since the last sync are deleted too
+ * @returns {Promise<Array<string>>} Every session key this device has synced
+ */
+export async function syncBeforeClear() {
+  await syncNow();
+  return client.getKnownKeys();
+}
+
+/**
+ * Describe the sync status for the settings screen
+ * @returns {string} e.g. "Last synced Oct 12, 9:41 AM · 2 changes waiting"
+ */
+export function describeSyncStatus() {
+  if (!client || !client.canSync()) return 'Sync is off';
+
+  const { pending, lastSyncedAt, lastError } = client.getStatus();
+  const parts = [];
+
+  if (lastError) {
+    parts.push(`Last sync failed: ${lastError}`);
+  } else if (lastSyncedAt) {
+    parts.push(`Last synced ${new Date(lastSyncedAt).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })}`);
+  } else {
+    parts.push('Not synced yet');
+  }
+  if (pending > 0) {
+    parts.push(`${pending} change${pending === 1 ? '' : 's'} waiting`);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * Render the sync settings
+ * @param {HTMLElement} container - Element to render into
+ */
+export function renderSyncSettings(container) {
+  const { url, token } = getSyncSettings();
+
+  container.innerHTML = `
+    <label class="unit-setting">
+      <span>Server URL</span>
+      <input type="url" id="sync-url-input" class="sync-input" value="${escapeHtml(url)}" placeholder="http://192.168.1.10:8787">
+    </label>
+    <label class="unit-setting">
+      <span>Access token</span>
+      <input type="password" id="sync-token-input" class="sync-input" value="${escapeHtml(token)}" placeholder="Optional" autocomplete="off">
+    </label>
+    <p class="sync-status" id="sync-status">${escapeHtml(describeSyncStatus())}</p>
+    <div class="settings-actions">
+      <button class="btn-action" data-sync-action="save">Save</button>
+      <button class="btn-action" data-sync-action="sync" ${url ? '' : 'disabled'}>Sync Now</button>
+    </div>
+  `;
+}
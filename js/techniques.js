@@ -0,0 +1,262 @@
+/**
+ * Min-Max Companion - Intensity Techniques Module
+ * Describes how intensity techniques are logged and counted
+ *
+ * A technique applies to the last working set of an exercise and adds
+ * extra fields to that set:
+ *   drop     - drops: [{ weight, reps }]  (~25% lighter each)
+ *   myo      - miniSets: [{ reps }]      (same weight as the activation set)
+ *   partials - partialReps: number       (lengthened partials after failure)
+ *   hold     - holdSeconds: number       (weighted static hold)
+ */
+
+import { snapToIncrement } from './units.js';
+
+const DROP_PERCENT = 25;
+const DEFAULT_MINI_SETS = 3;
+const MAX_MINI_SETS = 6;
+const DEFAULT_HOLD_SECONDS = 30;
+
+// Partial reps cover a shorter range of motion, so count each as half a rep
+const PARTIAL_REP_FACTOR = 0.5;
+
+export const TECHNIQUE_LABELS = {
+  drop: 'Drop Sets',
+  myo: 'Myo-reps',
+  partials: 'Lengthened Partials',
+  hold: 'Static Hold'
+};
+
+/**
+ * Identify the technique type from a program technique string
+ * @param {string} technique - e.g. "Two Drop Sets (~25% per)", "Myo-reps"
+ * @returns {string|null} 'drop', 'myo', 'partials', 'hold' or null
+ */
+export function getTechniqueType(technique) {
+  if (!technique || technique === 'N/A') return null;
+
+  const text = technique.toLowerCase();
+  if (text.includes('drop')) return 'drop';
+  if (text.includes('myo')) return 'myo';
+  if (text.includes('partial')) return 'partials';
+  if (text.includes('hold')) return 'hold';
+  return null;
+}
+
+/**
+ * Read the number of drops from a technique string ("Two Drop Sets" -> 2)
+ * @param {string} technique - Program technique string
+ * @returns {number} Number of drops (defaults to 1)
+ */
+function parseDropCount(technique) {
+  const words = { one: 1, two: 2, three: 3 };
+  const match = technique.toLowerCase().match(/(\d+|one|two|three)\s+drop/);
+  if (!match) return 1;
+  return words[match[1]] || parseInt(match[1], 10) || 1;
+}
+
+/**
+ * Read the hold duration from a technique string ("(30 sec)" -> 30)
+ * @param {string} technique - Program technique string
+ * @returns {number} Hold duration in seconds
+ */
+function parseHoldSeconds(technique) {
+  const match = technique.match(/(\d+)\s*s(?:ec)?/i);
+  return match ? parseInt(match[1], 10) : DEFAULT_HOLD_SECONDS;
+}
+
+/**
+ * Calculate the weights for a run of drop sets
+ * @param {number} weight - Top set weight
+ * @param {number} count - Number of drops
+ * @param {number} increment - Smallest loadable step
+ * @returns {Array<number>} Drop weights (each ~25% below the previous)
+ */
+export function computeDropWeights(weight, count, increment = 5) {
+  const weights = [];
+  let current = parseFloat(weight) || 0;
+
+  for (let i = 0; i < count; i++) {
+    current = current * (1 - DROP_PERCENT / 100);
+    weights.push(current > 0 ? Math.max(snapToIncrement(increment, increment), snapToIncrement(current, increment)) : '');
+  }
+
+  return weights;
+}
+
+/**
+ * Create the technique fields for a new set
+ * @param {string} technique - Program technique string
+ * @param {number|string} weight - Planned weight of the set
+ * @param {Object} lastSet - Same set from last session, used to prefill counts
+ * @param {number} increment - Smallest loadable step for drop weights
+ * @returns {Object} Technique fields to merge into the set (empty if none)
+ */
+export function createTechniqueFields(technique, weight, lastSet = null, increment = 5) {
+  const type = getTechniqueType(technique);
+  const last = lastSet && lastSet.technique === type ? lastSet : null;
+
+  if (type === 'drop') {
+    const count = parseDropCount(technique);
+    return {
+      technique: type,
+      drops: computeDropWeights(weight, count, increment).map((dropWeight, idx) => ({
+        weight: dropWeight,
+        reps: last && last.drops && last.drops[idx] ? last.drops[idx].reps : ''
+      })),
+      dropsEdited: false
+    };
+  }
+
+  if (type === 'myo') {
+    const count = last && last.miniSets ? last.miniSets.length : DEFAULT_MINI_SETS;
+    return {
+      technique: type,
+      miniSets: Array(count).fill(null).map((_, idx) => ({
+        reps: last && last.miniSets[idx] ? last.miniSets[idx].reps : ''
+      }))
+    };
+  }
+
+  if (type === 'partials') {
+    return { technique: type, partialReps: last ? last.partialReps : '' };
+  }
+
+  if (type === 'hold') {
+    return { technique: type, holdSeconds: last ? last.holdSeconds : parseHoldSeconds(technique) };
+  }
+
+  return {};
+}
+
+/**
+ * Recalculate drop weights after the top set weight changed,
+ * unless the user has edited them by hand
+ * @param {Object} set - Set state (mutated)
+ * @param {number} increment - Smallest loadable step
+ * @returns {boolean} True if drop weights changed
+ */
+export function refreshDropWeights(set, increment = 5) {
+  if (set.technique !== 'drop' || set.dropsEdited) return false;
+
+  const weights = computeDropWeights(set.weight, set.drops.length, increment);
+  set.drops.forEach((drop, idx) => {
+    drop.weight = weights[idx];
+  });
+  return true;
+}
+
+/**
+ * Add a mini-set row to a myo-reps set
+ * @param {Object} set - Set state (mutated)
+ * @returns {boolean} True if a row was added
+ */
+export function addMiniSet(set) {
+  if (set.technique !== 'myo' || set.miniSets.length >= MAX_MINI_SETS) return false;
+  set.miniSets.push({ reps: '' });
+  return true;
+}
+
+/**
+ * Check the technique fields of a set before logging
+ * @param {Object} set - Set state
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateTechniqueFields(set) {
+  if (set.technique === 'drop') {
+    const incomplete = set.drops.some(drop => !(parseFloat(drop.weight) > 0) || drop.reps === '' || drop.reps === null);
+    return incomplete ? 'Please enter weight and reps for each drop' : null;
+  }
+
+  if (set.technique === 'myo') {
+    const done = set.miniSets.filter(mini => parseInt(mini.reps, 10) > 0);
+    return done.length === 0 ? 'Please enter reps for at least one mini-set' : null;
+  }
+
+  if (set.technique === 'hold') {
+    return parseInt(set.holdSeconds, 10) > 0 ? null : 'Please enter the hold duration';
+  }
+
+  return null;
+}
+
+/**
+ * Convert a set's technique fields into the saved history shape
+ * @param {Object} set - Set state
+ * @returns {Object} Technique fields to store with the set (empty if none)
+ */
+export function serializeTechniqueFields(set) {
+  if (set.technique === 'drop') {
+    return {
+      technique: 'drop',
+      drops: set.drops.map(drop => ({
+        weight: parseFloat(drop.weight),
+        reps: parseInt(drop.reps, 10) || 0
+      }))
+    };
+  }
+
+  if (set.technique === 'myo') {
+    return {
+      technique: 'myo',
+      miniSets: set.miniSets
+        .filter(mini => parseInt(mini.reps, 10) > 0)
+        .map(mini => ({ reps: parseInt(mini.reps, 10) }))
+    };
+  }
+
+  if (set.technique === 'partials') {
+    return { technique: 'partials', partialReps: parseInt(set.partialReps, 10) || 0 };
+  }
+
+  if (set.technique === 'hold') {
+    return { technique: 'hold', holdSeconds: parseInt(set.holdSeconds, 10) || 0 };
+  }
+
+  return {};
+}
+
+/**
+ * Calculate the volume (weight × reps) of a logged set, including any
+ * drops, myo mini-sets and partial reps
+ * @param {Object} set - Saved set
+ * @returns {number} Set volume
+ */
+export function getSetVolume(set) {
+  const weight = set.weight || 0;
+  let volume = weight * (set.reps || 0);
+
+  if (set.drops) {
+    volume += set.drops.reduce((sum, drop) => sum + (drop.weight || 0) * (drop.reps || 0), 0);
+  }
+  if (set.miniSets) {
+    volume += set.miniSets.reduce((sum, mini) => sum + weight * (mini.reps || 0), 0);
+  }
+  if (set.partialReps) {
+    volume += weight * set.partialReps * PARTIAL_REP_FACTOR;
+  }
+
+  return volume;
+}
+
+/**
+ * Describe a logged set's technique work in a few words
+ * @param {Object} set - Set (state or saved)
+ * @returns {string} Summary (e.g., "Drops: 135×8, 100×10"), or '' if none
+ */
+export function describeTechniqueFields(set) {
+  if (set.technique === 'drop' && set.drops) {
+    return `Drops: ${set.drops.map(d => `${d.weight}×${d.reps}`).join(', ')}`;
+  }
+  if (set.technique === 'myo' && set.miniSets) {
+    const reps = set.miniSets.map(m => m.reps).filter(r => r !== '' && r !== null);
+    return `Mini-sets: ${reps.join(' + ')}`;
+  }
+  if (set.technique === 'partials') {
+    return `Partials: ${set.partialReps || 0}`;
+  }
+  if (set.technique === 'hold') {
+    return `Hold: ${set.holdSeconds || 0}s`;
+  }
+  return '';
+}
@@ -0,0 +1,152 @@
+/**
+ * Min-Max Companion - Rest Timer Module
+ * Parses prescribed rest intervals and tracks rest countdowns
+ *
+ * Timers are stored as absolute timestamps rather than ticking counters,
+ * so they stay correct while the tab is backgrounded, the phone is locked
+ * or the page is reloaded from saved workout state.
+ */
+
+const EXTEND_STEP_SECONDS = 30;
+
+let audioContext = null;
+
+/**
+ * Parse a prescribed rest string into a range in seconds
+ * @param {string} rest - Rest prescription (e.g., "2-3 min", "90 sec", "1-2 min")
+ * @returns {Object|null} { min, max } in seconds, or null if not parseable
+ */
+export function parseRestRange(rest) {
+  if (typeof rest !== 'string') return null;
+
+  const match = rest.trim().match(/^(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?))?\s*(min|m|sec|s)?/i);
+  if (!match) return null;
+
+  const unit = (match[3] || 'min').toLowerCase();
+  const multiplier = unit.startsWith('s') ? 1 : 60;
+  const min = Math.round(parseFloat(match[1]) * multiplier);
+  const max = match[2] ? Math.round(parseFloat(match[2]) * multiplier) : min;
+
+  if (!min) return null;
+
+  return { min, max: Math.max(min, max) };
+}
+
+/**
+ * Create a rest timer for a prescribed rest interval
+ * @param {string} rest - Rest prescription
+ * @param {Object} context - Where the rest started ({ exerciseIndex, setIndex })
+ * @returns {Object|null} Serializable rest timer state, or null if no rest prescribed
+ */
+export function createRestTimer(rest, context = {}) {
+  const range = parseRestRange(rest);
+  if (!range) return null;
+
+  return {
+    ...context,
+    rest,
+    startedAt: Date.now(),
+    duration: range.min,
+    maxSeconds: range.max,
+    endAlerted: false,
+    upperAlerted: false
+  };
+}
+
+/**
+ * Add time to a running rest timer
+ * @param {Object} timer - Rest timer state (mutated)
+ * @param {number} seconds - Seconds to add
+ */
+export function extendRestTimer(timer, seconds = EXTEND_STEP_SECONDS) {
+  const status = getRestStatus(timer);
+
+  // Once the countdown has run out, extending restarts it from now
+  if (status.remaining <= 0) {
+    timer.duration = status.elapsed + seconds;
+  } else {
+    timer.duration += seconds;
+  }
+
+  timer.endAlerted = false;
+}
+
+/**
+ * Compute the current state of a rest timer
+ * @param {Object} timer - Rest timer state
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {Object} { elapsed, remaining, phase } where phase is
+ *   'resting' (counting down), 'ready' (lower bound passed) or
+ *   'max' (upper bound reached)
+ */
+export function getRestStatus(timer, now = Date.now()) {
+  const elapsed = Math.max(0, Math.floor((now - timer.startedAt) / 1000));
+  const remaining = timer.duration - elapsed;
+
+  let phase = 'resting';
+  if (elapsed >= Math.max(timer.maxSeconds, timer.duration)) {
+    phase = 'max';
+  } else if (remaining <= 0) {
+    phase = 'ready';
+  }
+
+  return { elapsed, remaining, phase };
+}
+
+/**
+ * Prepare audio playback. Browsers only allow audio after a user gesture,
+ * so call this from a click handler (e.g., when logging a set).
+ */
+export function primeAlertSound() {
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+
+    if (!audioContext) {
+      audioContext = new AudioCtx();
+    }
+    if (audioContext.state === 'suspended') {
+      audioContext.resume();
+    }
+  } catch (error) {
+    console.error('Failed to initialize audio:', error);
+  }
+}
+
+/**
+ * Vibrate and beep to signal the end of a rest period
+ * @param {number} beeps - Number of beeps/pulses
+ */
+export function playRestAlert(beeps = 3) {
+  if (navigator.vibrate) {
+    const pattern = [];
+    for (let i = 0; i < beeps; i++) {
+      pattern.push(200, 100);
+    }
+    navigator.vibrate(pattern);
+  }
+
+  if (!audioContext || audioContext.state !== 'running') return;
+
+  try {
+    const start = audioContext.currentTime;
+
+    for (let i = 0; i < beeps; i++) {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const beepStart = start + i * 0.3;
+
+      oscillator.type = 'sine';
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.3, beepStart);
+      gain.gain.exponentialRampToValueAtTime(0.001, beepStart + 0.2);
+
+      oscillator.connect(gain);
+      gain.connect(audioContext.destination);
+      oscillator.start(beepStart);
+      oscillator.stop(beepStart + 0.2);
+    }
+  } catch (error) {
+    console.error('Failed to play rest alert:', error);
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Min-Max Companion - Week Transitions Module
+ * Explains what changes when the program moves into a labeled week
+ * (e.g. "Deload Week" or "Block 2 Start (Intensity Block)")
+ */
+
+import { TECHNIQUE_LABELS, getTechniqueType } from './techniques.js';
+
+// Guidance for well-known phases, matched against the week label
+const PHASE_NOTES = [
+  {
+    pattern: /deload/i,
+    notes: [
+      'Back off: stop further from failure so joints and fatigue can recover.',
+      'Leave a rep or two more in the tank than the last few weeks.',
+      'Keep the movements crisp - this week is about recovery, not records.'
+    ]
+  },
+  {
+    pattern: /block\s*2|intensity/i,
+    notes: [
+      'Intensity techniques are added to the last set of many exercises.',
+      'Each technique gets its own inputs on the exercise card so the extra work is logged.',
+      'Expect loads to dip slightly on sets that follow a technique.'
+    ]
+  }
+];
+
+/**
+ * Summarize the prescription of a week
+ * @param {Object} week - Program week
+ * @returns {Object} { sets, averageRir, techniques: Set of technique types }
+ */
+function summarizeWeek(week) {
+  const exercises = week.days.flatMap(day => day.exercises);
+  const rir = exercises.flatMap(ex => ex.rir || []);
+  const techniques = new Set(exercises.map(ex => getTechniqueType(ex.technique)).filter(Boolean));
+
+  return {
+    sets: exercises.reduce((sum, ex) => sum + (parseInt(ex.sets, 10) || 0), 0),
+    averageRir: rir.length > 0 ? rir.reduce((sum, r) => sum + r, 0) / rir.length : null,
+    techniques
+  };
+}
+
+/**
+ * Describe the move from one program week into a labeled week
+ * @param {Object|null} previousWeek - Week being left (null at the start)
+ * @param {Object} nextWeek - Week being entered
+ * @returns {Object|null} { title, notes, changes } or null if the week has no label
+ */
+export function describeWeekTransition(previousWeek, nextWeek) {
+  if (!nextWeek || !nextWeek.label) return null;
+
+  const phase = PHASE_NOTES.find(p => p.pattern.test(nextWeek.label));
+  const changes = [];
+
+  if (previousWeek) {
+    const before = summarizeWeek(previousWeek);
+    const after = summarizeWeek(nextWeek);
+
+    if (after.sets !== before.sets) {
+      changes.push(`Working sets this week: ${before.sets} → ${after.sets}`);
+    }
+    if (before.averageRir !== null && after.averageRir !== null &&
+        Math.abs(after.averageRir - before.averageRir) >= 0.25) {
+      changes.push(`Average RIR target: ${before.averageRir.toFixed(1)} → ${after.averageRir.toFixed(1)}` +
+        (after.averageRir > before.averageRir ? ' (further from failure)' : ' (closer to failure)'));
+    }
+
+    const added = [...after.techniques].filter(t => !before.techniques.has(t));
+    const removed = [...before.techniques].filter(t => !after.techniques.has(t));
+    if (added.length > 0) {
+      changes.push(`New techniques: ${added.map(t => TECHNIQUE_LABELS[t]).join(', ')}`);
+    }
+    if (removed.length > 0) {
+      changes.push(`Techniques dropped: ${removed.map(t => TECHNIQUE_LABELS[t]).join(', ')}`);
+    }
+  }
+
+  return {
+    title: `Week ${nextWeek.week}: ${nextWeek.label}`,
+    notes: phase ? phase.notes : [],
+    changes
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * Min-Max Companion - Units Module
+ * Weight unit preference, conversions and loadable increments
+ *
+ * History is always stored in pounds (the canonical unit), so sessions
+ * logged before the kg option existed need no migration. Weights are
+ * converted to the preferred unit for display and entry, and back to
+ * pounds when a workout is saved.
+ */
+
+export const CANONICAL_UNIT = 'lb';
+export const KG_PER_LB = 0.45359237;
+
+const WEIGHT_UNIT_KEY = 'minmax_weight_unit';
+const INCREMENTS_KEY = 'minmax_load_increments';
+
+export const WEIGHT_UNITS = {
+  lb: { label: 'lbs', name: 'Pounds' },
+  kg: { label: 'kg', name: 'Kilograms' }
+};
+
+// Smallest step that can actually be loaded, by equipment type. Each unit
+// has its own step, since a converted step (2.5 kg = 5.51 lbs) can't be loaded.
+export const EQUIPMENT_TYPES = {
+  barbell: { label: 'Barbell', increments: { lb: 5, kg: 2.5 } },
+  dumbbell: { label: 'Dumbbell', increments: { lb: 5, kg: 2 } },
+  machine: { label: 'Machine / Cable Stack', increments: { lb: 5, kg: 2.5 } }
+};
+
+// Checked in order; anything unmatched is treated as a machine
+const EQUIPMENT_PATTERNS = [
+  { type: 'dumbbell', pattern: /\bdb\b|dumbbell/i },
+  { type: 'machine', pattern: /machine|cable|pulldown|pec deck|leg press|pendulum|hack|belt|sissy/i },
+  { type: 'barbell', pattern: /barbell|\bbb\b|ez-bar|t-bar|smith|squat|skull crusher/i }
+];
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Number to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded number
+ */
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Get the preferred weight unit
+ * @returns {string} 'lb' or 'kg'
+ */
+export function getWeightUnit() {
+  const stored = localStorage.getItem(WEIGHT_UNIT_KEY);
+  return WEIGHT_UNITS[stored] ? stored : CANONICAL_UNIT;
+}
+
+/**
+ * Set the preferred weight unit
+ * @param {string} unit - 'lb' or 'kg'
+ */
+export function setWeightUnit(unit) {
+  if (!WEIGHT_UNITS[unit]) {
+    throw new Error(`Unknown weight unit: ${unit}`);
+  }
+  localStorage.setItem(WEIGHT_UNIT_KEY, unit);
+}
+
+/**
+ * Get the display label of a unit
+ * @param {string} unit - 'lb' or 'kg' (defaults to the preferred unit)
+ * @returns {string} e.g. "lbs" or "kg"
+ */
+export function getUnitLabel(unit = getWeightUnit()) {
+  return (WEIGHT_UNITS[unit] || WEIGHT_UNITS[CANONICAL_UNIT]).label;
+}
+
+/**
+ * Convert a weight between units (unrounded)
+ * @param {number} weight - Weight to convert
+ * @param {string} from - Unit of the weight
+ * @param {string} to - Unit to convert to
+ * @returns {number} Converted weight
+ */
+export function convertWeight(weight, from, to) {
+  if (from === to) return weight;
+  return from === 'lb' ? weight * KG_PER_LB : weight / KG_PER_LB;
+}
+
+/**
+ * Convert a stored (canonical) weight for display
+ * @param {number} weight - Weight in pounds
+ * @param {string} unit - Unit to show (defaults to the preferred unit)
+ * @param {number} decimals - Decimal places to round to
+ * @returns {number} Weight in the unit
+ */
+export function toDisplayWeight(weight, unit = getWeightUnit(), decimals = 2) {
+  return roundTo(convertWeight(weight, CANONICAL_UNIT, unit), decimals);
+}
+
+/**
+ * Convert an entered weight to the canonical unit for storage
+ * Rounded to 3 decimals so a weight converted back and forth keeps its
+ * stored value.
+ * @param {number} weight - Weight in the given unit
+ * @param {string} unit - Unit of the weight (defaults to the preferred unit)
+ * @returns {number} Weight in pounds
+ */
+export function toCanonicalWeight(weight, unit = getWeightUnit()) {
+  return roundTo(convertWeight(weight, unit, CANONICAL_UNIT), 3);
+}
+
+/**
+ * Format a stored weight with the unit label
+ * @param {number} weight - Weight in pounds
+ * @param {string} unit - Unit to show (defaults to the preferred unit)
+ * @returns {string} e.g. "61.23 kg"
+ */
+export function formatWeight(weight, unit = getWeightUnit()) {
+  return `${toDisplayWeight(weight, unit)} ${getUnitLabel(unit)}`;
+}
+
+/**
+ * Convert the weights of a logged set (including drop-set weights)
+ * @param {Object} set - Set ({ weight, reps, drops? })
+ * @param {Function} convert - (weight) => converted weight
+ * @returns {Object} Copy of the set with converted weights
+ */
+export function convertSetWeights(set, convert) {
+  const converted = { ...set };
+  if (typeof set.weight === 'number') {
+    converted.weight = convert(set.weight);
+  }
+  if (Array.isArray(set.drops)) {
+    converted.drops = set.drops.map(drop => (
+      typeof drop.weight === 'number' ? { ...drop, weight: convert(drop.weight) } : drop
+    ));
+  }
+  return converted;
+}
+
+/**
+ * Convert every weight in a saved session (working sets, warm-ups, the
+ * load suggestion and the earlier versions kept in its change log)
+ * @param {Object} session - Saved session
+ * @param {Function} convert - (weight) => converted weight
+ * @returns {Object} Copy of the session with converted weights
+ */
+export function convertSessionWeights(session, convert) {
+  return {
+    ...session,
+    ...(Array.isArray(session.changeLog)
+      ? {
+        changeLog: session.changeLog.map(entry => (
+          entry && entry.previous ? { ...entry, previous: convertSessionWeights(entry.previous, convert) } : entry
+        ))
+      }
+      : {}),
+    exercises: (session.exercises || []).map(exercise => {
+      const converted = { ...exercise };
+      if (Array.isArray(exercise.sets)) {
+        converted.sets = exercise.sets.map(set => convertSetWeights(set, convert));
+      }
+      if (Array.isArray(exercise.warmups)) {
+        converted.warmups = exercise.warmups.map(set => convertSetWeights(set, convert));
+      }
+      if (exercise.suggestion) {
+        converted.suggestion = convertSetWeights(exercise.suggestion, convert);
+      }
+      return converted;
+    })
+  };
+}
+
+/**
+ * Work out the equipment an exercise uses from its name
+ * @param {string} exerciseName - Exercise name
+ * @returns {string} Key of EQUIPMENT_TYPES
+ */
+export function getEquipmentType(exerciseName) {
+  const match = EQUIPMENT_PATTERNS.find(entry => entry.pattern.test(exerciseName || ''));
+  return match ? match.type : 'machine';
+}
+
+/**
+ * Get the configured increments for every equipment type, in each unit
+ * Increments saved before they were kept per unit ({ value, unit }) only
+ * apply to the unit they were entered in.
+ * @returns {Object} { type: { lb, kg } }
+ */
+export function getLoadIncrements() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(INCREMENTS_KEY)) || {};
+  } catch (error) {
+    console.error('Failed to read load increments:', error);
+  }
+
+  const increments = {};
+  Object.entries(EQUIPMENT_TYPES).forEach(([type, equipment]) => {
+    const custom = stored[type] || {};
+    const byUnit = WEIGHT_UNITS[custom.unit] ? { [custom.unit]: custom.value } : custom;
+
+    increments[type] = {};
+    Object.keys(WEIGHT_UNITS).forEach(unit => {
+      increments[type][unit] = byUnit[unit] > 0 ? byUnit[unit] : equipment.increments[unit];
+    });
+  });
+  return increments;
+}
+
+/**
+ * Save the increment for an equipment type in one unit
+ * The other unit keeps its own increment.
+ * @param {string} type - Key of EQUIPMENT_TYPES
+ * @param {number} value - Smallest loadable step
+ * @param {string} unit - Unit of the step
+ */
+export function setLoadIncrement(type, value, unit) {
+  if (!EQUIPMENT_TYPES[type]) {
+    throw new Error(`Unknown equipment type: ${type}`);
+  }
+  if (!(value > 0) || !WEIGHT_UNITS[unit]) {
+    throw new Error('Increment must be a positive weight in lb or kg');
+  }
+
+  const increments = getLoadIncrements();
+  increments[type][unit] = value;
+  localStorage.setItem(INCREMENTS_KEY, JSON.stringify(increments));
+}
+
+/**
+ * Get the smallest loadable step for an exercise
+ * @param {string} exerciseName - Exercise name
+ * @param {string} unit - Unit the step is needed in (defaults to the preferred unit)
+ * @returns {number} Increment in that unit
+ */
+export function getExerciseIncrement(exerciseName, unit = getWeightUnit()) {
+  const increments = getLoadIncrements()[getEquipmentType(exerciseName)];
+  return increments[unit] || increments[CANONICAL_UNIT];
+}
+
+/**
+ * Snap a weight to the nearest multiple of an increment
+ * @param {number} weight - Raw weight
+ * @param {number} increment - Smallest loadable step (same unit as weight)
+ * @returns {number} Snapped weight, rounded to 2 decimals
+ */
+export function snapToIncrement(weight, increment) {
+  return roundTo(Math.round(weight / increment) * increment, 2);
+}
+
+/**
+ * Render the unit and increment settings
+ * @param {HTMLElement} container - Element to render into
+ */
+export function renderUnitSettings(container) {
+  const unit = getWeightUnit();
+  const increments = getLoadIncrements();
+
+  container.innerHTML = `
+    <label class="unit-setting">
+      <span>Weight unit</span>
+      <select id="weight-unit-select" class="unit-select">
+        ${Object.entries(WEIGHT_UNITS).map(([key, info]) => `
+          <option value="${key}" ${key === unit ? 'selected' : ''}>${info.name} (${info.label})</option>
+        `).join('')}
+      </select>
+    </label>
+    ${Object.entries(EQUIPMENT_TYPES).map(([type, equipment]) => `
+      <div class="unit-setting" data-equipment="${type}">
+        <span>${equipment.label} increment (${getUnitLabel(unit)})</span>
+        <input type="number" class="unit-increment-input" value="${increments[type][unit]}" min="0" step="any" inputmode="decimal" data-field="value" data-unit="${unit}">
+      </div>
+    `).join('')}
+  `;
+}
@@ -0,0 +1,88 @@
+/**
+ * Min-Max Companion - Warm-up Module
+ * Builds warm-up ramps from the planned working weight
+ */
+
+import { snapToIncrement } from './units.js';
+
+// Percentage ladders (of working weight) by number of warm-up sets
+const WARMUP_LADDERS = {
+  1: [{ percent: 60, reps: 6 }],
+  2: [{ percent: 50, reps: 8 }, { percent: 75, reps: 4 }],
+  3: [{ percent: 40, reps: 8 }, { percent: 60, reps: 5 }, { percent: 80, reps: 3 }],
+  4: [
+    { percent: 40, reps: 8 },
+    { percent: 55, reps: 5 },
+    { percent: 70, reps: 3 },
+    { percent: 85, reps: 1 }
+  ]
+};
+
+/**
+ * Parse a prescribed warm-up range
+ * @param {string} warmUp - Warm-up prescription (e.g., "1-2", "2-4", "0-1")
+ * @returns {Object} { min, max } number of warm-up sets
+ */
+export function parseWarmupRange(warmUp) {
+  const match = typeof warmUp === 'string' ? warmUp.match(/^(\d+)(?:\s*-\s*(\d+))?/) : null;
+  if (!match) {
+    return { min: 0, max: 0 };
+  }
+
+  const min = parseInt(match[1], 10);
+  const max = match[2] ? parseInt(match[2], 10) : min;
+  return { min, max: Math.max(min, max) };
+}
+
+/**
+ * Build a ramp of warm-up sets leading up to the working weight
+ * Uses the upper end of the prescribed range; lighter days can skip the
+ * first rungs. For barbell work nothing goes below the empty bar: rungs
+ * that would are loaded at the bar, and only the first of those is kept.
+ * @param {number} workingWeight - Planned working weight
+ * @param {string} warmUp - Warm-up prescription (e.g., "2-4")
+ * @param {number} increment - Smallest loadable weight step
+ * @param {number} barWeight - Empty bar weight (0 for other equipment)
+ * @returns {Array<Object>} Warm-up sets ({ setNumber, percent, weight, reps, logged })
+ */
+export function buildWarmupSets(workingWeight, warmUp, increment = 5, barWeight = 0) {
+  const { max } = parseWarmupRange(warmUp);
+  const weight = parseFloat(workingWeight);
+
+  if (max === 0 || !weight || weight <= 0) {
+    return [];
+  }
+
+  const ladder = WARMUP_LADDERS[Math.min(max, 4)];
+  const floor = barWeight > 0 ? barWeight : snapToIncrement(increment, increment);
+
+  return ladder
+    .map(step => ({
+      percent: step.percent,
+      weight: Math.max(floor, snapToIncrement(weight * step.percent / 100, increment)),
+      reps: step.reps
+    }))
+    .filter((step, idx) => !(barWeight > 0 && idx > 0 && step.weight <= barWeight))
+    .map((step, idx) => ({ setNumber: idx + 1, ...step, logged: false }));
+}
+
+/**
+ * Rebuild the not-yet-logged rungs of a warm-up ramp for a new working
+ * weight, keeping any warm-ups already logged
+ * @param {Array<Object>} warmupSets - Current warm-up sets
+ * @param {number} workingWeight - Planned working weight
+ * @param {string} warmUp - Warm-up prescription
+ * @param {number} increment - Smallest loadable weight step
+ * @param {number} barWeight - Empty bar weight (0 for other equipment)
+ * @returns {Array<Object>} Updated warm-up sets
+ */
+export function refreshWarmupSets(warmupSets, workingWeight, warmUp, increment = 5, barWeight = 0) {
+  const fresh = buildWarmupSets(workingWeight, warmUp, increment, barWeight);
+  const current = warmupSets || [];
+
+  if (current.some(set => set.logged)) {
+    return current.map((set, idx) => (set.logged || !fresh[idx] ? set : fresh[idx]));
+  }
+
+  return fresh;
+}
@@ -3,19 +3,89 @@
  * Handles active workout session management
  */
 
-import { getDay } from './program.js';
-import { saveWorkout, getLastPerformance } from './storage.js';
+import { getDay, advanceWeekIfComplete } from './program.js';
+import { getSessionProgramId } from './programs.js';
+import {
+  saveWorkout,
+  getWorkoutHistory,
+  getLastPerformance,
+  getLastExerciseSession,
+  initStorage
+} from './storage.js';
+import {
+  createRestTimer,
+  extendRestTimer,
+  getRestStatus,
+  primeAlertSound,
+  playRestAlert
+} from './timer.js';
+import { parseWarmupRange, buildWarmupSets, refreshWarmupSets } from './warmup.js';
+import { suggestNextLoad } from './progression.js';
+import {
+  TECHNIQUE_LABELS,
+  createTechniqueFields,
+  refreshDropWeights,
+  addMiniSet,
+  validateTechniqueFields,
+  serializeTechniqueFields,
+  describeTechniqueFields
+} from './techniques.js';
+import {
+  CANONICAL_UNIT,
+  getWeightUnit,
+  getUnitLabel,
+  getExerciseIncrement,
+  getEquipmentType,
+  snapToIncrement,
+  toDisplayWeight,
+  toCanonicalWeight,
+  convertSetWeights
+} from './units.js';
+import { renderPlateBreakdown, getBarWeight } from './plates.js';
+import { escapeHtml } from './backup.js';
+import {
+  DEFAULT_MODE,
+  LOGGING_MODES,
+  getLoggingMode,
+  setLoggingMode,
+  getSetMode,
+  validateSetEntry,
+  serializeSetEntry,
+  formatSetEntry
+} from './logging.js';
+import { detectSetRecords, describeRecord } from './records.js';
+import { loadFormulaPreference } from './metrics.js';
+import {
+  DEFAULT_EFFORT_SCALE,
+  EFFORT_SCALES,
+  getEffortScale,
+  toRir,
+  fromRir,
+  getTargetRir,
+  formatEffortTargets,
+  validateEffort,
+  serializeEffort
+} from './effort.js';
+import { NOTE_MAX_LENGTH, normalizeNote, getLastExerciseNote } from './notes.js';
 
 const ACTIVE_WORKOUT_KEY = 'minmax_active_workout_state';
 
 let currentWorkout = null;
 let workoutTimer = null;
 let elapsedSeconds = 0;
+let visibilityListenerAdded = false;
+
+const SUGGESTION_ICONS = { increase: '↑', hold: '→', decrease: '↓' };
+const SECONDS_STEP = 5;
+const SUGGESTION_LABELS = { increase: 'Go up', hold: 'Hold', decrease: 'Back off' };
+const RECORD_VIBRATION = [100, 50, 100, 50, 300];
 
 /**
  * Initialize the workout UI
  */
 export async function initWorkoutUI() {
+  await initStorage();
+
   // Check for workout to resume or start
   const pendingWorkout = sessionStorage.getItem('minmax_active_workout');
   const savedState = loadWorkoutState();
@@ -24,67 +94,228 @@ export async function initWorkoutUI() {
     // Resume in-progress workout
     currentWorkout = savedState;
     elapsedSeconds = savedState.elapsedSeconds || 0;
+    markElapsedRestAlerts();
     renderActiveWorkout();
   } else if (pendingWorkout) {
     // Start new workout
-    const { week, dayType } = JSON.parse(pendingWorkout);
-    await startNewWorkout(week, dayType);
+    const { week, dayType, programId } = JSON.parse(pendingWorkout);
+    await startNewWorkout(week, dayType, programId);
     sessionStorage.removeItem('minmax_active_workout');
   } else {
     // Show empty state
     renderEmptyState();
   }
+
+  // Timers are throttled in the background; refresh as soon as we're visible
+  if (!visibilityListenerAdded) {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && currentWorkout) {
+        updateRestTimerDisplay();
+      }
+    });
+    visibilityListenerAdded = true;
+  }
 }
 
 /**
  * Start a new workout
  * @param {number} week - Week number
  * @param {string} dayType - Day type
+ * @param {string} programId - Program the day belongs to
  */
-async function startNewWorkout(week, dayType) {
-  const dayData = await getDay(week, dayType);
+async function startNewWorkout(week, dayType, programId) {
+  const dayData = await getDay(week, dayType, programId);
   if (!dayData) {
     console.error('Day data not found');
     renderEmptyState();
     return;
   }
 
+  // The whole workout is entered in one unit and effort scale, even if the
+  // preferences change midway
+  const unit = getWeightUnit();
+
   // Initialize workout state
   currentWorkout = {
     week,
     dayType,
+    programId,
+    unit,
+    effortScale: getEffortScale(),
     startedAt: new Date().toISOString(),
+    note: '',
     elapsedSeconds: 0,
-    exercises: dayData.exercises.map(ex => {
-      const lastPerf = getLastPerformance(ex.exercise);
+    restTimer: null,
+    exercises: dayData.exercises.map((ex, programIndex) => {
+      const lastPerf = getLastSets(ex.exercise, unit);
       const targetSets = parseInt(ex.sets) || 2;
+      const workingWeight = lastPerf && lastPerf[0] ? lastPerf[0].weight : '';
+      const increment = getExerciseIncrement(ex.exercise, unit);
+      const mode = getLoggingMode(ex.exercise, ex.reps);
 
       return {
         name: ex.exercise,
+        slot: ex.exercise,
+        programIndex,
         technique: ex.technique,
         sets: ex.sets,
         reps: ex.reps,
         rir: ex.rir,
+        rest: ex.rest,
+        warmUp: ex.warm_up,
+        mode,
+        warmupSets: buildWarmupSets(workingWeight, ex.warm_up, increment, getWarmupBar(ex.exercise, mode)),
         notes: ex.notes,
         substitutions: ex.substitutions,
         completed: false,
+        skipped: false,
+        skipReason: '',
+        note: '',
         expanded: false,
-        loggedSets: Array(targetSets).fill(null).map((_, idx) => ({
-          setNumber: idx + 1,
-          weight: lastPerf && lastPerf[idx] ? lastPerf[idx].weight : '',
-          reps: lastPerf && lastPerf[idx] ? lastPerf[idx].reps : '',
-          logged: false
-        }))
+        loggedSets: buildLoggedSets(targetSets, lastPerf, ex.technique, increment)
       };
     })
   };
 
+  for (const exercise of currentWorkout.exercises) {
+    exercise.suggestion = await buildSuggestion(exercise);
+  }
+
   elapsedSeconds = 0;
   saveWorkoutState();
   renderActiveWorkout();
   startTimer();
 }
 
+/**
+ * Get the working unit of the current workout
+ * Workouts saved before units were configurable were entered in pounds.
+ * @returns {string} 'lb' or 'kg'
+ */
+function getWorkoutUnit() {
+  return (currentWorkout && currentWorkout.unit) || CANONICAL_UNIT;
+}
+
+/**
+ * Get the effort scale of the current workout
+ * @returns {string} 'rir' or 'rpe'
+ */
+function getWorkoutEffortScale() {
+  return (currentWorkout && currentWorkout.effortScale) || DEFAULT_EFFORT_SCALE;
+}
+
+/**
+ * Get the smallest loadable step for an exercise in the workout's unit
+ * @param {Object} exercise - Exercise state
+ * @returns {number} Increment
+ */
+function getIncrement(exercise) {
+  return getExerciseIncrement(exercise.name, getWorkoutUnit());
+}
+
+/**
+ * Get the lightest warm-up load for an exercise: the empty bar for
+ * plate-loaded barbell work, otherwise 0 (one increment is the floor)
+ * @param {string} name - Exercise name
+ * @param {string} mode - Logging mode
+ * @returns {number} Bar weight in the workout's unit, or 0
+ */
+function getWarmupBar(name, mode) {
+  return mode === DEFAULT_MODE && getEquipmentType(name) === 'barbell' ? getBarWeight(getWorkoutUnit()) : 0;
+}
+
+/**
+ * Get the logging mode of an exercise in the current workout
+ * @param {Object} exercise - Exercise state
+ * @returns {string} Key of LOGGING_MODES
+ */
+function getExerciseMode(exercise) {
+  return exercise.mode || DEFAULT_MODE;
+}
+
+/**
+ * Check whether an exercise needs no more work (all sets logged, or skipped)
+ * @param {Object} exercise - Exercise state
+ * @returns {boolean} True if the exercise is done or skipped
+ */
+function isExerciseDone(exercise) {
+  return exercise.completed || Boolean(exercise.skipped);
+}
+
+/**
+ * Get the last performance of a movement converted to a unit
+ * @param {string} exerciseName - Name of the exercise
+ * @param {string} unit - Unit to convert to
+ * @returns {Array|null} Sets from the most recent session, or null
+ */
+function getLastSets(exerciseName, unit) {
+  const lastPerf = getLastPerformance(exerciseName);
+  return lastPerf
+    ? lastPerf.map(set => convertSetWeights(set, weight => toDisplayWeight(weight, unit)))
+    : null;
+}
+
+/**
+ * Build the set rows for an exercise, prefilled from last performance
+ * @param {number} targetSets - Number of working sets
+ * @param {Array|null} lastPerf - Sets from the last session of this movement
+ * @param {string} technique - Program technique string
+ * @param {number} increment - Smallest loadable weight step
+ * @returns {Array<Object>} Set state objects
+ */
+function buildLoggedSets(targetSets, lastPerf, technique, increment) {
+  return Array(targetSets).fill(null).map((_, idx) => {
+    const last = lastPerf && lastPerf[idx] ? lastPerf[idx] : null;
+    const set = {
+      setNumber: idx + 1,
+      weight: last ? last.weight : '',
+      reps: last ? last.reps : '',
+      seconds: last && last.seconds ? last.seconds : '',
+      effort: '',
+      logged: false
+    };
+
+    // Intensity techniques are performed on the last working set
+    if (idx === targetSets - 1) {
+      Object.assign(set, createTechniqueFields(technique, set.weight, last, increment));
+    }
+
+    return set;
+  });
+}
+
+/**
+ * Build a load suggestion for an exercise from its last session
+ * @param {Object} exercise - Exercise state
+ * @returns {Promise<Object|null>} Suggestion with a 'pending' status, or null
+ */
+async function buildSuggestion(exercise) {
+  // Load suggestions only make sense for weight × reps
+  if (getExerciseMode(exercise) !== DEFAULT_MODE) return null;
+
+  const last = getLastExerciseSession(exercise.name);
+  if (!last) return null;
+
+  // RIR targets prescribed for the slot the exercise filled last time
+  const lastDay = await getDay(last.week, last.dayType, getSessionProgramId(last));
+  const lastSlot = last.exercise.slot || last.exercise.name;
+  const lastPrescription = lastDay
+    ? lastDay.exercises.find(ex => ex.exercise === lastSlot)
+    : null;
+
+  const unit = getWorkoutUnit();
+  const suggestion = suggestNextLoad({
+    lastSets: last.exercise.sets.map(set => convertSetWeights(set, weight => toDisplayWeight(weight, unit))),
+    reps: exercise.reps,
+    rir: exercise.rir,
+    lastRir: lastPrescription ? lastPrescription.rir : null,
+    increment: getIncrement(exercise),
+    unitLabel: getUnitLabel(unit)
+  });
+
+  return suggestion ? { ...suggestion, status: 'pending' } : null;
+}
+
 /**
  * Render the active workout UI
  */
@@ -92,14 +323,14 @@ function renderActiveWorkout() {
   const screen = document.getElementById('workout-screen');
   if (!screen) return;
 
-  const completedCount = currentWorkout.exercises.filter(ex => ex.completed).length;
+  const completedCount = currentWorkout.exercises.filter(isExerciseDone).length;
   const totalCount = currentWorkout.exercises.length;
 
   screen.innerHTML = `
     <div class="screen-content workout-active">
       <div class="workout-header">
         <div class="workout-title">
-          <h2>Week ${currentWorkout.week} - ${currentWorkout.dayType}</h2>
+          <h2>Week ${currentWorkout.week} - ${escapeHtml(currentWorkout.dayType)}</h2>
           <div class="workout-meta">
             <div class="workout-timer" id="workout-timer">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -113,12 +344,24 @@ function renderActiveWorkout() {
             </div>
           </div>
         </div>
+        <div class="rest-timer" id="rest-timer"></div>
       </div>
 
       <div class="exercise-list" id="exercise-list">
         ${currentWorkout.exercises.map((ex, idx) => renderExerciseCard(ex, idx)).join('')}
       </div>
 
+      <div class="session-note">
+        <label for="session-note-input">Session notes</label>
+        <textarea
+          id="session-note-input"
+          class="note-input"
+          rows="2"
+          maxlength="${NOTE_MAX_LENGTH}"
+          placeholder="How did today go?"
+        >${escapeHtml(currentWorkout.note || '')}</textarea>
+      </div>
+
       <div class="workout-controls">
         <button class="btn-secondary" id="cancel-workout-btn">Cancel Workout</button>
         <button class="btn-primary" id="finish-workout-btn">Finish Workout</button>
@@ -127,9 +370,136 @@ function renderActiveWorkout() {
   `;
 
   setupEventListeners();
+  renderRestTimer();
   startTimer();
 }
 
+/**
+ * Render the rest timer bar for the current rest period
+ */
+function renderRestTimer() {
+  const container = document.getElementById('rest-timer');
+  if (!container) return;
+
+  const timer = currentWorkout && currentWorkout.restTimer;
+  if (!timer) {
+    container.className = 'rest-timer';
+    container.innerHTML = '';
+    return;
+  }
+
+  const next = findNextSet();
+  const nextText = next
+    ? `Next: ${currentWorkout.exercises[next.exerciseIndex].name} · Set ${next.setIndex + 1}`
+    : '';
+
+  container.innerHTML = `
+    <div class="rest-timer-info">
+      <div class="rest-timer-label">Rest <span>${escapeHtml(timer.rest)}</span></div>
+      <div class="rest-timer-time" id="rest-timer-time"></div>
+      <div class="rest-timer-status" id="rest-timer-status"></div>
+      ${nextText ? `<div class="rest-timer-next">${escapeHtml(nextText)}</div>` : ''}
+    </div>
+    <div class="rest-timer-actions">
+      <button class="rest-timer-btn" data-action="extend-rest">+30s</button>
+      <button class="rest-timer-btn" data-action="skip-rest">Skip</button>
+    </div>
+  `;
+
+  updateRestTimerDisplay();
+}
+
+/**
+ * Update the rest countdown and fire alerts when bounds are reached
+ */
+function updateRestTimerDisplay() {
+  const container = document.getElementById('rest-timer');
+  const timer = currentWorkout && currentWorkout.restTimer;
+  if (!container || !timer) return;
+
+  const status = getRestStatus(timer);
+
+  if (status.remaining <= 0 && !timer.endAlerted) {
+    timer.endAlerted = true;
+    playRestAlert(3);
+    saveWorkoutState();
+  }
+
+  if (status.phase === 'max' && !timer.upperAlerted) {
+    timer.upperAlerted = true;
+    playRestAlert(1);
+    saveWorkoutState();
+  }
+
+  const maxText = formatTime(timer.maxSeconds);
+  const statusText = {
+    resting: `Up to ${maxText}`,
+    ready: `Minimum rest done · up to ${maxText}`,
+    max: 'Upper bound reached · start your next set'
+  }[status.phase];
+
+  container.className = `rest-timer active phase-${status.phase}`;
+
+  const timeEl = document.getElementById('rest-timer-time');
+  const statusEl = document.getElementById('rest-timer-status');
+  if (timeEl) {
+    timeEl.textContent = status.remaining > 0
+      ? formatTime(status.remaining)
+      : `+${formatTime(-status.remaining)}`;
+  }
+  if (statusEl) {
+    statusEl.textContent = statusText;
+  }
+}
+
+/**
+ * Mark rest alerts that already passed (e.g., while the page was closed)
+ * so restoring a workout doesn't replay them
+ */
+function markElapsedRestAlerts() {
+  const timer = currentWorkout && currentWorkout.restTimer;
+  if (!timer) return;
+
+  const status = getRestStatus(timer);
+  if (status.remaining <= 0) timer.endAlerted = true;
+  if (status.phase === 'max') timer.upperAlerted = true;
+}
+
+/**
+ * Handle rest timer button clicks
+ * @param {Event} e - Click event
+ */
+function handleRestTimerClick(e) {
+  const action = e.target.dataset.action;
+  if (!currentWorkout || !currentWorkout.restTimer) return;
+
+  if (action === 'extend-rest') {
+    extendRestTimer(currentWorkout.restTimer, 30);
+    saveWorkoutState();
+    updateRestTimerDisplay();
+  } else if (action === 'skip-rest') {
+    currentWorkout.restTimer = null;
+    saveWorkoutState();
+    renderRestTimer();
+  }
+}
+
+/**
+ * Find the next set that hasn't been logged yet (skipped exercises aside)
+ * @returns {Object|null} { exerciseIndex, setIndex } or null if all are logged
+ */
+function findNextSet() {
+  for (let exIdx = 0; exIdx < currentWorkout.exercises.length; exIdx++) {
+    if (currentWorkout.exercises[exIdx].skipped) continue;
+
+    const setIdx = currentWorkout.exercises[exIdx].loggedSets.findIndex(s => !s.logged);
+    if (setIdx !== -1) {
+      return { exerciseIndex: exIdx, setIndex: setIdx };
+    }
+  }
+  return null;
+}
+
 /**
  * Render an exercise card
  * @param {Object} exercise - Exercise data
@@ -137,30 +507,64 @@ function renderActiveWorkout() {
  * @returns {string} HTML string
  */
 function renderExerciseCard(exercise, index) {
-  const lastPerf = getLastPerformance(exercise.name);
+  const unitLabel = getUnitLabel(getWorkoutUnit());
+  const mode = getExerciseMode(exercise);
+  const lastPerf = getLastSets(exercise.name, getWorkoutUnit());
   const lastTimeText = lastPerf && lastPerf[0]
-    ? `${lastPerf[0].weight} lbs × ${lastPerf[0].reps}`
+    ? formatSetEntry(lastPerf[0], getSetMode(lastPerf[0]), unitLabel)
     : null;
 
   const allSetsLogged = exercise.loggedSets.every(set => set.logged);
+  const anySetLogged = exercise.loggedSets.some(set => set.logged);
+  const recordCount = exercise.loggedSets.reduce((sum, set) => sum + (set.logged && set.records ? set.records.length : 0), 0);
+  const suggestion = mode === DEFAULT_MODE ? exercise.suggestion : null;
+  const slot = exercise.slot || exercise.name;
+  const isSubstituted = slot !== exercise.name;
+
+  // Show when sets were added or removed from the prescription
+  const setCount = exercise.loggedSets.length;
+  const prescribedSets = parseInt(exercise.sets) || setCount;
+  const targetText = setCount === prescribedSets
+    ? `${exercise.sets} × ${exercise.reps}`
+    : `${setCount} × ${exercise.reps} (prescribed ${exercise.sets})`;
+
+  // Offer the program's movement plus its substitutions, minus the current one
+  const swapOptions = [...new Set([slot, ...(exercise.substitutions || [])])]
+    .filter(name => name && name !== 'N/A' && name !== exercise.name);
+
+  // Your own note from the last time this movement was done
+  const lastNote = getLastExerciseNote(exercise.name);
 
   return `
-    <div class="exercise-card ${exercise.expanded ? 'expanded' : ''} ${exercise.completed ? 'completed' : ''}" data-exercise-index="${index}">
+    <div class="exercise-card ${exercise.expanded ? 'expanded' : ''} ${exercise.completed ? 'completed' : ''} ${exercise.skipped ? 'skipped' : ''}" data-exercise-index="${index}">
       <div class="exercise-card-header" data-action="toggle">
+        <span class="drag-handle" data-action="drag" role="button" tabindex="0" title="Drag to reorder" aria-label="Move ${escapeHtml(exercise.name)} (arrow keys)">⋮⋮</span>
         <div class="exercise-info">
           <div class="exercise-name-row">
-            <h3 class="exercise-name">${exercise.name}</h3>
+            <h3 class="exercise-name">${escapeHtml(exercise.name)}</h3>
             ${allSetsLogged ? '<div class="exercise-checkmark">✓</div>' : ''}
+            ${recordCount > 0 ? `<span class="badge badge-pr">🏆 ${recordCount} PR${recordCount > 1 ? 's' : ''}</span>` : ''}
           </div>
           <div class="exercise-badges">
             ${exercise.technique && exercise.technique !== 'N/A'
-              ? `<span class="badge badge-technique">${exercise.technique}</span>`
+              ? `<span class="badge badge-technique">${escapeHtml(exercise.technique)}</span>`
+              : ''}
+            <span class="badge badge-target">${escapeHtml(targetText)}</span>
+            ${exercise.skipped
+              ? `<span class="badge badge-skipped">Skipped${exercise.skipReason ? `: ${escapeHtml(exercise.skipReason)}` : ''}</span>`
+              : ''}
+            ${formatEffortTargets(exercise.rir, getWorkoutEffortScale())
+              ? `<span class="badge badge-rir">${formatEffortTargets(exercise.rir, getWorkoutEffortScale())}</span>`
+              : ''}
+            ${isSubstituted
+              ? `<span class="badge badge-substitute">Sub for ${escapeHtml(slot)}</span>`
               : ''}
-            <span class="badge badge-target">${exercise.sets} × ${exercise.reps}</span>
-            <span class="badge badge-rir">RIR ${exercise.rir}</span>
             ${lastTimeText
               ? `<span class="badge badge-last-time">Last: ${lastTimeText}</span>`
               : ''}
+            ${suggestion && suggestion.status !== 'dismissed'
+              ? `<span class="badge badge-suggest suggest-${suggestion.action}">${SUGGESTION_ICONS[suggestion.action]} ${suggestion.weight} ${unitLabel}</span>`
+              : ''}
           </div>
         </div>
         <svg class="expand-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -169,51 +573,210 @@ function renderExerciseCard(exercise, index) {
       </div>
 
       <div class="exercise-card-body">
+        ${exercise.skipped ? renderSkippedNotice(exercise) : ''}
+
         ${exercise.notes && exercise.notes !== 'N/A'
           ? `<div class="exercise-notes">
-              <strong>Notes:</strong> ${exercise.notes}
+              <strong>Notes:</strong> ${escapeHtml(exercise.notes)}
             </div>`
           : ''}
 
-        ${exercise.substitutions && exercise.substitutions.length > 0
+        ${lastNote
+          ? `<div class="exercise-last-note">
+              <strong>Your note (${formatNoteDate(lastNote.completedAt)}):</strong> ${escapeHtml(lastNote.text)}
+            </div>`
+          : ''}
+
+        ${swapOptions.length > 0
           ? `<div class="exercise-substitutions">
-              <strong>Substitutions:</strong>
+              <strong>${isSubstituted ? 'Switch Back or Swap:' : 'Substitutions:'}</strong>
               <div class="substitution-pills">
-                ${exercise.substitutions.map(sub => `<button class="pill-btn" data-action="substitute" data-substitution="${sub}">${sub}</button>`).join('')}
+                ${swapOptions.map(sub => `<button class="pill-btn ${sub === slot ? 'pill-original' : ''}" data-action="substitute" data-substitution="${escapeHtml(sub)}">${escapeHtml(sub)}</button>`).join('')}
               </div>
             </div>`
           : ''}
 
-        <div class="sets-logging">
-          <div class="sets-header">
-            <span>Set</span>
-            <span>Weight (lbs)</span>
-            <span>Reps</span>
-            <span></span>
+        ${suggestion && suggestion.status === 'pending' && !exercise.skipped
+          ? `<div class="suggestion-panel suggest-${suggestion.action}">
+              <div class="suggestion-text">
+                <strong>${SUGGESTION_LABELS[suggestion.action]}: ${suggestion.weight} ${unitLabel}</strong>
+                <span>${suggestion.reason}</span>
+              </div>
+              <div class="suggestion-actions">
+                <button class="btn-log" data-action="accept-suggestion">Use</button>
+                <button class="btn-edit" data-action="dismiss-suggestion">Ignore</button>
+              </div>
+            </div>`
+          : ''}
+
+        ${exercise.skipped ? '' : `
+          <div class="logging-mode">
+            <label for="logging-mode-${index}">Log as</label>
+            <select id="logging-mode-${index}" class="logging-mode-select" ${anySetLogged ? 'disabled' : ''}>
+              ${Object.entries(LOGGING_MODES).map(([key, info]) => `
+                <option value="${key}" ${key === mode ? 'selected' : ''}>${info.label}</option>
+              `).join('')}
+            </select>
           </div>
-          ${exercise.loggedSets.map((set, setIdx) => renderSetRow(set, setIdx, index)).join('')}
-        </div>
+
+          ${mode === DEFAULT_MODE ? renderWarmupSection(exercise, index) : ''}
+
+          <div class="sets-logging">
+            <div class="sets-header">
+              <span>Set</span>
+              ${mode === 'duration'
+                ? '<span>Seconds</span><span></span>'
+                : `<span>${LOGGING_MODES[mode].loadLabel} (${unitLabel})</span><span>Reps</span>`}
+              <span></span>
+            </div>
+            ${exercise.loggedSets.map((set, setIdx) => renderSetRow(set, setIdx, index, exercise)).join('')}
+          </div>
+
+          <div class="exercise-actions">
+            <button class="exercise-action-btn" data-action="add-set">+ Add Set</button>
+            <button class="exercise-action-btn" data-action="remove-set" ${canRemoveSet(exercise) ? '' : 'disabled'}>− Remove Set</button>
+            <button class="exercise-action-btn" data-action="skip-exercise">Skip Exercise</button>
+          </div>
+        `}
+
+        <textarea
+          class="note-input exercise-note-input"
+          rows="2"
+          maxlength="${NOTE_MAX_LENGTH}"
+          placeholder="Your note (e.g. seat at notch 4)"
+          aria-label="Your note for ${escapeHtml(exercise.name)}"
+        >${escapeHtml(exercise.note || '')}</textarea>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the notice shown on a skipped exercise
+ * @param {Object} exercise - Exercise state
+ * @returns {string} HTML string
+ */
+function renderSkippedNotice(exercise) {
+  const loggedCount = exercise.loggedSets.filter(s => s.logged).length;
+
+  return `
+    <div class="skip-notice">
+      <div class="skip-notice-text">
+        <strong>Skipped${loggedCount > 0 ? ` after ${loggedCount} set(s)` : ''}</strong>
+        <span>${exercise.skipReason ? escapeHtml(exercise.skipReason) : 'No reason given'}</span>
       </div>
+      <button class="btn-edit" data-action="unskip-exercise">Undo Skip</button>
     </div>
   `;
 }
 
+/**
+ * Render the warm-up ramp for an exercise
+ * @param {Object} exercise - Exercise data
+ * @param {number} index - Exercise index
+ * @returns {string} HTML string
+ */
+function renderWarmupSection(exercise, index) {
+  const range = parseWarmupRange(exercise.warmUp);
+  if (range.max === 0) return '';
+
+  const warmups = exercise.warmupSets || [];
+  const rangeText = range.min === range.max ? `${range.max}` : `${range.min}-${range.max}`;
+
+  return `
+    <div class="warmup-section" data-exercise-index="${index}">
+      <div class="warmup-header">
+        <strong>Warm-up</strong>
+        <span>${rangeText} sets${range.min === 0 ? ' (optional)' : ''}</span>
+      </div>
+      ${warmups.length === 0
+        ? '<div class="warmup-empty">Enter a working weight to build your warm-up ramp.</div>'
+        : warmups.map((set, setIdx) => `
+          <div class="warmup-row ${set.logged ? 'logged' : ''}" data-exercise-index="${index}" data-warmup-index="${setIdx}">
+            <span class="set-number">W${set.setNumber}</span>
+            <span class="warmup-percent">${set.percent}%</span>
+            <span class="set-value">${set.weight} ${getUnitLabel(getWorkoutUnit())} × ${set.reps}</span>
+            <button class="${set.logged ? 'btn-edit' : 'btn-log'}" data-action="${set.logged ? 'undo-warmup' : 'log-warmup'}">
+              ${set.logged ? 'Undo' : 'Done'}
+            </button>
+          </div>
+        `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Re-render just the warm-up section of an exercise card
+ * (keeps focus in the set inputs while typing)
+ * @param {number} exerciseIndex - Exercise index
+ */
+function updateWarmupSection(exerciseIndex) {
+  const section = document.querySelector(`.warmup-section[data-exercise-index="${exerciseIndex}"]`);
+  if (!section) return;
+
+  section.outerHTML = renderWarmupSection(currentWorkout.exercises[exerciseIndex], exerciseIndex);
+}
+
 /**
  * Render a set logging row
  * @param {Object} set - Set data
  * @param {number} setIndex - Set index
  * @param {number} exerciseIndex - Exercise index
+ * @param {Object} exercise - Exercise state
  * @returns {string} HTML string
  */
-function renderSetRow(set, setIndex, exerciseIndex) {
+function renderSetRow(set, setIndex, exerciseIndex, exercise) {
+  const mode = getExerciseMode(exercise);
+
   if (set.logged) {
+    const techniqueSummary = describeTechniqueFields(set);
+    const loadText = {
+      weighted: set.weight,
+      bodyweight: parseFloat(set.weight) > 0 ? `+${set.weight}` : 'BW',
+      assisted: `−${set.weight || 0}`,
+      duration: `${set.seconds} s`
+    }[mode];
     return `
       <div class="set-row logged" data-exercise-index="${exerciseIndex}" data-set-index="${setIndex}">
         <span class="set-number">${set.setNumber}</span>
-        <span class="set-value">${set.weight}</span>
-        <span class="set-value">${set.reps}</span>
+        <span class="set-value">${loadText}</span>
+        <span class="set-value">${mode === 'duration' ? '' : set.reps}</span>
         <button class="btn-edit" data-action="edit-set">Edit</button>
       </div>
+      ${techniqueSummary
+        ? `<div class="technique-summary">${techniqueSummary}</div>`
+        : ''}
+      ${mode !== 'duration' ? renderEffortSummary(set, setIndex, exercise) : ''}
+      ${set.records && set.records.length > 0
+        ? `<div class="pr-alert" role="status">
+            <strong>🏆 New PR!</strong>
+            ${set.records.map(record => `<div class="pr-alert-item">${describeRecord(record, getWorkoutUnit())}</div>`).join('')}
+          </div>`
+        : ''}
+    `;
+  }
+
+  if (mode === 'duration') {
+    return `
+      <div class="set-row" data-exercise-index="${exerciseIndex}" data-set-index="${setIndex}">
+        <span class="set-number">${set.setNumber}</span>
+        <div class="input-group">
+          <button class="input-btn" data-action="decrement-seconds">−</button>
+          <input
+            type="number"
+            class="set-input seconds-input"
+            value="${set.seconds}"
+            placeholder="0"
+            inputmode="numeric"
+            step="${SECONDS_STEP}"
+            data-field="seconds"
+          />
+          <button class="input-btn" data-action="increment-seconds">+</button>
+        </div>
+        <span></span>
+        <button class="btn-log" data-action="log-set">Log</button>
+      </div>
+      ${renderTechniqueBlock(set, setIndex, exerciseIndex)}
     `;
   }
 
@@ -228,7 +791,7 @@ function renderSetRow(set, setIndex, exerciseIndex) {
           value="${set.weight}"
           placeholder="0"
           inputmode="decimal"
-          step="5"
+          step="${getIncrement(exercise)}"
           data-field="weight"
         />
         <button class="input-btn" data-action="increment-weight">+</button>
@@ -248,6 +811,162 @@ function renderSetRow(set, setIndex, exerciseIndex) {
       </div>
       <button class="btn-log" data-action="log-set">Log</button>
     </div>
+    ${renderEffortInput(set, setIndex, exerciseIndex, exercise)}
+    ${mode === DEFAULT_MODE && getEquipmentType(exercise.name) === 'barbell'
+      ? `<div class="plate-breakdown" data-exercise-index="${exerciseIndex}" data-set-index="${setIndex}">${renderPlateBreakdown(set.weight, getWorkoutUnit())}</div>`
+      : ''}
+    ${renderTechniqueBlock(set, setIndex, exerciseIndex)}
+  `;
+}
+
+/**
+ * Render the effort input of a set with its prescribed target
+ * @param {Object} set - Set state
+ * @param {number} setIndex - Set index
+ * @param {number} exerciseIndex - Exercise index
+ * @param {Object} exercise - Exercise state
+ * @returns {string} HTML string
+ */
+function renderEffortInput(set, setIndex, exerciseIndex, exercise) {
+  const scale = getWorkoutEffortScale();
+  const { label, min, max } = EFFORT_SCALES[scale];
+  const target = getTargetRir(exercise.rir, setIndex);
+
+  return `
+    <div class="set-effort" data-exercise-index="${exerciseIndex}" data-set-index="${setIndex}">
+      <label class="effort-label">
+        ${label}
+        <input
+          type="number"
+          class="set-input effort-input"
+          value="${set.effort ?? ''}"
+          placeholder="–"
+          inputmode="decimal"
+          min="${min}"
+          max="${max}"
+          step="0.5"
+          data-field="effort"
+        />
+      </label>
+      ${target !== null ? `<span class="effort-target">Target ${label} ${fromRir(target, scale)}</span>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render the effort of a logged set next to its target
+ * @param {Object} set - Set state
+ * @param {number} setIndex - Set index
+ * @param {Object} exercise - Exercise state
+ * @returns {string} HTML string, or '' if no effort was entered
+ */
+function renderEffortSummary(set, setIndex, exercise) {
+  if (set.effort === '' || set.effort === undefined) return '';
+
+  const scale = getWorkoutEffortScale();
+  const { label } = EFFORT_SCALES[scale];
+  const target = getTargetRir(exercise.rir, setIndex);
+  const actual = parseFloat(set.effort);
+  if (target === null) {
+    return `<div class="effort-summary">${label} ${actual}</div>`;
+  }
+
+  // Positive means more reps were left in the tank than prescribed
+  const deviation = toRir(actual, scale) - target;
+  const status = deviation > 0 ? 'easy' : deviation < 0 ? 'hard' : 'on';
+  const note = {
+    easy: `${deviation} more in reserve`,
+    hard: `${-deviation} closer to failure`,
+    on: 'on target'
+  }[status];
+
+  return `
+    <div class="effort-summary effort-${status}">
+      ${label} ${actual} · target ${fromRir(target, scale)} (${note})
+    </div>
+  `;
+}
+
+/**
+ * Refresh the plate breakdown of a set without re-rendering
+ * (keeps focus in the weight input while typing)
+ * @param {number} exerciseIndex - Exercise index
+ * @param {number} setIndex - Set index
+ */
+function updatePlateBreakdown(exerciseIndex, setIndex) {
+  const breakdown = document.querySelector(
+    `.plate-breakdown[data-exercise-index="${exerciseIndex}"][data-set-index="${setIndex}"]`
+  );
+  if (!breakdown) return;
+
+  const set = currentWorkout.exercises[exerciseIndex].loggedSets[setIndex];
+  breakdown.innerHTML = renderPlateBreakdown(set.weight, getWorkoutUnit());
+}
+
+/**
+ * Render the extra inputs an intensity technique needs for a set
+ * @param {Object} set - Set data
+ * @param {number} setIndex - Set index
+ * @param {number} exerciseIndex - Exercise index
+ * @returns {string} HTML string ('' if the set has no technique)
+ */
+function renderTechniqueBlock(set, setIndex, exerciseIndex) {
+  if (!set.technique) return '';
+
+  const numberInput = (field, value, index = '', placeholder = '0') => `
+    <input
+      type="number"
+      class="set-input technique-input"
+      value="${value}"
+      placeholder="${placeholder}"
+      inputmode="numeric"
+      data-field="${field}"
+      ${index !== '' ? `data-index="${index}"` : ''}
+    />
+  `;
+
+  let rows = '';
+
+  if (set.technique === 'drop') {
+    rows = set.drops.map((drop, idx) => `
+      <div class="technique-row">
+        <span class="technique-row-label">Drop ${idx + 1}</span>
+        ${numberInput('drop-weight', drop.weight, idx)}
+        <span class="technique-times">×</span>
+        ${numberInput('drop-reps', drop.reps, idx, 'reps')}
+      </div>
+    `).join('');
+  } else if (set.technique === 'myo') {
+    rows = `
+      <div class="technique-row">
+        <span class="technique-row-label">Mini-sets</span>
+        <div class="technique-mini-sets">
+          ${set.miniSets.map((mini, idx) => numberInput('mini-reps', mini.reps, idx, 'reps')).join('')}
+        </div>
+        <button class="input-btn" data-action="add-mini-set" aria-label="Add mini-set">+</button>
+      </div>
+    `;
+  } else if (set.technique === 'partials') {
+    rows = `
+      <div class="technique-row">
+        <span class="technique-row-label">Partial reps</span>
+        ${numberInput('partialReps', set.partialReps)}
+      </div>
+    `;
+  } else if (set.technique === 'hold') {
+    rows = `
+      <div class="technique-row">
+        <span class="technique-row-label">Hold (sec)</span>
+        ${numberInput('holdSeconds', set.holdSeconds)}
+      </div>
+    `;
+  }
+
+  return `
+    <div class="technique-block" data-exercise-index="${exerciseIndex}" data-set-index="${setIndex}">
+      <div class="technique-block-title">${TECHNIQUE_LABELS[set.technique]}</div>
+      ${rows}
+    </div>
   `;
 }
 
@@ -258,11 +977,26 @@ function setupEventListeners() {
   const exerciseList = document.getElementById('exercise-list');
   const finishBtn = document.getElementById('finish-workout-btn');
   const cancelBtn = document.getElementById('cancel-workout-btn');
+  const restTimer = document.getElementById('rest-timer');
+  const sessionNote = document.getElementById('session-note-input');
 
   // Exercise card interactions
   if (exerciseList) {
     exerciseList.addEventListener('click', handleExerciseListClick);
     exerciseList.addEventListener('input', handleInputChange);
+    exerciseList.addEventListener('pointerdown', handleDragStart);
+    exerciseList.addEventListener('keydown', handleReorderKey);
+  }
+
+  if (restTimer) {
+    restTimer.addEventListener('click', handleRestTimerClick);
+  }
+
+  if (sessionNote) {
+    sessionNote.addEventListener('input', (e) => {
+      currentWorkout.note = e.target.value;
+      saveWorkoutState();
+    });
   }
 
   // Workout controls
@@ -284,8 +1018,13 @@ function handleExerciseListClick(e) {
   if (!action) return;
 
   const setRow = e.target.closest('.set-row');
+  const warmupRow = e.target.closest('.warmup-row');
+  const techniqueBlock = e.target.closest('.technique-block');
   const card = e.target.closest('.exercise-card');
 
+  // The drag handle sits in the header but shouldn't expand the card
+  if (action === 'drag') return;
+
   if (action === 'toggle' || e.target.closest('[data-action="toggle"]')) {
     const exerciseIndex = parseInt(card.dataset.exerciseIndex);
     toggleExercise(exerciseIndex);
@@ -298,16 +1037,42 @@ function handleExerciseListClick(e) {
     const setIndex = parseInt(setRow.dataset.setIndex);
     editSet(exerciseIndex, setIndex);
   } else if (action === 'increment-weight' && setRow) {
-    adjustWeight(setRow, 5);
+    adjustWeight(setRow, 1);
   } else if (action === 'decrement-weight' && setRow) {
-    adjustWeight(setRow, -5);
+    adjustWeight(setRow, -1);
+  } else if (action === 'increment-seconds' && setRow) {
+    adjustSeconds(setRow, SECONDS_STEP);
+  } else if (action === 'decrement-seconds' && setRow) {
+    adjustSeconds(setRow, -SECONDS_STEP);
   } else if (action === 'increment-reps' && setRow) {
     adjustReps(setRow, 1);
   } else if (action === 'decrement-reps' && setRow) {
     adjustReps(setRow, -1);
-  } else if (action === 'substitute') {
-    const substitution = e.target.dataset.substitution;
-    alert(`Substitution: ${substitution}\n\nThis would replace the exercise with the selected substitution. (Feature not implemented in this version)`);
+  } else if (action === 'add-mini-set' && techniqueBlock) {
+    const exerciseIndex = parseInt(techniqueBlock.dataset.exerciseIndex);
+    const setIndex = parseInt(techniqueBlock.dataset.setIndex);
+    if (addMiniSet(currentWorkout.exercises[exerciseIndex].loggedSets[setIndex])) {
+      saveWorkoutState();
+      renderActiveWorkout();
+    }
+  } else if ((action === 'log-warmup' || action === 'undo-warmup') && warmupRow) {
+    const exerciseIndex = parseInt(warmupRow.dataset.exerciseIndex);
+    const warmupIndex = parseInt(warmupRow.dataset.warmupIndex);
+    toggleWarmup(exerciseIndex, warmupIndex, action === 'log-warmup');
+  } else if ((action === 'accept-suggestion' || action === 'dismiss-suggestion') && card) {
+    const exerciseIndex = parseInt(card.dataset.exerciseIndex);
+    resolveSuggestion(exerciseIndex, action === 'accept-suggestion');
+  } else if (action === 'substitute' && card) {
+    const exerciseIndex = parseInt(card.dataset.exerciseIndex);
+    substituteExercise(exerciseIndex, e.target.dataset.substitution);
+  } else if (action === 'add-set' && card) {
+    addSet(parseInt(card.dataset.exerciseIndex));
+  } else if (action === 'remove-set' && card) {
+    removeSet(parseInt(card.dataset.exerciseIndex));
+  } else if (action === 'skip-exercise' && card) {
+    skipExercise(parseInt(card.dataset.exerciseIndex));
+  } else if (action === 'unskip-exercise' && card) {
+    unskipExercise(parseInt(card.dataset.exerciseIndex));
   }
 }
 
@@ -316,9 +1081,27 @@ function handleExerciseListClick(e) {
  * @param {Event} e - Input event
  */
 function handleInputChange(e) {
+  if (e.target.classList.contains('logging-mode-select')) {
+    const card = e.target.closest('.exercise-card');
+    changeLoggingMode(parseInt(card.dataset.exerciseIndex), e.target.value);
+    return;
+  }
+
+  if (e.target.classList.contains('technique-input')) {
+    handleTechniqueInput(e.target);
+    return;
+  }
+
+  if (e.target.classList.contains('exercise-note-input')) {
+    const card = e.target.closest('.exercise-card');
+    currentWorkout.exercises[parseInt(card.dataset.exerciseIndex)].note = e.target.value;
+    saveWorkoutState();
+    return;
+  }
+
   if (!e.target.classList.contains('set-input')) return;
 
-  const setRow = e.target.closest('.set-row');
+  const setRow = e.target.closest('.set-row, .set-effort');
   if (!setRow) return;
 
   const exerciseIndex = parseInt(setRow.dataset.exerciseIndex);
@@ -326,25 +1109,137 @@ function handleInputChange(e) {
   const field = e.target.dataset.field;
   const value = e.target.value;
 
-  if (currentWorkout.exercises[exerciseIndex]) {
-    currentWorkout.exercises[exerciseIndex].loggedSets[setIndex][field] = value;
+  const exercise = currentWorkout.exercises[exerciseIndex];
+  if (exercise) {
+    const set = exercise.loggedSets[setIndex];
+    set[field] = value;
+
+    if (field === 'weight') {
+      updatePlateBreakdown(exerciseIndex, setIndex);
+    }
+
+    // Drop set weights follow the top set weight
+    if (field === 'weight' && refreshDropWeights(set, getIncrement(exercise))) {
+      updateDropWeightInputs(exerciseIndex, setIndex);
+    }
+
+    // The first working set sets today's planned weight for the warm-up ramp
+    if (field === 'weight' && setIndex === 0) {
+      exercise.warmupSets = refreshWarmupSets(
+        exercise.warmupSets,
+        value,
+        exercise.warmUp,
+        getIncrement(exercise),
+        getWarmupBar(exercise.name, getExerciseMode(exercise))
+      );
+      updateWarmupSection(exerciseIndex);
+    }
+
     saveWorkoutState();
   }
 }
 
 /**
- * Adjust weight value
+ * Handle changes to technique inputs (drops, mini-sets, partials, holds)
+ * @param {HTMLInputElement} input - Changed input
+ */
+function handleTechniqueInput(input) {
+  const block = input.closest('.technique-block');
+  if (!block) return;
+
+  const exerciseIndex = parseInt(block.dataset.exerciseIndex);
+  const setIndex = parseInt(block.dataset.setIndex);
+  const set = currentWorkout.exercises[exerciseIndex]?.loggedSets[setIndex];
+  if (!set) return;
+
+  const index = parseInt(input.dataset.index);
+  const value = input.value;
+
+  switch (input.dataset.field) {
+    case 'drop-weight':
+      set.drops[index].weight = value;
+      set.dropsEdited = true;
+      break;
+    case 'drop-reps':
+      set.drops[index].reps = value;
+      break;
+    case 'mini-reps':
+      set.miniSets[index].reps = value;
+      break;
+    case 'partialReps':
+    case 'holdSeconds':
+      set[input.dataset.field] = value;
+      break;
+    default:
+      return;
+  }
+
+  saveWorkoutState();
+}
+
+/**
+ * Write recalculated drop weights into the drop inputs without re-rendering
+ * @param {number} exerciseIndex - Exercise index
+ * @param {number} setIndex - Set index
+ */
+function updateDropWeightInputs(exerciseIndex, setIndex) {
+  const set = currentWorkout.exercises[exerciseIndex].loggedSets[setIndex];
+  const block = document.querySelector(
+    `.technique-block[data-exercise-index="${exerciseIndex}"][data-set-index="${setIndex}"]`
+  );
+  if (!block) return;
+
+  block.querySelectorAll('[data-field="drop-weight"]').forEach(input => {
+    input.value = set.drops[parseInt(input.dataset.index)].weight;
+  });
+}
+
+/**
+ * Step a weight up or down by the exercise's increment, landing on a
+ * loadable weight
  * @param {HTMLElement} setRow - Set row element
- * @param {number} delta - Amount to adjust
+ * @param {number} direction - 1 to add an increment, -1 to take one off
  */
-function adjustWeight(setRow, delta) {
+function adjustWeight(setRow, direction) {
+  const exercise = currentWorkout.exercises[parseInt(setRow.dataset.exerciseIndex)];
+  const increment = getIncrement(exercise);
   const input = setRow.querySelector('.weight-input');
   const currentValue = parseFloat(input.value) || 0;
-  const newValue = Math.max(0, currentValue + delta);
+  const newValue = Math.max(0, snapToIncrement(currentValue + direction * increment, increment));
   input.value = newValue;
   input.dispatchEvent(new Event('input', { bubbles: true }));
 }
 
+/**
+ * Adjust a timed set's seconds
+ * @param {HTMLElement} setRow - Set row element
+ * @param {number} delta - Seconds to add or remove
+ */
+function adjustSeconds(setRow, delta) {
+  const input = setRow.querySelector('.seconds-input');
+  const currentValue = parseInt(input.value) || 0;
+  input.value = Math.max(0, currentValue + delta);
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Switch how an exercise's sets are logged (before any are logged)
+ * The choice is remembered for the exercise in future workouts.
+ * @param {number} exerciseIndex - Exercise index
+ * @param {string} mode - Key of LOGGING_MODES
+ */
+async function changeLoggingMode(exerciseIndex, mode) {
+  const exercise = currentWorkout.exercises[exerciseIndex];
+  if (!exercise || !LOGGING_MODES[mode] || exercise.loggedSets.some(s => s.logged)) return;
+
+  exercise.mode = mode;
+  exercise.suggestion = await buildSuggestion(exercise);
+  setLoggingMode(exercise.name, mode);
+
+  saveWorkoutState();
+  renderActiveWorkout();
+}
+
 /**
  * Adjust reps value
  * @param {HTMLElement} setRow - Set row element
@@ -358,6 +1253,322 @@ function adjustReps(setRow, delta) {
   input.dispatchEvent(new Event('input', { bubbles: true }));
 }
 
+/**
+ * Swap the movement for an exercise slot in this session
+ * Keeps the prescribed sets/reps/RIR and prefills weights from the
+ * substitute's own history.
+ * @param {number} exerciseIndex - Exercise index
+ * @param {string} substitution - Name of the movement to switch to
+ */
+async function substituteExercise(exerciseIndex, substitution) {
+  const exercise = currentWorkout.exercises[exerciseIndex];
+  if (!exercise || !substitution || substitution === exercise.name) return;
+
+  const loggedCount = exercise.loggedSets.filter(s => s.logged).length;
+  if (loggedCount > 0) {
+    const confirm = window.confirm(
+      `Switch to ${substitution}?\n\n` +
+      `The ${loggedCount} set(s) already logged for ${exercise.name} will be cleared.`
+    );
+    if (!confirm) return;
+  }
+
+  const lastPerf = getLastSets(substitution, getWorkoutUnit());
+
+  exercise.slot = exercise.slot || exercise.name;
+  exercise.name = substitution;
+  exercise.mode = getLoggingMode(substitution, exercise.reps);
+  exercise.completed = false;
+  exercise.skipped = false;
+  exercise.skipReason = '';
+
+  const increment = getIncrement(exercise);
+  exercise.loggedSets = buildLoggedSets(exercise.loggedSets.length, lastPerf, exercise.technique, increment);
+  exercise.warmupSets = buildWarmupSets(
+    exercise.loggedSets[0]?.weight,
+    exercise.warmUp,
+    increment,
+    getWarmupBar(exercise.name, getExerciseMode(exercise))
+  );
+  exercise.suggestion = await buildSuggestion(exercise);
+
+  saveWorkoutState();
+  renderActiveWorkout();
+}
+
+/**
+ * Check whether an exercise has a set that can be removed
+ * (the last set not yet logged, as long as one set stays)
+ * @param {Object} exercise - Exercise state
+ * @returns {boolean} True if a set can be removed
+ */
+function canRemoveSet(exercise) {
+  return exercise.loggedSets.length > 1 && exercise.loggedSets.some(s => !s.logged);
+}
+
+/**
+ * Renumber an exercise's sets and recheck whether it is complete
+ * @param {Object} exercise - Exercise state
+ */
+function refreshSetNumbers(exercise) {
+  exercise.loggedSets.forEach((set, idx) => {
+    set.setNumber = idx + 1;
+  });
+  exercise.completed = exercise.loggedSets.every(s => s.logged);
+}
+
+/**
+ * Add a set to an exercise (e.g. an extra back-off set)
+ * The new set starts from the previous set's numbers, without its technique.
+ * @param {number} exerciseIndex - Exercise index
+ */
+function addSet(exerciseIndex) {
+  const exercise = currentWorkout.exercises[exerciseIndex];
+  if (!exercise) return;
+
+  const previous = exercise.loggedSets[exercise.loggedSets.length - 1];
+  exercise.loggedSets.push({
+    setNumber: exercise.loggedSets.length + 1,
+    weight: previous ? previous.weight : '',
+    reps: previous ? previous.reps : '',
+    seconds: previous ? previous.seconds : '',
+    effort: '',
+    logged: false
+  });
+  refreshSetNumbers(exercise);
+
+  saveWorkoutState();
+  renderActiveWorkout();
+}
+
+/**
+ * Remove the last set of an exercise that hasn't been logged
+ * @param {number} exerciseIndex - Exercise index
+ */
+function removeSet(exerciseIndex) {
+  const exercise = currentWorkout.exercises[exerciseIndex];
+  if (!exercise || !canRemoveSet(exercise)) return;
+
+  const setIndex = exercise.loggedSets.map(s => s.logged).lastIndexOf(false);
+  exercise.loggedSets.splice(setIndex, 1);
+  refreshSetNumbers(exercise);
+
+  // Nothing left to rest for if that was the last set of the workout
+  if (!findNextSet()) {
+    currentWorkout.restTimer = null;
+  }
+
+  saveWorkoutState();
+  renderActiveWorkout();
+}
+
+/**
+ * Skip the rest of an exercise, noting why
+ * Sets already logged are kept in the saved session.
+ * @param {number} exerciseIndex - Exercise index
+ */
+function skipExercise(exerciseIndex) {
+  const exercise = currentWorkout.exercises[exerciseIndex];
+  if (!exercise) return;
+
+  const reason = window.prompt(
+    `Skip ${exercise.name}?\n\nReason (optional), e.g. "machine taken" or "elbow pain":`,
+    ''
+  );
+  if (reason === null) return;
+
+  exercise.skipped = true;
+  exercise.skipReason = reason.trim();
+  exercise.expanded = false;
+
+  if (!findNextSet()) {
+    currentWorkout.restTimer = null;
+  }
+
+  saveWorkoutState();
+  renderActiveWorkout();
+}
+
+/**
+ * Bring a skipped exercise back into the workout
+ * @param {number} exerciseIndex - Exercise index
+ */
+function unskipExercise(exerciseIndex) {
+  const exercise = currentWorkout.exercises[exerciseIndex];
+  if (!exercise) return;
+
+  exercise.skipped = false;
+  exercise.skipReason = '';
+  exercise.expanded = true;
+
+  saveWorkoutState();
+  renderActiveWorkout();
+}
+
+/**
+ * Put the exercises in a new order
+ * @param {Array<number>} order - Current exercise indexes, in their new order
+ */
+function reorderExercises(order) {
+  const exercises = order.map(idx => currentWorkout.exercises[idx]);
+  if (exercises.length !== currentWorkout.exercises.length || exercises.some(ex => !ex)) return;
+
+  currentWorkout.exercises = exercises;
+
+  // Keep the rest timer pointing at the exercise it started from
+  const timer = currentWorkout.restTimer;
+  if (timer && Number.isInteger(timer.exerciseIndex)) {
+    timer.exerciseIndex = order.indexOf(timer.exerciseIndex);
+  }
+
+  saveWorkoutState();
+  renderActiveWorkout();
+}
+
+/**
+ * Move one exercise to a new position
+ * @param {number} from - Current exercise index
+ * @param {number} to - Index the exercise should end up at
+ */
+function moveExercise(from, to) {
+  if (to === from || to < 0 || to >= currentWorkout.exercises.length) return;
+
+  const order = currentWorkout.exercises.map((_, idx) => idx);
+  order.splice(from, 1);
+  order.splice(to, 0, from);
+  reorderExercises(order);
+}
+
+/**
+ * Move an exercise with the arrow keys while its drag handle has focus
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleReorderKey(e) {
+  if (!e.target.classList.contains('drag-handle')) return;
+  if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+
+  e.preventDefault();
+  const from = parseInt(e.target.closest('.exercise-card').dataset.exerciseIndex);
+  const to = Math.min(Math.max(from + (e.key === 'ArrowUp' ? -1 : 1), 0), currentWorkout.exercises.length - 1);
+  moveExercise(from, to);
+
+  // The list was re-rendered; keep focus on the moved card's handle
+  const handle = document.querySelector(`.exercise-card[data-exercise-index="${to}"] .drag-handle`);
+  if (handle) handle.focus();
+}
+
+/**
+ * Start dragging an exercise card by its handle
+ * Cards aren't moved while dragging; the drop position is marked on the
+ * card under the pointer and the exercises are reordered on release.
+ * @param {PointerEvent} e - Pointerdown event
+ */
+function handleDragStart(e) {
+  const handle = e.target.closest('.drag-handle');
+  if (!handle || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+  e.preventDefault();
+  const card = handle.closest('.exercise-card');
+  const drag = {
+    pointerId: e.pointerId,
+    from: parseInt(card.dataset.exerciseIndex),
+    to: null
+  };
+  card.classList.add('dragging');
+
+  const clearMarkers = () => {
+    document.querySelectorAll('.exercise-card.drop-before, .exercise-card.drop-after').forEach(el => {
+      el.classList.remove('drop-before', 'drop-after');
+    });
+  };
+
+  const onMove = (moveEvent) => {
+    if (moveEvent.pointerId !== drag.pointerId) return;
+
+    const target = document.elementFromPoint(moveEvent.clientX, moveEvent.clientY)?.closest('.exercise-card');
+    clearMarkers();
+    if (!target || target === card) {
+      drag.to = null;
+      return;
+    }
+
+    const rect = target.getBoundingClientRect();
+    const after = moveEvent.clientY > rect.top + rect.height / 2;
+    target.classList.add(after ? 'drop-after' : 'drop-before');
+
+    // Index in the list once the dragged card is taken out
+    const targetIndex = parseInt(target.dataset.exerciseIndex);
+    const insertAt = targetIndex + (after ? 1 : 0);
+    drag.to = insertAt > drag.from ? insertAt - 1 : insertAt;
+  };
+
+  const onEnd = (endEvent) => {
+    if (endEvent.pointerId !== drag.pointerId) return;
+
+    document.removeEventListener('pointermove', onMove);
+    document.removeEventListener('pointerup', onEnd);
+    document.removeEventListener('pointercancel', onEnd);
+    card.classList.remove('dragging');
+    clearMarkers();
+
+    if (endEvent.type === 'pointerup' && drag.to !== null) {
+      moveExercise(drag.from, drag.to);
+    }
+  };
+
+  document.addEventListener('pointermove', onMove);
+  document.addEventListener('pointerup', onEnd);
+  document.addEventListener('pointercancel', onEnd);
+}
+
+/**
+ * Accept or dismiss the load suggestion for an exercise
+ * Accepting fills the suggested weight into every set not yet logged.
+ * @param {number} exerciseIndex - Exercise index
+ * @param {boolean} accept - True to accept, false to dismiss
+ */
+function resolveSuggestion(exerciseIndex, accept) {
+  const exercise = currentWorkout.exercises[exerciseIndex];
+  if (!exercise || !exercise.suggestion) return;
+
+  if (accept) {
+    const increment = getIncrement(exercise);
+    exercise.loggedSets.forEach(set => {
+      if (!set.logged) {
+        set.weight = exercise.suggestion.weight;
+        refreshDropWeights(set, increment);
+      }
+    });
+    exercise.warmupSets = refreshWarmupSets(
+      exercise.warmupSets,
+      exercise.loggedSets[0]?.weight,
+      exercise.warmUp,
+      increment,
+      getWarmupBar(exercise.name, getExerciseMode(exercise))
+    );
+  }
+
+  exercise.suggestion.status = accept ? 'accepted' : 'dismissed';
+  saveWorkoutState();
+  renderActiveWorkout();
+}
+
+/**
+ * Mark a warm-up set as done (or undo it)
+ * @param {number} exerciseIndex - Exercise index
+ * @param {number} warmupIndex - Warm-up set index
+ * @param {boolean} logged - Whether the warm-up was done
+ */
+function toggleWarmup(exerciseIndex, warmupIndex, logged) {
+  const exercise = currentWorkout.exercises[exerciseIndex];
+  const warmup = exercise && exercise.warmupSets && exercise.warmupSets[warmupIndex];
+  if (!warmup) return;
+
+  warmup.logged = logged;
+  saveWorkoutState();
+  updateWarmupSection(exerciseIndex);
+}
+
 /**
  * Toggle exercise expansion
  * @param {number} index - Exercise index
@@ -378,24 +1589,98 @@ function logSet(exerciseIndex, setIndex) {
   const set = exercise.loggedSets[setIndex];
 
   // Validate inputs
-  if (!set.weight || !set.reps) {
-    alert('Please enter both weight and reps');
+  const entryError = validateSetEntry(set, getExerciseMode(exercise));
+  if (entryError) {
+    alert(entryError);
+    return;
+  }
+
+  const techniqueError = validateTechniqueFields(set);
+  if (techniqueError) {
+    alert(techniqueError);
+    return;
+  }
+
+  const effortError = getExerciseMode(exercise) === 'duration'
+    ? null
+    : validateEffort(set.effort, getWorkoutEffortScale());
+  if (effortError) {
+    alert(effortError);
     return;
   }
 
   // Mark as logged
   set.logged = true;
 
+  // Celebrate any personal records the set beat
+  set.records = findNewRecords(exercise, setIndex);
+  if (set.records.length > 0 && navigator.vibrate) {
+    navigator.vibrate(RECORD_VIBRATION);
+  }
+
   // Check if all sets are logged
   const allLogged = exercise.loggedSets.every(s => s.logged);
   if (allLogged) {
     exercise.completed = true;
   }
 
+  // Start resting for the prescribed interval if there's more to do.
+  // This click is a user gesture, so it's our chance to unlock audio.
+  primeAlertSound();
+  currentWorkout.restTimer = findNextSet()
+    ? createRestTimer(exercise.rest, { exerciseIndex, setIndex })
+    : null;
+
   saveWorkoutState();
   renderActiveWorkout();
 }
 
+/**
+ * Convert a working set to the saved shape (weights in the canonical unit,
+ * effort as RIR)
+ * @param {Object} exercise - Exercise state
+ * @param {Object} set - Set state
+ * @returns {Object} Saved set
+ */
+function serializeWorkingSet(exercise, set) {
+  const mode = getExerciseMode(exercise);
+  return convertSetWeights(
+    {
+      ...serializeSetEntry(set, mode),
+      ...serializeTechniqueFields(set),
+      ...(mode === 'duration'
+        ? {}
+        : serializeEffort(set.effort, getWorkoutEffortScale(), getTargetRir(exercise.rir, set.setNumber - 1)))
+    },
+    weight => toCanonicalWeight(weight, getWorkoutUnit())
+  );
+}
+
+/**
+ * Find the personal records a just-logged set beat
+ * @param {Object} exercise - Exercise state
+ * @param {number} setIndex - Index of the logged set
+ * @returns {Array<Object>} Records (see records.js), weights in the canonical unit
+ */
+function findNewRecords(exercise, setIndex) {
+  if (getExerciseMode(exercise) !== DEFAULT_MODE) return [];
+
+  try {
+    const earlierSets = exercise.loggedSets
+      .filter((set, idx) => set.logged && idx !== setIndex)
+      .map(set => serializeWorkingSet(exercise, set));
+    return detectSetRecords(
+      exercise.name,
+      earlierSets,
+      serializeWorkingSet(exercise, exercise.loggedSets[setIndex]),
+      loadFormulaPreference()
+    );
+  } catch (error) {
+    console.error('Failed to check for personal records:', error);
+    return [];
+  }
+}
+
 /**
  * Edit a logged set
  * @param {number} exerciseIndex - Exercise index
@@ -406,6 +1691,7 @@ function editSet(exerciseIndex, setIndex) {
   const set = exercise.loggedSets[setIndex];
 
   set.logged = false;
+  delete set.records;
   exercise.completed = false;
 
   saveWorkoutState();
@@ -421,7 +1707,9 @@ async function finishWorkout() {
   const completedCount = currentWorkout.exercises.filter(ex => ex.completed).length;
   const totalCount = currentWorkout.exercises.length;
 
-  if (completedCount < totalCount) {
+  // Skipped exercises were dealt with on purpose, so they don't need a warning
+  const unfinishedCount = totalCount - currentWorkout.exercises.filter(isExerciseDone).length;
+  if (unfinishedCount > 0) {
     const confirm = window.confirm(
       `You've only completed ${completedCount} of ${totalCount} exercises.\n\nAre you sure you want to finish?`
     );
@@ -430,20 +1718,41 @@ async function finishWorkout() {
 
   stopTimer();
 
-  // Prepare workout data for storage
+  // Prepare workout data for storage (weights are stored in the canonical unit)
+  const unit = getWorkoutUnit();
+  const toStored = (set) => convertSetWeights(set, weight => toCanonicalWeight(weight, unit));
   const workoutData = {
+    programId: currentWorkout.programId,
+    startedAt: currentWorkout.startedAt,
+    ...(normalizeNote(currentWorkout.note) ? { note: normalizeNote(currentWorkout.note) } : {}),
+    // In the order they were done, with any changes to the prescription
     exercises: currentWorkout.exercises.map(ex => ({
       name: ex.name,
-      sets: ex.loggedSets.filter(s => s.logged).map(s => ({
-        weight: parseFloat(s.weight),
-        reps: parseInt(s.reps)
-      }))
+      slot: ex.slot || ex.name,
+      ...(Number.isInteger(ex.programIndex) ? { programIndex: ex.programIndex } : {}),
+      ...(parseInt(ex.sets) > 0 ? { prescribedSets: parseInt(ex.sets) } : {}),
+      ...(ex.skipped ? { skipped: true, skipReason: ex.skipReason || '' } : {}),
+      ...(normalizeNote(ex.note) ? { note: normalizeNote(ex.note) } : {}),
+      sets: ex.loggedSets.filter(s => s.logged).map(s => serializeWorkingSet(ex, s)),
+      // Kept apart from working sets so stats and last performance ignore them
+      warmups: (ex.warmupSets || []).filter(s => s.logged).map(s => toStored({
+        weight: s.weight,
+        reps: s.reps
+      })),
+      ...(ex.suggestion && getExerciseMode(ex) === DEFAULT_MODE
+        ? { suggestion: toStored(summarizeSuggestion(ex)) }
+        : {})
     }))
   };
 
+  const recordCount = currentWorkout.exercises.reduce((sum, ex) =>
+    sum + ex.loggedSets.reduce((count, s) => count + (s.logged && s.records ? s.records.length : 0), 0), 0);
+
   try {
     // Save to storage
-    await saveWorkout(currentWorkout.week, currentWorkout.dayType, workoutData);
+    const workoutKey = await saveWorkout(currentWorkout.week, currentWorkout.dayType, workoutData);
+    await advanceWeekIfComplete(currentWorkout.week);
+    const durationSeconds = getWorkoutHistory()[workoutKey]?.durationSeconds ?? elapsedSeconds;
 
     // Clear state
     clearWorkoutState();
@@ -451,7 +1760,7 @@ async function finishWorkout() {
     elapsedSeconds = 0;
 
     // Show summary
-    showWorkoutSummary(completedCount, totalCount);
+    showWorkoutSummary(completedCount, totalCount, recordCount, durationSeconds);
 
     // Return to program tab after a delay
     setTimeout(() => {
@@ -465,6 +1774,25 @@ async function finishWorkout() {
   }
 }
 
+/**
+ * Summarize how a load suggestion was used, for the saved session
+ * @param {Object} exercise - Exercise state
+ * @returns {Object} { action, weight, status } where status is 'accepted',
+ *   'overridden' (accepted, then a different weight was done), 'dismissed'
+ *   or 'pending' (never answered)
+ */
+function summarizeSuggestion(exercise) {
+  const { action, weight, status } = exercise.suggestion;
+  const firstLogged = exercise.loggedSets.find(s => s.logged);
+
+  let finalStatus = status;
+  if (status === 'accepted' && firstLogged && parseFloat(firstLogged.weight) !== weight) {
+    finalStatus = 'overridden';
+  }
+
+  return { action, weight, status: finalStatus };
+}
+
 /**
  * Cancel the workout
  */
@@ -486,8 +1814,10 @@ function cancelWorkout() {
  * Show workout summary
  * @param {number} completed - Number of completed exercises
  * @param {number} total - Total number of exercises
+ * @param {number} records - Number of personal records set
+ * @param {number} durationSeconds - How long the saved session took
  */
-function showWorkoutSummary(completed, total) {
+function showWorkoutSummary(completed, total, records = 0, durationSeconds = 0) {
   const screen = document.getElementById('workout-screen');
   if (!screen) return;
 
@@ -501,8 +1831,11 @@ function showWorkoutSummary(completed, total) {
       <h2>Workout Complete!</h2>
       <p class="summary-stats">
         ${completed} of ${total} exercises completed<br>
-        Duration: ${formatTime(elapsedSeconds)}
+        Duration: ${formatTime(durationSeconds)}
       </p>
+      ${records > 0
+        ? `<p class="summary-records">🏆 ${records} personal record${records > 1 ? 's' : ''}</p>`
+        : ''}
       <p class="summary-message">Great work! Your progress has been saved.</p>
     </div>
   `;
@@ -547,6 +1880,7 @@ function startTimer() {
       saveWorkoutState();
     }
     updateTimerDisplay();
+    updateRestTimerDisplay();
   }, 1000);
 }
 
@@ -570,6 +1904,15 @@ function updateTimerDisplay() {
   }
 }
 
+/**
+ * Format the date of a saved note
+ * @param {string} completedAt - ISO timestamp of the session
+ * @returns {string} e.g. "Oct 12"
+ */
+function formatNoteDate(completedAt) {
+  return new Date(completedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
 /**
  * Format time in HH:MM:SS or MM:SS
  * @param {number} seconds - Total seconds
@@ -0,0 +1,215 @@
+/**
+ * Min-Max Companion - Reference Sync Server
+ * A small op log for js/sync.js to run on a box at home. No dependencies:
+ *
+ *   node server/sync-server.mjs
+ *
+ * Environment:
+ *   PORT       - Port to listen on (default 8787)
+ *   HOST       - Address to bind (default 127.0.0.1; use 0.0.0.0 for other devices)
+ *   SYNC_DATA  - File the op log is appended to (default ./sync-data.jsonl)
+ *   SYNC_TOKEN - If set, requests must send "Authorization: Bearer <token>"
+ *
+ * API:
+ *   GET  /ops?since=<cursor>&limit=<n> -> { ops, cursor, hasMore }
+ *   POST /ops  { ops: [...] }           -> { accepted, cursor }
+ *   GET  /health                        -> { ok, ops }
+ *
+ * Operations are kept in the order they arrive and never rewritten; each
+ * gets a `seq`, and the cursor is the seq of the last one returned. The
+ * server doesn't merge anything — devices resolve conflicts themselves.
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync, appendFileSync, existsSync } from 'node:fs';
+import { timingSafeEqual } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Read the op log from disk
+ * @param {string} dataFile - Path of the JSONL op log
+ * @returns {Array<Object>} Operations in order (unreadable lines are skipped)
+ */
+function loadOps(dataFile) {
+  if (!existsSync(dataFile)) return [];
+
+  const ops = [];
+  readFileSync(dataFile, 'utf8').split('\n').forEach((line, idx) => {
+    if (!line.trim()) return;
+    try {
+      ops.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Skipping unreadable line ${idx + 1} of ${dataFile}`);
+    }
+  });
+  return ops;
+}
+
+/**
+ * Check an operation sent by a device
+ * @param {Object} op - Operation
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateOp(op) {
+  if (!op || typeof op !== 'object') return 'operation must be an object';
+  if (typeof op.sessionKey !== 'string' || !op.sessionKey) return 'sessionKey must be a non-empty string';
+  if (op.type !== 'put' && op.type !== 'delete') return "type must be 'put' or 'delete'";
+  if (!Number.isFinite(op.ts)) return 'ts must be a number';
+  if (typeof op.deviceId !== 'string' || !op.deviceId) return 'deviceId must be a non-empty string';
+  if (op.type === 'put' && (!op.session || typeof op.session !== 'object')) return 'put operations need a session';
+  return null;
+}
+
+/**
+ * Compare a bearer token in constant time
+ * @param {string} header - Authorization header
+ * @param {string} token - Expected token
+ * @returns {boolean} Whether the header carries the token
+ */
+function isAuthorized(header, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(header || '');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Send a JSON response
+ * @param {Object} res - Server response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {Object} req - Server request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(Object.assign(new Error('Request body must be JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the sync server (not yet listening)
+ * @param {Object} options
+ * @param {string} options.dataFile - Path of the JSONL op log
+ * @param {string} options.token - Required bearer token ('' for none)
+ * @returns {Object} Node HTTP server
+ */
+export function createSyncServer({ dataFile, token = '' }) {
+  const ops = loadOps(dataFile);
+
+  return createServer(async (req, res) => {
+    // The app is served from another origin (or a file), so allow any
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      sendJson(res, 200, { ok: true, ops: ops.length });
+      return;
+    }
+
+    if (token && !isAuthorized(req.headers.authorization, token)) {
+      sendJson(res, 401, { error: 'Missing or wrong access token' });
+      return;
+    }
+
+    if (url.pathname !== '/ops') {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    try {
+      if (req.method === 'GET') {
+        const since = Math.max(0, parseInt(url.searchParams.get('since'), 10) || 0);
+        const limit = Math.max(1, Math.min(MAX_LIMIT, parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT));
+        const page = ops.slice(since, since + limit);
+
+        sendJson(res, 200, {
+          ops: page,
+          cursor: since + page.length,
+          hasMore: since + page.length < ops.length
+        });
+      } else if (req.method === 'POST') {
+        const body = await readJson(req);
+        if (!body || typeof body !== 'object' || !Array.isArray(body.ops)) {
+          sendJson(res, 400, { error: 'Body must be { ops: [...] }' });
+          return;
+        }
+        for (const [idx, op] of body.ops.entries()) {
+          const error = validateOp(op);
+          if (error) {
+            sendJson(res, 400, { error: `ops[${idx}]: ${error}` });
+            return;
+          }
+        }
+
+        const stored = body.ops.map((op, idx) => ({ ...op, seq: ops.length + idx + 1 }));
+        if (stored.length > 0) {
+          appendFileSync(dataFile, stored.map(op => JSON.stringify(op)).join('\n') + '\n');
+          ops.push(...stored);
+        }
+
+        sendJson(res, 200, { accepted: stored.length, cursor: ops.length });
+      } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+      }
+    } catch (error) {
+      console.error('Request failed:', error);
+      sendJson(res, error.status || 500, { error: error.status ? error.message : 'Server error' });
+    }
+  });
+}
+
+// Start listening when run directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+  const host = process.env.HOST || '127.0.0.1';
+  const dataFile = process.env.SYNC_DATA || 'sync-data.jsonl';
+  const token = process.env.SYNC_TOKEN || '';
+
+  createSyncServer({ dataFile, token }).listen(port, host, () => {
+    console.log(`Min-Max sync server listening on http://${host}:${port} (op log: ${dataFile})`);
+    if (!token) {
+      console.warn('Warning: SYNC_TOKEN is not set, so anyone who can reach this server can read and change the workout history');
+    }
+  });
+}
@@ -1,10 +1,32 @@
 /**
  * Min-Max Companion - Service Worker
  * Enables offline functionality and caching
+ *
+ * The app shell (code, styles, icons) is served cache-first, so a release
+ * is all or nothing. Program data (data/*.json) is served
+ * stale-while-revalidate: the cached copy right away, with a fresh copy
+ * fetched for next time.
+ *
+ * A newer release is downloaded in full into a separate cache and only
+ * served once the user accepts it from the page's "Update available"
+ * banner (app.js). It is found in one of two ways:
+ *   - The page posts { type: 'CHECK_FOR_UPDATE' } on load and when it's
+ *     reopened. The shell files are revalidated against the server, and if
+ *     any changed the worker answers { type: 'UPDATE_READY' }. Accepting
+ *     posts { type: 'APPLY_UPDATE' }; the new files are swapped in and the
+ *     worker answers { type: 'UPDATE_APPLIED' } so the page reloads.
+ *   - A changed sw.js installs as a new worker and waits. Accepting posts
+ *     { type: 'SKIP_WAITING' } so it takes over and the page reloads.
+ * Either way no version needs bumping by hand.
  */
 
-const CACHE_NAME = 'minmax-v1';
-const urlsToCache = [
+const CACHE_PREFIX = 'minmax-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell`;
+// A complete newer copy of the shell, waiting for the user to accept it
+const NEXT_SHELL_CACHE = `${CACHE_PREFIX}shell-next`;
+const DATA_CACHE = `${CACHE_PREFIX}data`;
+
+const APP_SHELL = [
   '/',
   '/index.html',
   '/css/styles.css',
@@ -13,77 +35,221 @@ const urlsToCache = [
   '/js/workout.js',
   '/js/progress.js',
   '/js/storage.js',
-  '/data/program.json',
-  '/manifest.json'
+  '/js/db.js',
+  '/js/backup.js',
+  '/js/timer.js',
+  '/js/warmup.js',
+  '/js/progression.js',
+  '/js/techniques.js',
+  '/js/metrics.js',
+  '/js/muscles.js',
+  '/js/programs.js',
+  '/js/schedule.js',
+  '/js/transitions.js',
+  '/js/units.js',
+  '/js/plates.js',
+  '/js/logging.js',
+  '/js/review.js',
+  '/js/edits.js',
+  '/js/records.js',
+  '/js/effort.js',
+  '/js/notes.js',
+  '/js/sync.js',
+  '/js/csv.js',
+  '/manifest.json',
+  '/icons/icon-192.svg',
+  '/icons/icon-512.svg'
+];
+
+const PROGRAM_DATA = [
+  '/data/program.json'
 ];
 
-// Install event - cache resources
+const DATA_PATTERN = /\/data\/[^/]+\.json$/;
+
+/**
+ * Cache a list of URLs, bypassing the browser's HTTP cache
+ * @param {string} cacheName - Cache to fill
+ * @param {Array<string>} urls - URLs to fetch
+ * @returns {Promise<void>}
+ */
+function precache(cacheName, urls) {
+  return caches.open(cacheName)
+    .then((cache) => cache.addAll(urls.map(url => new Request(url, { cache: 'reload' }))));
+}
+
+/**
+ * Serve the downloaded copy of the shell from now on
+ * Files the new copy doesn't have are dropped.
+ * @returns {Promise<void>}
+ */
+async function promoteNextShell() {
+  if (!(await caches.has(NEXT_SHELL_CACHE))) return;
+
+  const next = await caches.open(NEXT_SHELL_CACHE);
+  const shell = await caches.open(SHELL_CACHE);
+  const requests = await next.keys();
+  const urls = new Set(requests.map(request => request.url));
+
+  await Promise.all(requests.map(async (request) => shell.put(request, await next.match(request))));
+  await Promise.all((await shell.keys())
+    .filter(request => !urls.has(request.url))
+    .map(request => shell.delete(request)));
+  await caches.delete(NEXT_SHELL_CACHE);
+}
+
+/**
+ * Revalidate the shell against the server
+ * Every cached shell file is fetched past the HTTP cache and compared with
+ * the cached copy. If any changed, a complete fresh copy is kept in the
+ * next-shell cache, so the running release never mixes with the new one.
+ * @returns {Promise<boolean>} Whether a newer copy is ready
+ */
+async function checkForShellUpdate() {
+  if (await caches.has(NEXT_SHELL_CACHE)) return true;
+
+  const shell = await caches.open(SHELL_CACHE);
+  const required = APP_SHELL.map(url => new URL(url, self.location.href).href);
+  // Files cached on first use (and missing from APP_SHELL) are kept up to date too
+  const urls = [...new Set([...required, ...(await shell.keys()).map(request => request.url)])];
+
+  const responses = await Promise.all(urls.map(url => fetch(url, { cache: 'no-cache' }).catch(() => null)));
+  if (required.some((url, idx) => !responses[idx] || !responses[idx].ok)) return false;
+
+  const fresh = urls
+    .map((url, idx) => ({ url, response: responses[idx] }))
+    .filter(({ response }) => response && response.ok);
+
+  const changed = await Promise.all(fresh.map(async ({ url, response }) => {
+    const cached = await shell.match(url);
+    return !cached || (await cached.text()) !== (await response.clone().text());
+  }));
+  if (!changed.includes(true) && fresh.length === urls.length) return false;
+
+  const next = await caches.open(NEXT_SHELL_CACHE);
+  await Promise.all(fresh.map(({ url, response }) => next.put(url, response)));
+  return true;
+}
+
+// Install event - download the release next to the running one. If this
+// fails the install fails, and the current release keeps running.
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
-      .catch((error) => {
-        console.error('Cache installation failed:', error);
-      })
+    caches.delete(NEXT_SHELL_CACHE).then(() => Promise.all([
+      precache(NEXT_SHELL_CACHE, APP_SHELL),
+      precache(DATA_CACHE, PROGRAM_DATA)
+    ]))
   );
-  // Force the service worker to become active immediately
-  self.skipWaiting();
 });
 
-// Activate event - clean up old caches
+// Activate event - serve the new release and clean up caches of earlier ones
 self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE];
+
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            console.log('Deleting old cache:', cacheName);
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+    promoteNextShell()
+      .then(() => caches.keys())
+      .then((cacheNames) => Promise.all(
+        cacheNames
+          .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+          .map((name) => {
+            console.log('Deleting old cache:', name);
+            return caches.delete(name);
+          })
+      ))
+      // Take control of all pages immediately
+      .then(() => self.clients.claim())
   );
-  // Take control of all pages immediately
-  return self.clients.claim();
 });
 
-// Fetch event - serve from cache, fallback to network
+// Message event - update checks, and the page accepting an update
+self.addEventListener('message', (event) => {
+  const type = event.data && event.data.type;
+
+  if (type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (type === 'CHECK_FOR_UPDATE') {
+    event.waitUntil(
+      checkForShellUpdate()
+        .then((ready) => {
+          if (ready) event.source.postMessage({ type: 'UPDATE_READY' });
+        })
+        .catch((error) => console.log('Update check failed:', error))
+    );
+  } else if (type === 'APPLY_UPDATE') {
+    event.waitUntil(
+      promoteNextShell().then(() => event.source.postMessage({ type: 'UPDATE_APPLIED' }))
+    );
+  }
+});
+
+/**
+ * Serve from the cache, falling back to the network (and caching the result)
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+function cacheFirst(request) {
+  return caches.match(request).then((cached) => {
+    if (cached) {
+      return cached;
+    }
+
+    return fetch(request).then((response) => {
+      if (response && response.status === 200 && response.type === 'basic') {
+        const responseToCache = response.clone();
+        caches.open(SHELL_CACHE).then((cache) => cache.put(request, responseToCache));
+      }
+      return response;
+    });
+  });
+}
+
+/**
+ * Serve the cached copy right away and refresh it from the network
+ * @param {FetchEvent} event - Fetch event (kept alive until the refresh is stored)
+ * @returns {Promise<Response>} Response
+ */
+function staleWhileRevalidate(event) {
+  const { request } = event;
+
+  return caches.open(DATA_CACHE).then((cache) => cache.match(request).then((cached) => {
+    const refresh = fetch(request).then((response) => {
+      if (response && response.status === 200) {
+        return cache.put(request, response.clone()).then(() => response);
+      }
+      return response;
+    });
+
+    if (cached) {
+      event.waitUntil(refresh.catch(() => {}));
+      return cached;
+    }
+    return refresh;
+  }));
+}
+
+// Fetch event - only same-origin GETs are cached; everything else (like
+// a sync server) goes straight to the network
 self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (DATA_PATTERN.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+
   event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Cache hit - return response
-        if (response) {
-          return response;
-        }
-
-        // Clone the request
-        const fetchRequest = event.request.clone();
-
-        return fetch(fetchRequest).then((response) => {
-          // Check if valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
-          }
-
-          // Clone the response
-          const responseToCache = response.clone();
-
-          // Cache the fetched response for future use
-          caches.open(CACHE_NAME)
-            .then((cache) => {
-              cache.put(event.request, responseToCache);
-            });
-
-          return response;
-        }).catch(() => {
-          // Network failed, return offline page or cached version
-          return caches.match('/index.html');
-        });
-      })
+    cacheFirst(request).catch(() => {
+      // Network failed: pages fall back to the cached app shell
+      if (request.mode === 'navigate') {
+        return caches.match('/index.html');
+      }
+      return Response.error();
+    })
   );
 });